@@ -3,21 +3,66 @@ const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
-const multer = require("multer");
-const pdfParse = require("pdf-parse");
 const fs = require("fs");
 const path = require("path");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 
 const authRoutes = require("./routes/auth");
 const jobRoutes = require("./routes/jobs");
+const calendarRoutes = require("./routes/calendar");
+const notificationRoutes = require("./routes/notifications");
+const resumeRoutes = require("./routes/resumes");
+const analysisRoutes = require("./routes/analyses");
+const adminRoutes = require("./routes/admin");
+const usageRoutes = require("./routes/usage");
+const companyRoutes = require("./routes/companies");
+const taskRoutes = require("./routes/tasks");
+const attachmentRoutes = require("./routes/attachments");
+const auth = require("./middleware/auth");
+const validate = require("./middleware/validate");
+const { errorHandler, notFound } = require("./middleware/errorHandler");
+const aiSchemas = require("./schemas/ai");
+const limits = require("./middleware/limits");
+const aiQuota = require("./middleware/aiQuota");
+const { documentUpload: upload } = require("./middleware/upload");
+const { readDocument } = require("./utils/documents");
+const { startReminderScheduler } = require("./utils/reminderScheduler");
+const { startStaleScheduler } = require("./utils/staleApplications");
+const { reviewResume } = require("./utils/resumeFeedback");
+const { analysisQueue } = require("./utils/analysisQueue");
+const { matchResumeToJd } = require("./utils/resumeMatch");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+// Behind a proxy (Vercel, a load balancer) req.ip is the proxy's address unless Express
+// trusts its X-Forwarded-For header, and rate limits and anonymous AI quotas are per IP.
+// TRUST_PROXY: number of proxy hops, true/false, or addresses/subnets ("loopback, 10.0.0.0/8").
+// Defaults to one hop on Vercel, otherwise off.
+const parseTrustProxy = (value) => {
+  if (value === "true") return true;
+  if (value === "false" || value === "") return false;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY ?? (process.env.VERCEL ? "1" : "false")));
 
 // Middleware
-app.use(cors({ origin: "*", credentials: true }));
+// Refresh tokens travel in cookies, so only the frontend's own origins may make
+// credentialed requests (CLIENT_ORIGIN, comma separated). Reflecting any origin would
+// let other sites read fresh access tokens from /api/auth/refresh.
+if (!process.env.CLIENT_ORIGIN) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("CLIENT_ORIGIN must be set in production");
+  }
+  console.warn("⚠️ CLIENT_ORIGIN is not set; allowing local development origins only.");
+}
+const clientOrigins = (process.env.CLIENT_ORIGIN || "http://localhost:3000,http://localhost:5173")
+  .split(",")
+  .map(o => o.trim())
+  .filter(Boolean);
+app.use(cors({
+  origin: clientOrigins,
+  credentials: true,
+}));
 app.use(express.json());
 app.use(cookieParser());
 
@@ -26,293 +71,74 @@ mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log("✅ MongoDB connected"))
+.then(() => {
+  console.log("✅ MongoDB connected");
+  startReminderScheduler();
+  startStaleScheduler();
+  // Set ANALYSIS_WORKER=false to only accept analyses here and process them elsewhere
+  if (process.env.ANALYSIS_WORKER !== "false") analysisQueue.start();
+})
 .catch(err => console.error("❌ MongoDB connection error:", err));
 
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/jobs", jobRoutes);
-
-// Load Skills List
-let skillsList = [];
-try {
-  skillsList = require("./skills.json");
-} catch (err) {
-  console.warn("⚠️ skills.json not found. Resume-JD match may not work.");
-}
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/resumes", resumeRoutes);
+app.use("/api/analyses", analysisRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/usage", usageRoutes);
+app.use("/api/companies", companyRoutes);
+app.use("/api/tasks", taskRoutes);
+app.use("/api/attachments", attachmentRoutes);
 
 // Static HTML Serve (optional)
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "index.html"));
 });
 
-// File Upload Config
-const upload = multer({
-  dest: "uploads/",
-  fileFilter: (req, file, cb) => {
-    // Check for PDF files by MIME type or file extension
-    const isPdf = file.mimetype === "application/pdf" || 
-                  file.mimetype === "application/octet-stream" || // Google Drive files often have this MIME type
-                  (file.originalname && file.originalname.toLowerCase().endsWith('.pdf'));
-    
-    if (isPdf) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only PDF files are allowed"));
-    }
-  },
-});
-
-// Static Resume Checks
-const actionVerbs = ["developed", "led", "created", "implemented", "designed", "built", "managed", "initiated", "launched"];
-const keywords = ["Python", "JavaScript", "React", "Node", "Machine Learning", "AWS", "SQL", "Git"];
-
-function analyzeResume(text) {
-  const feedback = [];
-
-  if (text.toLowerCase().includes("summary")) feedback.push("✅ Summary section found");
-  else feedback.push("⚠️ No summary section found");
-
-  if (text.toLowerCase().includes("education")) feedback.push("✅ Education section found");
-  else feedback.push("⚠️ Education section not found");
-
-  if (text.toLowerCase().includes("experience")) feedback.push("✅ Experience section found");
-  else feedback.push("⚠️ Experience section not found");
-
-  if (text.toLowerCase().includes("skills")) feedback.push("✅ Skills section found");
-  else feedback.push("⚠️ Skills section not found");
-
-  const actionVerbCount = actionVerbs.reduce((count, verb) => {
-    const regex = new RegExp(`\\b${verb}\\b`, "gi");
-    return count + (text.match(regex) || []).length;
-  }, 0);
-  feedback.push(`✅ ${actionVerbCount} action verbs found`);
-
-  const presentKeywords = keywords.filter(k => text.toLowerCase().includes(k.toLowerCase()));
-  feedback.push(`✅ Found technical keywords: ${presentKeywords.join(", ") || "None"}`);
-
-  return feedback;
-}
-
-// Gemini Resume Feedback
-async function getGeminiFeedback(text) {
-  try {
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    const trimmed = text.length > 10000 ? text.slice(0, 10000) : text;
-
-    const prompt = `
-You are a professional resume review assistant. Analyze the following resume text and provide detailed, professional feedback in a structured JSON format with the following keys:
-
-1. overall_impression: A quick summary of how the resume comes across at first glance (e.g. professional, clear, cluttered, too generic, etc.) and whether it's aligned with the target role/industry
-2. strengths: What's working well (e.g. strong formatting, impactful achievements, relevant skills, good clarity) and any standout sections (e.g. a great summary, clean design, strong quantification of impact)
-3. areas_for_improvement: High-level issues that might be hurting the resume's effectiveness, including layout problems, poor keyword optimization, vague language, lack of metrics, etc.
-4. section_feedback: Section-by-section feedback on each part of the resume (e.g. summary, work experience, education, skills)
-5. suggestions: Formatting or design tweaks, tools (e.g. ATS resume scanner, resume builders), tips on tailoring for specific jobs/industries, and resources for improvement (e.g. action verb lists, job description alignment)
-6. ats_readability: Information about whether the resume is likely to pass through applicant tracking systems (ATS) and if it's skimmable and engaging for a recruiter in 6-10 seconds
-
-Return ONLY valid JSON in this exact format:
-{
-  "overall_impression": "summary here",
-  "strengths": ["strength1", "strength2"],
-  "areas_for_improvement": ["improvement1", "improvement2"],
-  "section_feedback": ["feedback1", "feedback2"],
-  "suggestions": ["suggestion1", "suggestion2"],
-  "ats_readability": "ats and readability assessment here"
-}
-
-Resume Text:
-"""
-${trimmed}
-"""`;
-
-    const result = await model.generateContent(prompt);
-    return (await result.response).text();
-  } catch (err) {
-    console.error("❌ Gemini error:", err);
-    return "❌ Gemini AI failed to generate feedback.";
-  }
-}
-
 // Resume Feedback API
-app.post("/api/resume-feedback", upload.single("resume"), async (req, res) => {
-  // Log file information for debugging
-  if (req.file) {
-    console.log("File received:", {
-      originalname: req.file.originalname,
-      mimetype: req.file.mimetype,
-      size: req.file.size,
-      filename: req.file.filename
-    });
-  }
-  
-  if (!req.file) {
-    console.log("No file uploaded or invalid type");
-    return res.status(400).json({ error: "No file uploaded or invalid type" });
-  }
-
-  const filePath = req.file.path;
+// Accepts a "resume" upload (PDF, DOCX, TXT, Markdown) or pasted resumeText.
+// Signed-in users get each analysis saved as a new resume version
+app.post("/api/resume-feedback", auth.optional, limits.aiIp, limits.ai, upload.single("resume"), validate(aiSchemas.resumeFeedback), aiQuota("resume-feedback"), async (req, res, next) => {
+  const filePath = req.file?.path;
 
   try {
-    const data = await pdfParse(fs.readFileSync(filePath));
-    const text = data.text;
-
-    if (!text.trim()) {
-      console.log("Empty resume content");
-      throw new Error("Empty resume content");
-    }
-
-    const staticFeedback = analyzeResume(text);
-    const geminiFeedback = await getGeminiFeedback(text);
-
-    // Try to parse Gemini feedback as JSON
-    let parsedGeminiFeedback;
-    try {
-      // Extract JSON from potential markdown code block
-      const jsonString = geminiFeedback
-        .replace(/```json\n?/, '')
-        .replace(/\n?```/, '');
-      parsedGeminiFeedback = JSON.parse(jsonString);
-    } catch (parseError) {
-      console.log("Error parsing Gemini feedback, using raw feedback");
-      // If parsing fails, use the raw feedback
-      parsedGeminiFeedback = {
-        overall_impression: geminiFeedback,
-        strengths: [],
-        areas_for_improvement: [],
-        section_feedback: [],
-        suggestions: [],
-        ats_readability: "Unable to assess ATS compatibility and readability."
-      };
-    }
-
-    res.json({ 
-      feedback: parsedGeminiFeedback,
-      staticFeedback: staticFeedback
+    const text = await readDocument({ file: req.file, text: req.body?.resumeText, label: "resume" });
+
+    const result = await reviewResume({
+      text,
+      userId: req.user?.id,
+      label: req.body?.label,
+      fileName: req.file?.originalname,
+      onAiCall: req.chargeAiQuota,
     });
+
+    res.json(result);
   } catch (err) {
-    console.error("❌ Resume analysis failed:", err);
-    res.status(500).json({ error: "Error analyzing resume: " + err.message });
+    next(err);
   } finally {
-    fs.unlink(filePath, (err) => {
-      if (err) console.error("Error deleting file:", err);
-    });
+    if (filePath) {
+      fs.unlink(filePath, (err) => {
+        if (err) console.error("Error deleting file:", err);
+      });
+    }
   }
 });
 
 // Resume-JD Match API
-app.post("/api/match", upload.fields([{ name: "resume" }, { name: "jd" }]), async (req, res) => {
-  // Log file information for debugging
-  if (req.files?.resume?.[0]) {
-    console.log("Resume file received:", {
-      originalname: req.files.resume[0].originalname,
-      mimetype: req.files.resume[0].mimetype,
-      size: req.files.resume[0].size,
-      filename: req.files.resume[0].filename
-    });
-  }
-  
-  if (req.files?.jd?.[0]) {
-    console.log("JD file received:", {
-      originalname: req.files.jd[0].originalname,
-      mimetype: req.files.jd[0].mimetype,
-      size: req.files.jd[0].size,
-      filename: req.files.jd[0].filename
-    });
-  }
-  
+// Each side can be an upload ("resume", "jd") or pasted text (resumeText, jdText)
+app.post("/api/match", auth.optional, limits.aiIp, limits.ai, upload.fields([{ name: "resume" }, { name: "jd" }]), validate(aiSchemas.match), aiQuota("match"), async (req, res, next) => {
   try {
-    if (!req.files?.resume || !req.files?.jd)
-      return res.status(400).json({ error: "Both resume and JD files are required." });
-
-    const resumePath = req.files.resume[0].path;
-    const jdPath = req.files.jd[0].path;
-
-    const resumeText = (await pdfParse(fs.readFileSync(resumePath))).text;
-    const jdText = (await pdfParse(fs.readFileSync(jdPath))).text;
+    const resumeText = await readDocument({ file: req.files?.resume?.[0], text: req.body?.resumeText, label: "resume" });
+    const jdText = await readDocument({ file: req.files?.jd?.[0], text: req.body?.jdText, label: "job description" });
 
-    // Use AI to extract skills from both documents
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    
-    // Extract skills from JD
-    const jdSkillsPrompt = `Extract a list of technical skills, programming languages, frameworks, required in this job description (dont include qualifications). Return ONLY a JSON array of strings.
+    const result = await matchResumeToJd(resumeText, jdText, { onAiCall: req.chargeAiQuota });
 
-Job Description:
-"""
-${jdText}
-"""`;
-    
-    const jdSkillsResult = await model.generateContent(jdSkillsPrompt);
-    const jdSkillsText = jdSkillsResult.response?.text() || "[]";
-    
-    // Extract skills from Resume
-    const resumeSkillsPrompt = `Extract a list of technical skills, programming languages, frameworks mentioned in this resume. Return ONLY a JSON array of strings.
-
-Resume:
-"""
-${resumeText}
-"""`;
-    
-    const resumeSkillsResult = await model.generateContent(resumeSkillsPrompt);
-    const resumeSkillsText = resumeSkillsResult.response?.text() || "[]";
-    
-    // Parse the JSON arrays
-    let jdSkills = [];
-    let resumeSkills = [];
-    
-    try {
-      // Extract JSON from potential markdown code block
-      const jdSkillsJson = jdSkillsText
-        .replace(/```json\n?/, '')
-        .replace(/\n?```/, '');
-      jdSkills = JSON.parse(jdSkillsJson);
-    } catch (err) {
-      console.error("Error parsing JD skills:", err);
-      jdSkills = [];
-    }
-    
-    try {
-      // Extract JSON from potential markdown code block
-      const resumeSkillsJson = resumeSkillsText
-        .replace(/```json\n?/, '')
-        .replace(/\n?```/, '');
-      resumeSkills = JSON.parse(resumeSkillsJson);
-    } catch (err) {
-      console.error("Error parsing resume skills:", err);
-      resumeSkills = [];
-    }
-    
-    // Convert to lowercase for comparison
-    const resumeSkillsLower = resumeSkills.map(skill => skill.toLowerCase());
-    const jdSkillsLower = jdSkills.map(skill => skill.toLowerCase());
-    
-    // Find matched and missing skills
-    const matchedSkills = jdSkills.filter(skill => 
-      resumeSkillsLower.includes(skill.toLowerCase())
-    );
-    
-    const missingSkills = jdSkills.filter(skill => 
-      !resumeSkillsLower.includes(skill.toLowerCase())
-    );
-    
-    const total = jdSkills.length;
-    const matchScore = total ? `${Math.round((matchedSkills.length / total) * 100)}%` : "0%";
-
-    const promptParts = [
-      `You are a job application assistant. Given the job description and resume below, analyze how well the resume matches the job. Return the response in the following JSON format and use bold words where ever needed for better readability:\n\n{\n  "match_score": "A percentage indicating how well the resume matches the job description",\n  "strengths": [\n    "List of strengths based on the resume and JD"\n  ],\n  "weaknesses": [\n    "List of weak or missing elements in the resume"\n  ],\n  "suggestions": [\n    "Suggestions to improve the resume that matches the Job description"\n  ],\n  "overall_analysis": "A brief summary paragraph about the overall match"\n}`,
-      '\n\nJob Description:\n"""\n',
-      jdText.slice(0, 8000),
-      '\n"""\n\nResume:\n"""\n',
-      resumeText.slice(0, 8000),
-      '\n"""',
-    ];
-
-    const result = await model.generateContent(promptParts);
-    const feedback = result.response?.text() || "";
-
-    res.json({ matchScore, matchedSkills, missingSkills, jdSkills, feedback });
+    res.json(result);
   } catch (err) {
-    console.error("❌ JD match failed:", err);
-    res.status(500).json({ error: "Matching failed" });
+    next(err);
   } finally {
     if (req.files?.resume?.[0]?.path) {
       fs.unlink(req.files.resume[0].path, () => {});
@@ -323,7 +149,9 @@ ${resumeText}
   }
 });
 
-
+// Errors: unknown API routes get a JSON 404, everything else the standard error body
+app.use("/api", notFound);
+app.use(errorHandler);
 
 // Start Server
 app.listen(PORT, () => {
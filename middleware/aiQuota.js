@@ -0,0 +1,40 @@
+const { usageSubject, checkAiQuota, quotaCharger } = require("../utils/aiUsage");
+
+// Check the caller's daily AI quota (see utils/aiUsage.js), answering 429 until it resets
+// at UTC midnight. Nothing is counted here: the route passes req.chargeAiQuota to the AI
+// helpers as onAiCall, so only requests that reach the model are charged. Queued analyses
+// carry req.aiQuota and are charged by the worker. Use after auth/auth.optional.
+const aiQuota = (type) => async (req, res, next) => {
+  try {
+    const subject = usageSubject(req);
+    const quota = await checkAiQuota(subject);
+    if (quota.limit > 0) {
+      res.set({
+        "X-AI-Quota-Limit": String(quota.limit),
+        "X-AI-Quota-Remaining": String(Math.max(0, quota.limit - quota.used)),
+        "X-AI-Quota-Reset": quota.resetsAt.toISOString(),
+      });
+    }
+
+    if (!quota.allowed) {
+      const retryAfter = Math.ceil((quota.resetsAt.getTime() - Date.now()) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: req.user
+          ? `Daily AI limit of ${quota.limit} analyses reached. It resets at midnight UTC.`
+          : `Daily AI limit of ${quota.limit} analyses reached. Sign in for a higher limit, or try again after midnight UTC.`,
+        code: "QUOTA_EXCEEDED",
+        retryAfter,
+        quota: { limit: quota.limit, used: quota.used, resetsAt: quota.resetsAt },
+      });
+    }
+
+    req.aiQuota = { subject, type };
+    req.chargeAiQuota = quotaCharger(subject, type);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = aiQuota;
@@ -1,10 +1,11 @@
-const jwt = require("jsonwebtoken");
+const User = require("../models/user");
+const { verifyAccessToken } = require("../utils/tokens");
 
-const JWT_SECRET = process.env.JWT_SECRET || "secret";
+const bearerToken = (req) => req.header("Authorization")?.replace("Bearer ", "");
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   // Get token from header
-  const token = req.header("Authorization")?.replace("Bearer ", "");
+  const token = bearerToken(req);
 
   // Check if no token
   if (!token) {
@@ -12,11 +13,43 @@ module.exports = (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
+    // Verify token and that its session is still active
+    req.user = await verifyAccessToken(token);
+  } catch (err) {
+    return res.status(401).json({ message: "Token is not valid" });
+  }
+  next();
+};
+
+// Attach req.user when a valid token is sent, but let anonymous requests through
+module.exports.optional = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) return next();
+
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (err) {
+    return res.status(401).json({ message: "Token is not valid" });
+  }
+  next();
+};
+
+// Route guard for roles; use after the auth middleware. The role is read from the
+// database rather than the token so promotions and demotions apply immediately.
+module.exports.requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("role cohort disabledAt");
+    if (!user || user.disabledAt) {
+      return res.status(401).json({ message: "Token is not valid" });
+    }
+    if (!roles.includes(user.role)) {
+      return res.status(403).json({ message: "You don't have permission to do that" });
+    }
+
+    req.user.role = user.role;
+    req.user.cohort = user.cohort;
     next();
   } catch (err) {
-    res.status(401).json({ message: "Token is not valid" });
+    next(err);
   }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,65 @@
+const multer = require("multer");
+const { HttpError } = require("../utils/errors");
+const { MAX_FILE_SIZE, removeUploads } = require("./upload");
+
+// Every error response has the same body: { message, code?, errors? }
+//   message  human-readable summary
+//   code     machine-readable code, when there is one (e.g. VALIDATION_ERROR, SCANNED_PDF)
+//   errors   field-level details for validation errors: [{ field, location, message }]
+
+// Unmatched /api routes
+const notFound = (req, res) => {
+  res.status(404).json({ message: `Cannot ${req.method} ${req.originalUrl}`, code: "NOT_FOUND" });
+};
+
+// Express recognises error handlers by their four arguments, so next stays in the signature
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  // Temp uploads of a request that failed before its route could clean up
+  removeUploads(req);
+
+  // Body that isn't valid JSON (from express.json)
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ message: "Request body is not valid JSON", code: "INVALID_JSON" });
+  }
+
+  // Errors raised on purpose (HttpError, ValidationError, DocumentError), and
+  // client errors from body parsing (payload too large, bad encoding, ...)
+  if (err instanceof HttpError || (err.expose && err.status >= 400 && err.status < 500)) {
+    const body = { message: err.message };
+    if (err.code) body.code = err.code;
+    if (err.errors) body.errors = err.errors;
+    return res.status(err.status).json(body);
+  }
+
+  // Mongoose schema validation that slipped past the request schemas
+  if (err.name === "ValidationError" && err.errors) {
+    const errors = Object.values(err.errors).map((e) => ({ field: e.path, location: "body", message: e.message }));
+    return res.status(400).json({ message: errors[0]?.message || "Invalid data", code: "VALIDATION_ERROR", errors });
+  }
+
+  // Malformed ids and values that couldn't be cast to the schema type
+  if (err.name === "CastError") {
+    return res.status(400).json({
+      message: `Invalid ${err.path === "_id" ? "id" : err.path}`,
+      code: "INVALID_ID",
+      errors: [{ field: err.path, location: "params", message: `${err.path} is not valid` }],
+    });
+  }
+
+  // Upload limits and unexpected file fields
+  if (err instanceof multer.MulterError) {
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        message: `File is too large. The limit is ${+(MAX_FILE_SIZE / (1024 * 1024)).toFixed(1)} MB.`,
+        code: "FILE_TOO_LARGE",
+      });
+    }
+    return res.status(400).json({ message: err.message, code: err.code });
+  }
+
+  console.error(`❌ ${req.method} ${req.originalUrl} failed:`, err);
+  res.status(500).json({ message: "Server error" });
+};
+
+module.exports = { errorHandler, notFound };
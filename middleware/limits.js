@@ -0,0 +1,54 @@
+const rateLimit = require("./rateLimit");
+const { parseLimit } = require("../utils/rateLimit");
+
+// The app's rate limiters. Each limit can be overridden with RATE_LIMIT_<NAME>
+// written as "<max>/<window>", e.g. RATE_LIMIT_LOGIN=20/15m.
+// Limits are per client IP, so behind a proxy set TRUST_PROXY (see index.js);
+// otherwise every client shares the proxy's counter.
+const limiter = (name, defaultLimit, options) => {
+  const envName = `RATE_LIMIT_${name.toUpperCase().replace(/-/g, "_")}`;
+  const configured = parseLimit(process.env[envName]);
+  if (process.env[envName] && !configured) {
+    console.warn(`⚠️ Ignoring ${envName}="${process.env[envName]}"; expected e.g. 10/15m`);
+  }
+  return rateLimit({ name, ...parseLimit(defaultLimit), ...configured, ...options });
+};
+
+// Lower-cased username/email from the body, for per-account limits
+const accountKey = (req) => {
+  const id = req.body?.username || req.body?.email;
+  return typeof id === "string" && id.trim() ? id.trim().toLowerCase() : null;
+};
+
+module.exports = {
+  signup: limiter("signup", "10/1h", {
+    message: "Too many accounts created from this network. Please try again later.",
+  }),
+
+  // Password guessing: per IP, and per account across IPs (reset on a successful login)
+  login: limiter("login", "10/15m", {
+    message: "Too many login attempts. Please try again later.",
+  }),
+  loginAccount: limiter("login-account", "5/15m", {
+    key: accountKey,
+    message: "Too many login attempts for this account. Please try again later.",
+  }),
+
+  // Reset emails: per IP, and per account so one inbox can't be flooded
+  passwordReset: limiter("password-reset", "5/15m", {
+    message: "Too many password reset attempts. Please try again later.",
+  }),
+  passwordResetAccount: limiter("password-reset-account", "3/1h", {
+    key: accountKey,
+    message: "Too many password reset requests for this account. Please try again later.",
+  }),
+
+  // Paid AI calls: per user (or IP when anonymous), plus an overall per-IP cap
+  ai: limiter("ai", "5/1m", {
+    key: rateLimit.byUser,
+    message: "Too many analysis requests. Please wait a moment and try again.",
+  }),
+  aiIp: limiter("ai-ip", "20/1m", {
+    message: "Too many analysis requests from this network. Please wait a moment and try again.",
+  }),
+};
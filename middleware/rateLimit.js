@@ -0,0 +1,63 @@
+const { getStore } = require("../utils/rateLimit");
+
+// Fixed-window rate limiting.
+//   name:     limiter name; keeps the counters of different limiters apart in a shared store
+//   windowMs: window length
+//   max:      requests allowed per key per window
+//   key:      (req) => string; defaults to the client IP. Return null to skip limiting.
+//   message:  error message for the 429 response
+//   store:    counter store (defaults to RATE_LIMIT_STORE, see utils/rateLimit)
+// Responses carry RateLimit-Limit/Remaining/Reset headers; a 429 adds Retry-After.
+// The returned middleware also has reset(req) to clear the client's counter.
+function rateLimit({
+  name,
+  windowMs,
+  max,
+  key = (req) => req.ip,
+  message = "Too many requests, please try again later.",
+  store,
+}) {
+  if (!name) throw new Error("rateLimit needs a name");
+
+  const middleware = async (req, res, next) => {
+    const id = key(req);
+    if (id === null || id === undefined) return next();
+
+    let entry;
+    try {
+      entry = await (store || getStore()).hit(`${name}:${id}`, windowMs);
+    } catch (err) {
+      // Don't lock everyone out because the counter store is unavailable
+      console.error(`⚠️ Rate limit store error (${name}):`, err.message);
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((entry.resetAt.getTime() - Date.now()) / 1000));
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - entry.count)),
+      "RateLimit-Reset": String(retryAfter),
+    });
+
+    if (entry.count > max) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ message, code: "RATE_LIMITED", retryAfter });
+    }
+    next();
+  };
+
+  // Clear the client's counter, e.g. after a successful login
+  middleware.reset = async (req) => {
+    const id = key(req);
+    if (id !== null && id !== undefined) await (store || getStore()).reset(`${name}:${id}`);
+  };
+
+  return middleware;
+}
+
+// Common keys
+rateLimit.byIp = (req) => req.ip;
+// Signed-in user, falling back to the IP for anonymous requests (use after auth/auth.optional)
+rateLimit.byUser = (req) => (req.user?.id ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+module.exports = rateLimit;
@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const { isSupportedUpload } = require("../utils/documents");
+const { HttpError } = require("../utils/errors");
+
+const UPLOAD_DIR = "uploads/";
+// UPLOAD_MAX_MB  largest accepted upload (default 5)
+const MAX_FILE_SIZE = Math.floor((Number(process.env.UPLOAD_MAX_MB) || 5) * 1024 * 1024);
+
+// Check for CSV/JSON exports from spreadsheets and other trackers
+const isSpreadsheet = (file) => {
+  const name = (file.originalname || "").toLowerCase();
+  return name.endsWith(".csv") ||
+    name.endsWith(".json") ||
+    ["text/csv", "application/csv", "application/vnd.ms-excel", "application/json"].includes(file.mimetype);
+};
+
+// Documents and images that can be attached to a job (resume, cover/offer letter, JD)
+const ATTACHMENT_EXTENSIONS = [".pdf", ".doc", ".docx", ".txt", ".md", ".rtf", ".odt", ".png", ".jpg", ".jpeg"];
+const isAttachment = (file) =>
+  ATTACHMENT_EXTENSIONS.includes(path.extname(file.originalname || "").toLowerCase()) || isSupportedUpload(file);
+
+const createUpload = (accepts, errorMessage) =>
+  multer({
+    dest: UPLOAD_DIR,
+    // At most a resume and a JD per request, and no stray form fields
+    limits: { fileSize: MAX_FILE_SIZE, files: 2, fields: 20, fieldSize: 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+      if (accepts(file)) {
+        cb(null, true);
+      } else {
+        cb(new HttpError(400, errorMessage, "UNSUPPORTED_TYPE"));
+      }
+    },
+  });
+
+// Delete a request's temp uploads (req.file and req.files) once they've been read
+const removeUploads = (req) => {
+  const files = [req.file, ...Object.values(req.files || {}).flat()].filter(Boolean);
+  files.forEach((file) => fs.unlink(file.path, () => {}));
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  removeUploads,
+  documentUpload: createUpload(isSupportedUpload, "Only PDF, DOCX, TXT or Markdown files are allowed"),
+  spreadsheetUpload: createUpload(isSpreadsheet, "Only CSV or JSON files are allowed"),
+  attachmentUpload: createUpload(isAttachment, "Only PDF, Word, text or image files can be attached"),
+};
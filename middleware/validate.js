@@ -0,0 +1,24 @@
+const { validateRequestPart } = require("../utils/validation");
+const { ValidationError } = require("../utils/errors");
+
+// Validate params, query and body against declarative schemas (see utils/validation.js):
+//   router.post("/", auth, validate(schemas.createJob), handler)
+// where each schema entry names the parts it checks, e.g. createJob = { body: {...} }.
+// Invalid requests go to the error handler as a 400 with field-level errors.
+// req.body and req.params are replaced with the validated values; req.query is
+// read-only in Express 5, so it is checked but left as sent.
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  ["params", "query", "body"].forEach((location) => {
+    if (!schemas[location]) return;
+    const result = validateRequestPart(req[location], schemas[location], location);
+    errors.push(...result.errors);
+    if (location !== "query") req[location] = result.value;
+  });
+
+  if (errors.length > 0) return next(new ValidationError(errors));
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// AI requests made by one user (or anonymous IP) on one UTC day, for daily quotas
+const AiUsageSchema = new mongoose.Schema(
+  {
+    // "user:<id>" or "ip:<address>"
+    key: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // UTC day, YYYY-MM-DD
+    day: {
+      type: String,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // Requests per analysis type, e.g. { "resume-feedback": 2, match: 1 }
+    byType: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+AiUsageSchema.index({ key: 1, day: 1 }, { unique: true });
+// Old usage is removed by MongoDB
+AiUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AiUsage", AiUsageSchema);
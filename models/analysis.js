@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const ANALYSIS_STATUSES = ["queued", "running", "completed", "failed"];
+
+// A background resume analysis. Doubles as the queue entry for the Mongo queue backend.
+const AnalysisSchema = new mongoose.Schema(
+  {
+    // Random ids so anonymous analyses can't be guessed
+    _id: {
+      type: String,
+      default: () => crypto.randomUUID(),
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ANALYSIS_STATUSES,
+      default: "queued",
+    },
+    progress: {
+      type: Number,
+      default: 0,
+    },
+    stage: {
+      type: String,
+    },
+    input: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    error: {
+      type: String,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    runAfter: {
+      type: Date,
+      default: Date.now,
+    },
+    startedAt: {
+      type: Date,
+    },
+    // Refreshed by the worker while the job runs; a stale one means the worker is gone
+    heartbeatAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+AnalysisSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+// Finished analyses are kept for a week
+AnalysisSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Analysis", AnalysisSchema);
+module.exports.ANALYSIS_STATUSES = ANALYSIS_STATUSES;
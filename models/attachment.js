@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+const ATTACHMENT_KINDS = ["resume", "cover-letter", "offer-letter", "jd", "other"];
+
+// A file attached to a job application. The file itself lives in the storage driver
+// (utils/storage) under storageKey; a resume attachment can also (or only) point to
+// the saved resume version that was sent.
+const AttachmentSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ATTACHMENT_KINDS,
+      default: "other",
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    resume: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resume",
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    contentType: {
+      type: String,
+    },
+    // Bytes counted against the user's storage quota (0 for a resume link without a file)
+    size: {
+      type: Number,
+      default: 0,
+    },
+    sha256: {
+      type: String,
+    },
+    driver: {
+      type: String,
+    },
+    storageKey: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+AttachmentSchema.index({ user: 1, job: 1 });
+AttachmentSchema.index({ resume: 1 });
+
+module.exports = mongoose.model("Attachment", AttachmentSchema);
+module.exports.ATTACHMENT_KINDS = ATTACHMENT_KINDS;
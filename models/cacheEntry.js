@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// A cached AI result or extracted document text (used by the mongo cache store)
+const CacheEntrySchema = new mongoose.Schema(
+  {
+    // "<namespace>:<content hash>"
+    _id: {
+      type: String,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Expired entries are removed by MongoDB
+CacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("CacheEntry", CacheEntrySchema);
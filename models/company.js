@@ -0,0 +1,160 @@
+const mongoose = require("mongoose");
+
+// Legal suffixes and country/region qualifiers, which don't distinguish one company from
+// another when they end the name ("Google India Pvt. Ltd." is the same company as "Google").
+// Elsewhere in a name they do ("Global Payments", "US Bank"), so only trailing ones are dropped.
+const LEGAL_SUFFIXES = new Set([
+  "inc", "incorporated", "llc", "llp", "ltd", "limited", "pvt", "private", "plc",
+  "corp", "corporation", "co", "company", "gmbh", "ag", "sa",
+]);
+const REGIONS = new Set(["india", "usa", "us", "uk", "global", "international"]);
+
+// A region is part of the name after "of" ("Bank of India"); a trailing "and" is what's
+// left of "& Co."
+const trailingNoise = (words, i) =>
+  LEGAL_SUFFIXES.has(words[i]) || words[i] === "and" || (REGIONS.has(words[i]) && words[i - 1] !== "of");
+
+// Normalized form used to detect duplicates: lowercase with punctuation, spaces, a leading
+// "the" and trailing noise words removed, so "J.P. Morgan & Co." and "JP Morgan" share "jpmorgan"
+const companyKey = (name) => {
+  const words = String(name || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  let end = words.length;
+  while (end > 0 && trailingNoise(words, end - 1)) end--;
+  const significant = words.slice(words[0] === "the" ? 1 : 0, end);
+  // Keep the full name when it's nothing but noise words ("The Company")
+  return (significant.length > 0 ? significant : words).join("");
+};
+
+const LinkSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// Someone at the company: recruiter, referrer, interviewer, ...
+const ContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  title: {
+    type: String,
+    trim: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  linkedin: {
+    type: String,
+    trim: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+});
+
+// A company a user has applied to. Jobs reference it through companyId, so different
+// spellings of the same name ("Google", "google", "Google India") share one record.
+const CompanySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Canonical display name
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Other spellings seen on jobs or added by the user
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    // companyKey() of the name and every alias, for matching new jobs
+    keys: {
+      type: [String],
+      default: [],
+    },
+    links: {
+      type: [LinkSchema],
+      default: [],
+    },
+    contacts: {
+      type: [ContactSchema],
+      default: [],
+    },
+    recruiterEmails: {
+      type: [String],
+      default: [],
+    },
+    // Research notes shared by every application to this company
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A key belongs to at most one of a user's companies
+CompanySchema.index({ user: 1, keys: 1 }, { unique: true });
+
+CompanySchema.pre("validate", function (next) {
+  this.aliases = [...new Set(this.aliases.map((alias) => alias.trim()).filter(Boolean))]
+    .filter((alias) => alias !== this.name);
+  this.recruiterEmails = [...new Set(this.recruiterEmails.map((email) => email.trim().toLowerCase()).filter(Boolean))];
+  this.keys = [...new Set([this.name, ...this.aliases].map(companyKey).filter(Boolean))];
+  next();
+});
+
+// Find the user's company matching `name` (by name or alias), creating it if there is
+// none. A new spelling of a known company is remembered as an alias.
+CompanySchema.statics.resolve = async function (userId, name) {
+  const key = companyKey(name);
+  if (!key) return null;
+  const trimmed = name.trim();
+
+  const existing = await this.findOne({ user: userId, keys: key });
+  if (existing) {
+    if (existing.name !== trimmed && !existing.aliases.includes(trimmed)) {
+      await this.updateOne({ _id: existing._id }, { $addToSet: { aliases: trimmed } });
+    }
+    return existing;
+  }
+
+  try {
+    return await this.create({ user: userId, name: trimmed });
+  } catch (err) {
+    // Created by a concurrent request in the meantime
+    if (err.code === 11000) return this.findOne({ user: userId, keys: key });
+    throw err;
+  }
+};
+
+module.exports = mongoose.model("Company", CompanySchema);
+module.exports.companyKey = companyKey;
@@ -1,4 +1,141 @@
 const mongoose = require("mongoose");
+const Company = require("./company");
+const { parsePay } = require("../utils/compensation");
+
+// "ghosted": no response for a long time (set by the stale application rules or by hand)
+const JOB_STATUSES = ["applied", "interview", "offered", "rejected", "ghosted"];
+const JOB_TYPES = ["Internship", "Full-Time", "IT + FT", "IT + PBC"];
+const JOB_MODES = ["on-campus", "off-campus"];
+const ROUND_TYPES = ["oa", "technical", "managerial", "group-discussion", "hr", "other"];
+const ROUND_OUTCOMES = ["pending", "passed", "failed"];
+const STIPEND_PERIODS = ["month", "week", "total"];
+const COMPENSATION_SOURCES = ["manual", "parsed"];
+
+// A single status change recorded on a job
+const StatusEventSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      required: true,
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+  }
+);
+
+// One stage of an interview pipeline (OA, technical, HR, ...)
+const RoundSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ROUND_TYPES,
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    scheduledAt: {
+      type: Date,
+    },
+    outcome: {
+      type: String,
+      enum: ROUND_OUTCOMES,
+      default: "pending",
+    },
+    feedback: {
+      type: String,
+      trim: true,
+    },
+  }
+);
+
+// Result of matching the resume sent for this job against its JD
+const MatchSchema = new mongoose.Schema(
+  {
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    matchedSkills: [String],
+    missingSkills: [String],
+    resume: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resume",
+    },
+    analyzedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Internship stipend: per month, per week or for the whole internship
+const StipendSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    period: {
+      type: String,
+      enum: STIPEND_PERIODS,
+      default: "month",
+    },
+    durationMonths: {
+      type: Number,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Full-time package per year. Bonus is a one-off amount (joining, sign-on, ...)
+const CtcSchema = new mongoose.Schema(
+  {
+    total: { type: Number, min: 0 },
+    base: { type: Number, min: 0 },
+    bonus: { type: Number, min: 0 },
+    stock: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+// Structured pay. "IT + FT" / "IT + PBC" jobs can have both a stipend and a CTC.
+// `source` is "parsed" when it was derived from the free-text pay field.
+const CompensationSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z]{3}$/,
+      default: "INR",
+    },
+    stipend: {
+      type: StipendSchema,
+    },
+    ctc: {
+      type: CtcSchema,
+    },
+    source: {
+      type: String,
+      enum: COMPENSATION_SOURCES,
+      default: "manual",
+    },
+  },
+  { _id: false }
+);
 
 const JobSchema = new mongoose.Schema(
   {
@@ -7,11 +144,16 @@ const JobSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Company name as entered; companyId links it to the user's shared company record
     company: {
       type: String,
       required: true,
       trim: true,
     },
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Company",
+    },
     role: {
       type: String,
       required: true,
@@ -21,6 +163,9 @@ const JobSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    compensation: {
+      type: CompensationSchema,
+    },
     dateApplied: {
       type: Date,
       required: true,
@@ -28,20 +173,38 @@ const JobSchema = new mongoose.Schema(
     interviewDate: {
       type: Date,
     },
+    followUpDate: {
+      type: Date,
+    },
     jobType: {
       type: String,
-      enum: ["Internship", "Full-Time", "IT + FT", "IT + PBC"],
+      enum: JOB_TYPES,
     },
     status: {
       type: String,
-      enum: ["applied", "interview", "offered", "rejected"],
+      enum: JOB_STATUSES,
       default: "applied",
     },
+    match: {
+      type: MatchSchema,
+    },
+    rounds: {
+      type: [RoundSchema],
+      default: [],
+    },
+    statusHistory: {
+      type: [StatusEventSchema],
+      default: [],
+    },
     mode: {
       type: String,
-      enum: ["on-campus", "off-campus"],
+      enum: JOB_MODES,
       default: "on-campus",
     },
+    // Set when the stale application rules flag the job; cleared when its status changes
+    staleAt: {
+      type: Date,
+    },
     notes: {
       type: String,
       trim: true,
@@ -50,4 +213,76 @@ const JobSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Record a status event whenever the status is set or changed.
+// Callers can pass a note/date for the event via job.statusNote / job.statusDate.
+JobSchema.virtual("statusNote");
+JobSchema.virtual("statusDate");
+
+JobSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("status")) {
+    this.statusHistory.push({
+      status: this.status,
+      date: this.statusDate || (this.isNew ? this.dateApplied : undefined) || Date.now(),
+      note: this.statusNote,
+    });
+    this.staleAt = undefined;
+  }
+
+  // Keep parsed compensation in step with the free-text pay; hand-entered values are left alone
+  const stale = !this.compensation || this.isModified("pay") || this.isModified("jobType");
+  if (stale && this.compensation?.source !== "manual") {
+    this.compensation = parsePay(this.pay, this.jobType) || undefined;
+  }
+  next();
+});
+
+// Link the job to the user's company record, creating one for a new company
+JobSchema.pre("save", async function () {
+  if (this.companyId && !this.isModified("company")) return;
+  const company = await Company.resolve(this.user, this.company);
+  this.companyId = company?._id;
+});
+
+// Date the job first reached the given status, if it ever did
+JobSchema.methods.firstReached = function (status) {
+  const event = this.statusHistory.find((e) => e.status === status);
+  return event ? event.date : null;
+};
+
+// Derive the overall status and next interview date from the rounds.
+// A failed round rejects the job, a passed final HR round means an offer,
+// and any other progress in the pipeline means the job is at interview stage.
+JobSchema.methods.syncFromRounds = function () {
+  const rounds = this.rounds;
+  if (rounds.length === 0) return;
+
+  const failed = rounds.find((r) => r.outcome === "failed");
+  const last = rounds[rounds.length - 1];
+  let status = "interview";
+  let note = "Interview rounds scheduled";
+  if (failed) {
+    status = "rejected";
+    note = `Did not clear ${failed.name || failed.type} round`;
+  } else if (last.type === "hr" && rounds.every((r) => r.outcome === "passed")) {
+    status = "offered";
+    note = "Cleared all interview rounds";
+  }
+
+  if (status !== this.status) {
+    this.status = status;
+    this.statusNote = note;
+  }
+
+  const upcoming = rounds
+    .filter((r) => r.outcome === "pending" && r.scheduledAt)
+    .sort((a, b) => a.scheduledAt - b.scheduledAt)[0];
+  if (upcoming) this.interviewDate = upcoming.scheduledAt;
+};
+
 module.exports = mongoose.model("Job", JobSchema);
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_MODES = JOB_MODES;
+module.exports.ROUND_TYPES = ROUND_TYPES;
+module.exports.ROUND_OUTCOMES = ROUND_OUTCOMES;
+module.exports.STIPEND_PERIODS = STIPEND_PERIODS;
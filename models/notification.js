@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+    },
+    type: {
+      type: String,
+      enum: ["reminder", "stale"],
+      default: "reminder",
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // The event this notification is about and how long before it was sent,
+    // so each reminder is only created once per event and offset
+    eventKey: {
+      type: String,
+      required: true,
+    },
+    eventDate: {
+      type: Date,
+    },
+    offsetMinutes: {
+      type: Number,
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+NotificationSchema.index({ user: 1, eventKey: 1, offsetMinutes: 1 }, { unique: true });
+
+module.exports = mongoose.model("Notification", NotificationSchema);
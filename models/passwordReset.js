@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Single-use password reset token. Only the SHA-256 hash of the token is stored.
+const PasswordResetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+    requestedIp: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// Expired tokens are removed by MongoDB
+PasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordReset", PasswordResetSchema);
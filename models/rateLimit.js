@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Request counter for one rate limit window (used by the mongo rate limit store)
+const RateLimitSchema = new mongoose.Schema({
+  // "<limiter name>:<client key>"
+  _id: {
+    type: String,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Finished windows are removed by MongoDB
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", RateLimitSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// A saved resume analysis; each upload by the same user becomes a new version
+const ResumeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    // Structured static analysis (utils/resumeAnalysis); older versions stored a list of strings
+    staticFeedback: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    metrics: {
+      sectionsFound: [String],
+      actionVerbCount: Number,
+      keywordsFound: [String],
+      quantifiedBullets: Number,
+      bulletCount: Number,
+      score: Number,
+    },
+    aiFeedback: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true }
+);
+
+ResumeSchema.index({ user: 1, version: -1 }, { unique: true });
+
+// Next version number for a user's resumes
+ResumeSchema.statics.nextVersion = async function (userId) {
+  const latest = await this.findOne({ user: userId }).sort({ version: -1 }).select("version");
+  return latest ? latest.version + 1 : 1;
+};
+
+// Save a resume as the user's next version. Two saves at the same moment can pick the
+// same number; the unique index rejects the second, which then takes the next one.
+ResumeSchema.statics.createVersion = async function (userId, fields, attempts = 5) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.create({ ...fields, user: userId, version: await this.nextVersion(userId) });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= attempts) throw err;
+    }
+  }
+};
+
+module.exports = mongoose.model("Resume", ResumeSchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const TASK_TYPES = ["follow-up", "email", "thank-you", "prepare", "other"];
+const TASK_SOURCES = ["user", "stale-rule"];
+
+// A to-do attached to a job: follow up, email the recruiter, send a thank-you note, ...
+const TaskSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: TASK_TYPES,
+      default: "follow-up",
+    },
+    dueDate: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // "stale-rule" tasks are created by utils/staleApplications.js
+    source: {
+      type: String,
+      enum: TASK_SOURCES,
+      default: "user",
+    },
+  },
+  { timestamps: true }
+);
+
+TaskSchema.index({ user: 1, completedAt: 1, dueDate: 1 });
+TaskSchema.index({ job: 1 });
+
+module.exports = mongoose.model("Task", TaskSchema);
+module.exports.TASK_TYPES = TASK_TYPES;
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 
+const ROLES = ["user", "placement-officer", "admin"];
+
 const UserSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -26,14 +28,35 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: "user",
+  },
+  // Batch/college group, used to scope a placement officer's view of the stats
+  cohort: {
+    type: String,
+    trim: true,
+  },
+  // Disabled accounts can't log in and have their sessions revoked
+  disabledAt: {
+    type: Date,
+  },
+  // Legacy security question fields. No longer collected; cleared on login, on password
+  // reset, and by scripts/migrate-security-questions.js
   securityQuestion: {
     type: String,
-    required: true,
   },
   securityAnswer: {
     type: String,
-    required: true,
+  },
+  // Secret used in the subscribable iCalendar feed URL
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
   },
 });
 
 module.exports = mongoose.model("User", UserSchema);
+module.exports.ROLES = ROLES;
@@ -0,0 +1,228 @@
+const express = require("express");
+const router = express.Router();
+
+const User = require("../models/user");
+const Job = require("../models/jobs");
+const Session = require("../models/session");
+const auth = require("../middleware/auth");
+const { requireRole } = require("../middleware/auth");
+const validate = require("../middleware/validate");
+const schemas = require("../schemas/admin");
+const { invalidate } = require("../utils/cache");
+const { median, periodStart } = require("../utils/stats");
+
+const DEFAULT_LIMIT = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toCounts = (groups) =>
+  groups.reduce((counts, { _id, count }) => ({ ...counts, [_id || "unknown"]: count }), {});
+
+// List users (admin): q (username/name/email), role, cohort, disabled=true|false, page, limit
+router.get("/users", auth, requireRole("admin"), validate(schemas.listUsers), async (req, res, next) => {
+  try {
+    const { q, role, cohort, disabled } = req.query;
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+
+    const filter = {};
+    if (typeof q === "string" && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), "i");
+      filter.$or = [{ username: pattern }, { name: pattern }, { email: pattern }];
+    }
+    if (role) filter.role = role;
+    if (typeof cohort === "string") filter.cohort = cohort;
+    if (["true", "1"].includes(disabled)) filter.disabledAt = { $ne: null };
+    if (["false", "0"].includes(disabled)) filter.disabledAt = null;
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select("-password -securityQuestion -securityAnswer -calendarToken")
+        .sort({ username: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    // Application counts for the users on this page
+    const counts = await Job.aggregate([
+      { $match: { user: { $in: users.map((u) => u._id) } } },
+      { $group: { _id: "$user", count: { $sum: 1 } } },
+    ]);
+    const countByUser = new Map(counts.map((c) => [c._id.toString(), c.count]));
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      users: users.map((u) => ({ ...u, applications: countByUser.get(u._id.toString()) || 0 })),
+      pagination: { total, page, limit, totalPages, hasNextPage: page < totalPages },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a user's role, cohort or disabled state (admin).
+// Disabling an account also revokes all of its sessions.
+router.patch("/users/:id", auth, requireRole("admin"), validate(schemas.updateUser), async (req, res, next) => {
+  try {
+    const { role, cohort, disabled } = req.body;
+
+    // Guard against admins locking themselves out
+    if (req.params.id === req.user.id && (disabled === true || (role && role !== "admin"))) {
+      return res.status(400).json({ message: "You can't disable or demote your own account" });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (role !== undefined) user.role = role;
+    if (cohort !== undefined) user.cohort = cohort || undefined;
+    if (disabled === true && !user.disabledAt) user.disabledAt = new Date();
+    if (disabled === false) user.disabledAt = undefined;
+    await user.save();
+
+    if (user.disabledAt) {
+      await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+    }
+
+    res.json({
+      user: {
+        _id: user._id,
+        username: user.username,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        cohort: user.cohort,
+        disabledAt: user.disabledAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cohort-wide application stats (admin, placement-officer). Only aggregates are returned,
+// never individual students' jobs. Placement officers only ever see their own cohort
+// (and none until they're assigned one); admins can pass ?cohort=.
+// period: last30days | last90days | all (default)
+router.get("/stats", auth, requireRole("admin", "placement-officer"), validate(schemas.stats), async (req, res, next) => {
+  try {
+    const { period } = req.query;
+    const isOfficer = req.user.role === "placement-officer";
+    if (isOfficer && !req.user.cohort) {
+      return res.status(403).json({ message: "You haven't been assigned a cohort yet" });
+    }
+    const cohort = isOfficer ? req.user.cohort : req.query.cohort;
+
+    const startDate = periodStart(period);
+    const studentFilter = { role: "user" };
+    if (cohort) studentFilter.cohort = cohort;
+
+    // Students are matched through a join on each job rather than an $in list of ids,
+    // which would have to hold every student in the cohort
+    const [studentCount, [result]] = await Promise.all([
+      User.countDocuments(studentFilter),
+      Job.aggregate([
+        { $match: { dateApplied: startDate ? { $gte: startDate } : { $ne: null } } },
+        {
+          $lookup: {
+            from: User.collection.name,
+            localField: "user",
+            foreignField: "_id",
+            pipeline: [{ $match: studentFilter }, { $project: { _id: 1 } }],
+            as: "student",
+          },
+        },
+        { $match: { "student.0": { $exists: true } } },
+        {
+          $facet: {
+            byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+            byJobType: [{ $group: { _id: "$jobType", count: { $sum: 1 } } }],
+            byMode: [{ $group: { _id: "$mode", count: { $sum: 1 } } }],
+            topCompanies: [
+              {
+                $group: {
+                  _id: { $toLower: { $trim: { input: "$company" } } },
+                  company: { $first: "$company" },
+                  applications: { $sum: 1 },
+                  offers: { $sum: { $cond: [{ $eq: ["$status", "offered"] }, 1, 0] } },
+                },
+              },
+              { $sort: { applications: -1, _id: 1 } },
+              { $limit: 10 },
+              { $project: { _id: 0, company: 1, applications: 1, offers: 1 } },
+            ],
+            perStudent: [
+              {
+                $group: {
+                  _id: "$user",
+                  applications: { $sum: 1 },
+                  // Reached the interview stage at some point, even if later rejected
+                  interviews: {
+                    $sum: {
+                      $cond: [
+                        {
+                          $or: [
+                            { $in: ["$status", ["interview", "offered"]] },
+                            { $in: ["interview", { $ifNull: ["$statusHistory.status", []] }] },
+                          ],
+                        },
+                        1,
+                        0,
+                      ],
+                    },
+                  },
+                  offers: { $sum: { $cond: [{ $eq: ["$status", "offered"] }, 1, 0] } },
+                },
+              },
+            ],
+          },
+        },
+      ]),
+    ]);
+
+    const perStudent = result.perStudent;
+    const applicationsPerStudent = perStudent.map((s) => s.applications);
+    const totalApplications = applicationsPerStudent.reduce((sum, n) => sum + n, 0);
+    const withInterview = perStudent.filter((s) => s.interviews > 0).length;
+    const withOffer = perStudent.filter((s) => s.offers > 0).length;
+    const rate = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : 0);
+
+    res.json({
+      cohort: cohort || null,
+      period: period || "all",
+      students: {
+        total: studentCount,
+        active: perStudent.length,
+        withInterview,
+        withOffer,
+        placementRate: rate(withOffer, studentCount),
+      },
+      applications: {
+        total: totalApplications,
+        avgPerActiveStudent: perStudent.length ? Math.round((totalApplications / perStudent.length) * 10) / 10 : 0,
+        medianPerActiveStudent: median(applicationsPerStudent) ?? 0,
+        byStatus: { applied: 0, interview: 0, offered: 0, rejected: 0, ghosted: 0, ...toCounts(result.byStatus) },
+        byJobType: toCounts(result.byJobType),
+        byMode: toCounts(result.byMode),
+      },
+      topCompanies: result.topCompanies,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Clear cached AI results and extracted document text (admin).
+// ?namespace= limits it to one kind: llm (every AI task), llm:<task> or document-text.
+router.delete("/cache", auth, requireRole("admin"), validate(schemas.clearCache), async (req, res, next) => {
+  try {
+    const removed = await invalidate(req.query.namespace);
+    res.json({ message: "Cache cleared", namespace: req.query.namespace || null, removed });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth");
+const { documentUpload, removeUploads } = require("../middleware/upload");
+const validate = require("../middleware/validate");
+const limits = require("../middleware/limits");
+const aiQuota = require("../middleware/aiQuota");
+const aiSchemas = require("../schemas/ai");
+const { readDocument } = require("../utils/documents");
+const { analysisQueue, toPublic } = require("../utils/analysisQueue");
+
+const EVENTS_POLL_MS = 1000;
+
+const submitted = (req, res, job) =>
+  res.status(202).json({
+    ...toPublic(job),
+    statusUrl: `${req.baseUrl}/${job._id}`,
+    eventsUrl: `${req.baseUrl}/${job._id}/events`,
+  });
+
+// Load an analysis the current caller may see (its owner, or anyone for anonymous ones)
+const findVisibleAnalysis = async (req, res) => {
+  const job = await analysisQueue.get(req.params.id);
+  if (!job || (job.user && job.user.toString() !== req.user?.id)) {
+    res.status(404).json({ message: "Analysis not found" });
+    return null;
+  }
+  return job;
+};
+
+// Queue a resume review ("resume" upload or resumeText); returns the analysis id right away
+router.post("/resume-feedback", auth.optional, limits.aiIp, limits.ai, documentUpload.single("resume"), validate(aiSchemas.resumeFeedback), aiQuota("resume-feedback"), async (req, res, next) => {
+  try {
+    const text = await readDocument({ file: req.file, text: req.body?.resumeText, label: "resume" });
+
+    const job = await analysisQueue.add(
+      "resume-feedback",
+      { text, userId: req.user?.id, label: req.body?.label, fileName: req.file?.originalname, quota: req.aiQuota },
+      { user: req.user?.id }
+    );
+    submitted(req, res, job);
+  } catch (error) {
+    next(error);
+  } finally {
+    removeUploads(req);
+  }
+});
+
+// Queue a resume/JD match (uploads or resumeText/jdText); returns the analysis id right away
+router.post("/match", auth.optional, limits.aiIp, limits.ai, documentUpload.fields([{ name: "resume" }, { name: "jd" }]), validate(aiSchemas.match), aiQuota("match"), async (req, res, next) => {
+  try {
+    const resumeText = await readDocument({ file: req.files?.resume?.[0], text: req.body?.resumeText, label: "resume" });
+    const jdText = await readDocument({ file: req.files?.jd?.[0], text: req.body?.jdText, label: "job description" });
+
+    const job = await analysisQueue.add("match", { resumeText, jdText, quota: req.aiQuota }, { user: req.user?.id });
+    submitted(req, res, job);
+  } catch (error) {
+    next(error);
+  } finally {
+    removeUploads(req);
+  }
+});
+
+// Poll an analysis
+router.get("/:id", auth.optional, async (req, res, next) => {
+  try {
+    const job = await findVisibleAnalysis(req, res);
+    if (!job) return;
+
+    res.json(toPublic(job));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stream progress as server-sent events until the analysis completes or fails
+router.get("/:id/events", auth.optional, async (req, res, next) => {
+  try {
+    const job = await findVisibleAnalysis(req, res);
+    if (!job) return;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    let lastSent = null;
+    let timer = null;
+    const send = (current) => {
+      const view = toPublic(current);
+      const key = `${view.status}:${view.progress}:${view.stage}`;
+      if (key !== lastSent) {
+        lastSent = key;
+        res.write(`event: ${view.status === "completed" || view.status === "failed" ? view.status : "progress"}\n`);
+        res.write(`data: ${JSON.stringify(view)}\n\n`);
+      }
+      if (view.status === "completed" || view.status === "failed") {
+        clearInterval(timer);
+        res.end();
+      }
+    };
+
+    timer = setInterval(async () => {
+      try {
+        const current = await analysisQueue.get(req.params.id);
+        if (current) send(current);
+      } catch (err) {
+        console.error("Analysis events error:", err);
+      }
+    }, EVENTS_POLL_MS);
+    req.on("close", () => clearInterval(timer));
+
+    send(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require("express");
+const router = express.Router();
+const fs = require("fs");
+const Attachment = require("../models/attachment");
+const Job = require("../models/jobs");
+const Resume = require("../models/resume");
+const auth = require("../middleware/auth");
+const validate = require("../middleware/validate");
+const schemas = require("../schemas/attachments");
+const { attachmentUpload } = require("../middleware/upload");
+const { signDownloadToken, verifyDownloadToken } = require("../utils/tokens");
+const { storageUsage, createAttachment, openAttachment, removeAttachments } = require("../utils/attachments");
+
+const JOB_SUMMARY = "company role status dateApplied";
+const RESUME_SUMMARY = "version label fileName createdAt";
+
+const downloadUrl = (req, id, token) =>
+  `${req.protocol}://${req.get("host")}/api/attachments/${id}/download?token=${encodeURIComponent(token)}`;
+
+// Downloads accept either the usual Authorization header or a signed ?token= link
+const downloadAuth = (req, res, next) => {
+  if (typeof req.query.token !== "string") return auth(req, res, next);
+
+  try {
+    const decoded = verifyDownloadToken(req.query.token);
+    if (decoded.aid !== req.params.id) throw new Error("Token is for another attachment");
+    req.user = { id: decoded.id };
+  } catch (err) {
+    return res.status(401).json({ message: "Download link is invalid or has expired", code: "INVALID_DOWNLOAD_TOKEN" });
+  }
+  next();
+};
+
+// List attachments (?jobId=, ?resumeId=, ?kind=) with the user's storage usage
+router.get("/", auth, validate(schemas.listAttachments), async (req, res, next) => {
+  try {
+    const { jobId, resumeId, kind } = req.query;
+    const filter = { user: req.user.id };
+    if (jobId) filter.job = jobId;
+    if (resumeId) filter.resume = resumeId;
+    if (kind) filter.kind = kind;
+
+    const [attachments, usage] = await Promise.all([
+      Attachment.find(filter)
+        .select("-storageKey")
+        .populate("job", JOB_SUMMARY)
+        .populate("resume", RESUME_SUMMARY)
+        .sort({ createdAt: -1 }),
+      storageUsage(req.user.id),
+    ]);
+    res.json({ attachments, usage });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Storage used by the user's attachments and their quota, in bytes
+router.get("/usage", auth, async (req, res, next) => {
+  try {
+    res.json(await storageUsage(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Attach a file (multipart field "file") to a job. For the resume that was sent, pass
+// resumeId to link the saved resume version, with or without uploading the file itself.
+router.post("/", auth, attachmentUpload.single("file"), validate(schemas.createAttachment), async (req, res, next) => {
+  try {
+    const { jobId, kind, label, resumeId } = req.body;
+    if (!req.file && !resumeId) {
+      return res.status(400).json({ message: "Upload a file or choose a saved resume", code: "MISSING_FILE" });
+    }
+
+    const job = await Job.findOne({ _id: jobId, user: req.user.id }).select(JOB_SUMMARY);
+    if (!job) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    let resume = null;
+    if (resumeId) {
+      resume = await Resume.findOne({ _id: resumeId, user: req.user.id }).select(RESUME_SUMMARY);
+      if (!resume) {
+        return res.status(404).json({ message: "Resume not found" });
+      }
+    }
+
+    const attachment = await createAttachment({
+      userId: req.user.id,
+      job,
+      file: req.file,
+      kind: kind || (resume ? "resume" : undefined),
+      label,
+      resume,
+    });
+    const { storageKey, ...body } = attachment.toObject();
+    res.status(201).json({ ...body, job, resume });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (req.file) {
+      fs.unlink(req.file.path, (err) => {
+        if (err && err.code !== "ENOENT") console.error("Error deleting file:", err);
+      });
+    }
+  }
+});
+
+// Get an attachment's details
+router.get("/:id", auth, validate(schemas.attachmentId), async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findOne({ _id: req.params.id, user: req.user.id })
+      .select("-storageKey")
+      .populate("job", JOB_SUMMARY)
+      .populate("resume", RESUME_SUMMARY);
+    if (!attachment) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+    res.json(attachment);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Short-lived download link that works without an Authorization header (DOWNLOAD_URL_TTL, default 5m)
+router.get("/:id/url", auth, validate(schemas.attachmentId), async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findOne({ _id: req.params.id, user: req.user.id }).select("storageKey");
+    if (!attachment) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+    if (!attachment.storageKey) {
+      return res.status(404).json({ message: "This attachment has no file", code: "NO_FILE" });
+    }
+
+    const token = signDownloadToken(req.user.id, attachment._id);
+    const { exp } = verifyDownloadToken(token);
+    res.json({ url: downloadUrl(req, attachment._id, token), expiresAt: new Date(exp * 1000) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download an attachment's file
+router.get("/:id/download", downloadAuth, validate(schemas.download), async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findOne({ _id: req.params.id, user: req.user.id });
+    if (!attachment) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+    if (!attachment.storageKey) {
+      return res.status(404).json({ message: "This attachment has no file", code: "NO_FILE" });
+    }
+
+    let stream;
+    try {
+      stream = await openAttachment(attachment);
+    } catch (err) {
+      if (err.code === "ENOENT" || err.response?.status === 404) {
+        return res.status(404).json({ message: "The stored file is missing", code: "FILE_MISSING" });
+      }
+      throw err;
+    }
+
+    res.attachment(attachment.fileName || "attachment");
+    res.set({
+      "Content-Type": attachment.contentType || "application/octet-stream",
+      "Content-Length": attachment.size,
+      "Cache-Control": "private, no-store",
+    });
+    stream.on("error", next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete an attachment and its stored file
+router.delete("/:id", auth, validate(schemas.attachmentId), async (req, res, next) => {
+  try {
+    const removed = await removeAttachments({ _id: req.params.id, user: req.user.id });
+    if (removed === 0) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+    res.json({ message: "Attachment removed" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
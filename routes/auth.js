@@ -1,32 +1,30 @@
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 
 const User = require("../models/user");
+const Session = require("../models/session");
+const auth = require("../middleware/auth");
+const limits = require("../middleware/limits");
+const validate = require("../middleware/validate");
+const schemas = require("../schemas/auth");
+const { ValidationError } = require("../utils/errors");
+const {
+  ACCESS_TOKEN_TTL,
+  startSession,
+  rotateSession,
+  revokeCookieSession,
+  clearRefreshCookie,
+  verifyAccessToken,
+} = require("../utils/tokens");
+const { sendPasswordResetEmail, consumeResetToken } = require("../utils/passwordReset");
+const { exportUserData, deleteUserData } = require("../utils/accountData");
 
-const JWT_SECRET = process.env.JWT_SECRET || "secret"; // Store this in .env
-
-// Middleware to verify token
-const verifyToken = (req, res, next) => {
-  const token = req.header("Authorization")?.replace("Bearer ", "");
-  
-  if (!token) {
-    return res.status(401).json({ message: "Access denied. No token provided." });
-  }
-  
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(400).json({ message: "Invalid token." });
-  }
-};
+const SECURITY_FIELDS = { securityQuestion: 1, securityAnswer: 1 };
 
 // Signup
-router.post("/signup", async (req, res) => {
-  const { username, name, email, password, securityQuestion, securityAnswer } = req.body;
+router.post("/signup", limits.signup, validate(schemas.signup), async (req, res, next) => {
+  const { username, name, email, password } = req.body;
 
   try {
     // Check if username already exists
@@ -37,19 +35,9 @@ router.post("/signup", async (req, res) => {
     const existingEmail = await User.findOne({ email });
     if (existingEmail) return res.status(400).json({ message: "Email already registered" });
 
-    // Validate username format
-    if (!/^[a-zA-Z0-9_]+$/.test(username)) {
-      return res.status(400).json({ message: "Username can only contain letters, numbers, and underscores" });
-    }
-
-    if (username.length < 3 || username.length > 30) {
-      return res.status(400).json({ message: "Username must be between 3 and 30 characters" });
-    }
-
     // Hash password
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
-    const hashedAnswer = await bcrypt.hash(securityAnswer, salt);
 
     // Create user
     const user = new User({
@@ -57,22 +45,20 @@ router.post("/signup", async (req, res) => {
         name,
         email,
         password: hashedPassword,
-        securityQuestion,
-        securityAnswer: hashedAnswer,
       });
       await user.save();
 
-    // Generate token
-    const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: "7d" });
+    // Start a session: refresh token cookie + short-lived access token
+    const token = await startSession(req, res, user._id);
 
-    res.status(201).json({ token, user: { id: user._id, username: user.username, name, email } });
+    res.status(201).json({ token, expiresIn: ACCESS_TOKEN_TTL, user: { id: user._id, username: user.username, name, email, role: user.role } });
   } catch (error) {
-    res.status(500).json({ message: "Server error during signup" });
+    next(error);
   }
 });
 
 // Login
-router.post("/login", async (req, res) => {
+router.post("/login", limits.login, limits.loginAccount, validate(schemas.login), async (req, res, next) => {
   const { username, password } = req.body;
 
   try {
@@ -84,67 +70,275 @@ router.post("/login", async (req, res) => {
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) return res.status(400).json({ message: "Invalid credentials" });
 
-    // Generate token
-    const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: "7d" });
+    if (user.disabledAt) return res.status(403).json({ message: "This account has been disabled" });
+
+    await limits.loginAccount.reset(req);
+
+    // Security questions are retired; drop any left on the account
+    if (user.securityQuestion || user.securityAnswer) {
+      await User.updateOne({ _id: user._id }, { $unset: SECURITY_FIELDS });
+    }
+
+    // Start a session: refresh token cookie + short-lived access token
+    const token = await startSession(req, res, user._id);
 
-    res.json({ token, user: { id: user._id, username: user.username, name: user.name, email: user.email } });
+    res.json({ token, expiresIn: ACCESS_TOKEN_TTL, user: { id: user._id, username: user.username, name: user.name, email: user.email, role: user.role } });
   } catch (error) {
-    res.status(500).json({ message: "Server error during login" });
+    next(error);
   }
 });
 
-// Get Security Question
-router.get("/security-question", async (req, res) => {
-  const { username } = req.query;
+// Refresh: exchange the refresh cookie for a new access token (the cookie is rotated)
+router.post("/refresh", async (req, res, next) => {
+  try {
+    const result = await rotateSession(req, res);
+    if (!result) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
 
+    res.json({ token: result.token, expiresIn: ACCESS_TOKEN_TTL });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout: revoke the current session and clear the refresh cookie
+router.post("/logout", async (req, res, next) => {
   try {
-    const user = await User.findOne({ username: username.toLowerCase() });
-    if (!user) return res.status(400).json({ message: "User not found" });
+    const revoked = await revokeCookieSession(req);
+
+    // Fall back to the session in the access token when the cookie is gone or stale
+    const token = req.header("Authorization")?.replace("Bearer ", "");
+    if (!revoked && token) {
+      let sessionId;
+      try {
+        sessionId = (await verifyAccessToken(token)).sid;
+      } catch (err) {
+        // already invalid, nothing to revoke
+      }
+      if (sessionId) {
+        await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
+      }
+    }
+
+    clearRefreshCookie(res);
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.status(200).json({ securityQuestion: user.securityQuestion });
+// List the user's active sessions
+router.get("/sessions", auth, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.user.sid,
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke every session except the current one
+router.delete("/sessions", auth, async (req, res, next) => {
+  try {
+    const result = await Session.updateMany(
+      { user: req.user.id, revokedAt: null, _id: { $ne: req.user.sid } },
+      { revokedAt: new Date() }
+    );
+    res.json({ message: "Other sessions revoked", revoked: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one session
+router.delete("/sessions/:id", auth, validate(schemas.sessionId), async (req, res, next) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    res.json({ message: "Session revoked" });
   } catch (error) {
-    res.status(500).json({ message: "Server error fetching security question" });
+    next(error);
   }
 });
 
 // Get User Profile
-router.get("/me", verifyToken, async (req, res) => {
+router.get("/me", auth, async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id).select("-password -securityAnswer");
     if (!user) return res.status(404).json({ message: "User not found" });
     
     res.status(200).json({ user });
   } catch (error) {
-    res.status(500).json({ message: "Server error fetching user profile" });
+    next(error);
   }
 });
 
-// Forgot Password
-router.post("/forgot-password", async (req, res) => {
-    const { username, securityAnswer, newPassword } = req.body;
-  
-    try {
-      const user = await User.findOne({ username: username.toLowerCase() });
-      if (!user) return res.status(400).json({ message: "User not found" });
-  
-      const isAnswerMatch = await bcrypt.compare(
-        securityAnswer,
-        user.securityAnswer
-      );
-      if (!isAnswerMatch)
-        return res.status(400).json({ message: "Incorrect security answer" });
-  
-      const salt = await bcrypt.genSalt(10);
-      const hashedNewPassword = await bcrypt.hash(newPassword, salt);
-  
-      user.password = hashedNewPassword;
-      await user.save();
-  
-      res.status(200).json({ message: "Password updated successfully" });
-    } catch (error) {
-      res.status(500).json({ message: "Server error during password reset" });
+// Update Profile: name, email and/or username. Changing the email (where reset links
+// are sent) also requires the current password.
+router.patch("/me", auth, validate(schemas.updateProfile), async (req, res, next) => {
+  const { name, email, username, currentPassword } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (name !== undefined) user.name = name;
+
+    if (username !== undefined && username.toLowerCase() !== user.username) {
+      const taken = await User.exists({ username: username.toLowerCase(), _id: { $ne: user._id } });
+      if (taken) return res.status(400).json({ message: "Username already taken" });
+      user.username = username;
     }
-  });
+
+    if (email !== undefined && email.toLowerCase() !== user.email) {
+      if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+        return res.status(400).json({ message: "Current password is incorrect" });
+      }
+      const taken = await User.exists({ email: email.toLowerCase(), _id: { $ne: user._id } });
+      if (taken) return res.status(400).json({ message: "Email already registered" });
+      user.email = email;
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      user: { id: user._id, username: user.username, name: user.name, email: user.email, role: user.role },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change Password: requires the current password; other sessions are signed out
+router.post("/change-password", auth, validate(schemas.changePassword), async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) return res.status(400).json({ message: "Current password is incorrect" });
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    await Session.updateMany(
+      { user: user._id, revokedAt: null, _id: { $ne: req.user.sid } },
+      { revokedAt: new Date() }
+    );
+
+    res.status(200).json({ message: "Password updated successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export Account Data: everything stored for the user as a JSON download
+router.get("/me/export", auth, async (req, res, next) => {
+  try {
+    const data = await exportUserData(req.user.id);
+    if (!data) return res.status(404).json({ message: "User not found" });
+
+    res.attachment(`account-export-${new Date().toISOString().split("T")[0]}.json`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete Account: requires the password; removes the user and all of their jobs,
+// resumes, notifications, analyses and sessions. Use GET /me/export first to keep a copy.
+router.delete("/me", auth, validate(schemas.deleteAccount), async (req, res, next) => {
+  const { password } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) return res.status(400).json({ message: "Password is incorrect" });
+
+    await deleteUserData(user._id);
+    clearRefreshCookie(res);
+
+    res.status(200).json({ message: "Account deleted" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Forgot Password: email a single-use reset link. The response is the same whether
+// or not the account exists, so it can't be used to discover usernames or emails.
+router.post("/forgot-password", limits.passwordReset, limits.passwordResetAccount, validate(schemas.forgotPassword), async (req, res, next) => {
+  const { email, username } = req.body;
+
+  try {
+    if (!email && !username) {
+      return next(new ValidationError([
+        { field: "email", location: "body", message: "email or username is required" },
+      ]));
+    }
+
+    const user = email
+      ? await User.findOne({ email: email.toLowerCase() })
+      : await User.findOne({ username: username.toLowerCase() });
+
+    if (user) {
+      await sendPasswordResetEmail(user, { ip: req.ip });
+    }
+
+    res.status(200).json({ message: "If an account matches, a password reset link has been sent to its email address." });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset Password: set a new password using a token from the reset email
+router.post("/reset-password", limits.passwordReset, validate(schemas.resetPassword), async (req, res, next) => {
+  const { token, newPassword } = req.body;
+
+  try {
+    const reset = await consumeResetToken(token);
+    if (!reset) return res.status(400).json({ message: "Reset link is invalid or has expired" });
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedNewPassword = await bcrypt.hash(newPassword, salt);
+
+    const user = await User.findByIdAndUpdate(reset.user, {
+      $set: { password: hashedNewPassword },
+      $unset: SECURITY_FIELDS,
+    });
+    if (!user) return res.status(400).json({ message: "Reset link is invalid or has expired" });
+
+    // Sign out everywhere: whoever knew the old password shouldn't keep a session
+    await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+    res.status(200).json({ message: "Password updated successfully. Please log in again." });
+  } catch (error) {
+    next(error);
+  }
+});
 
 module.exports = router;
 
@@ -0,0 +1,74 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const User = require("../models/user");
+const Job = require("../models/jobs");
+const auth = require("../middleware/auth");
+const { collectJobEvents } = require("../utils/jobEvents");
+const { buildCalendar } = require("../utils/ical");
+
+// Past events older than this are left out of the feed
+const FEED_HISTORY_DAYS = 90;
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get("host")}/api/calendar/${token}.ics`;
+
+const generateToken = () => crypto.randomBytes(24).toString("hex");
+
+// Get (or create) the user's calendar feed URL
+router.get("/token", auth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (!user.calendarToken) {
+      user.calendarToken = generateToken();
+      await user.save();
+    }
+
+    res.json({ token: user.calendarToken, url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rotate the calendar token, invalidating the old feed URL
+router.post("/token", auth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    user.calendarToken = generateToken();
+    await user.save();
+
+    res.json({ token: user.calendarToken, url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Public iCalendar feed; the secret token in the URL identifies the user
+router.get("/:token.ics", async (req, res, next) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+    if (!user) return res.status(404).json({ message: "Calendar not found" });
+
+    const from = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const jobs = await Job.find({
+      user: user._id,
+      $or: [
+        { interviewDate: { $gte: from } },
+        { followUpDate: { $gte: from } },
+        { "rounds.scheduledAt": { $gte: from } },
+      ],
+    });
+    const events = collectJobEvents(jobs, { from });
+
+    res.type("text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="interviews.ics"');
+    res.send(buildCalendar(events, { name: `${user.name}'s Interviews` }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
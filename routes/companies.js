@@ -0,0 +1,199 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Company = require("../models/company");
+const Job = require("../models/jobs");
+const { JOB_STATUSES } = require("../models/jobs");
+const auth = require("../middleware/auth");
+const validate = require("../middleware/validate");
+const schemas = require("../schemas/companies");
+const { HttpError } = require("../utils/errors");
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Names and aliases are unique per user (see the keys index on Company)
+const nameTaken = (error) =>
+  error.code === 11000 ? new HttpError(409, "Another company already uses that name or alias", "COMPANY_EXISTS") : error;
+
+const COMPANY_FIELDS = ["name", "aliases", "links", "contacts", "recruiterEmails", "notes"];
+
+const applyFields = (company, body) => {
+  COMPANY_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    // The old name is a spelling jobs may still use, so keep matching it
+    if (field === "name" && body.aliases === undefined && company.name && company.name !== body.name) {
+      company.aliases.push(company.name);
+    }
+    company[field] = body[field] === null ? undefined : body[field];
+  });
+};
+
+// List a user's companies with application counts. ?q= searches names and aliases.
+router.get("/", auth, validate(schemas.listCompanies), async (req, res, next) => {
+  try {
+    const filter = { user: req.user.id };
+    if (typeof req.query.q === "string" && req.query.q.trim()) {
+      const pattern = new RegExp(escapeRegex(req.query.q.trim()), "i");
+      filter.$or = [{ name: pattern }, { aliases: pattern }];
+    }
+
+    const companies = await Company.find(filter).sort({ name: 1 }).lean();
+    const counts = await Job.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(req.user.id), companyId: { $in: companies.map((c) => c._id) } } },
+      {
+        $group: {
+          _id: "$companyId",
+          applications: { $sum: 1 },
+          offers: { $sum: { $cond: [{ $eq: ["$status", "offered"] }, 1, 0] } },
+          lastAppliedAt: { $max: "$dateApplied" },
+        },
+      },
+    ]);
+    const countsById = new Map(counts.map(({ _id, ...rest }) => [_id.toString(), rest]));
+
+    res.json(companies.map((company) => ({
+      ...company,
+      applications: 0,
+      offers: 0,
+      lastAppliedAt: null,
+      ...countsById.get(company._id.toString()),
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a company (jobs create one automatically for a new company name)
+router.post("/", auth, validate(schemas.createCompany), async (req, res, next) => {
+  try {
+    const company = new Company({ user: req.user.id });
+    applyFields(company, req.body);
+    await company.save();
+    res.status(201).json(company);
+  } catch (error) {
+    next(nameTaken(error));
+  }
+});
+
+// Get a company with every application to it
+router.get("/:id", auth, validate(schemas.companyId), async (req, res, next) => {
+  try {
+    const company = await Company.findOne({ _id: req.params.id, user: req.user.id });
+    if (!company) {
+      return res.status(404).json({ message: "Company not found" });
+    }
+
+    const applications = await Job.find({ user: req.user.id, companyId: company._id }).sort({ dateApplied: -1 });
+    const byStatus = Object.fromEntries(JOB_STATUSES.map((status) => [status, 0]));
+    applications.forEach((job) => {
+      byStatus[job.status]++;
+    });
+
+    res.json({
+      company,
+      summary: { applications: applications.length, byStatus },
+      applications,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a company's name, aliases, links, contacts, recruiter emails or notes.
+// List fields replace the stored list.
+router.put("/:id", auth, validate(schemas.updateCompany), async (req, res, next) => {
+  try {
+    const company = await Company.findOne({ _id: req.params.id, user: req.user.id });
+    if (!company) {
+      return res.status(404).json({ message: "Company not found" });
+    }
+
+    applyFields(company, req.body);
+    await company.save();
+    res.json(company);
+  } catch (error) {
+    next(nameTaken(error));
+  }
+});
+
+// Merge duplicate companies into this one: their names become aliases, their
+// contacts, links, recruiter emails and notes are combined, and their jobs move here
+router.post("/:id/merge", auth, validate(schemas.mergeCompanies), async (req, res, next) => {
+  try {
+    const ids = [...new Set(req.body.ids)].filter((id) => id !== req.params.id);
+    if (ids.length === 0) {
+      return res.status(400).json({ message: "Choose at least one other company to merge" });
+    }
+
+    const [target, sources] = await Promise.all([
+      Company.findOne({ _id: req.params.id, user: req.user.id }),
+      Company.find({ _id: { $in: ids }, user: req.user.id }),
+    ]);
+    if (!target || sources.length !== ids.length) {
+      return res.status(404).json({ message: "Company not found" });
+    }
+
+    const seenUrls = new Set(target.links.map((link) => link.url));
+    sources.forEach((source) => {
+      target.aliases.push(source.name, ...source.aliases);
+      source.links.forEach((link) => {
+        if (!seenUrls.has(link.url)) target.links.push(link.toObject());
+        seenUrls.add(link.url);
+      });
+      target.contacts.push(...source.contacts.map((contact) => contact.toObject()));
+      target.recruiterEmails.push(...source.recruiterEmails);
+    });
+    target.notes = [target.notes, ...sources.map((source) => source.notes)].filter(Boolean).join("\n\n") || undefined;
+
+    // Move the jobs first so they never point at a deleted company
+    const sourceIds = sources.map((source) => source._id);
+    const movedJobs = await Job.find({ user: req.user.id, companyId: { $in: sourceIds } }).select("companyId").lean();
+    const moveJobs = () => Job.updateMany({ user: req.user.id, companyId: { $in: sourceIds } }, { companyId: target._id });
+    const moved = await moveJobs();
+
+    // The target takes over the sources' keys, so swap those for a placeholder companyKey()
+    // never produces. The sources themselves are only deleted once the target is saved.
+    await Promise.all(sources.map((source) => Company.updateOne({ _id: source._id }, { keys: [`merging:${source._id}`] })));
+    try {
+      await target.save();
+    } catch (err) {
+      await Promise.all(sources.map((source) => Promise.all([
+        Company.updateOne({ _id: source._id }, { keys: source.keys }),
+        Job.updateMany(
+          { _id: { $in: movedJobs.filter((job) => job.companyId.equals(source._id)).map((job) => job._id) } },
+          { companyId: source._id }
+        ),
+      ]).catch((restoreErr) => console.error(`⚠️ Could not restore company ${source._id} after a failed merge:`, restoreErr.message))));
+      throw err;
+    }
+    await Company.deleteMany({ _id: { $in: sourceIds } });
+    // Jobs saved to a source while the merge ran
+    const late = await moveJobs();
+
+    res.json({ company: target, merged: sources.length, movedApplications: moved.modifiedCount + late.modifiedCount });
+  } catch (error) {
+    next(nameTaken(error));
+  }
+});
+
+// Delete a company that no longer has any applications
+router.delete("/:id", auth, validate(schemas.companyId), async (req, res, next) => {
+  try {
+    const company = await Company.findOne({ _id: req.params.id, user: req.user.id });
+    if (!company) {
+      return res.status(404).json({ message: "Company not found" });
+    }
+
+    const applications = await Job.countDocuments({ user: req.user.id, companyId: company._id });
+    if (applications > 0) {
+      throw new HttpError(409, "This company still has applications; merge it into another company instead", "COMPANY_IN_USE");
+    }
+
+    await company.deleteOne();
+    res.json({ message: "Company removed" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,221 +1,471 @@
 const express = require("express");
 const router = express.Router();
+const fs = require("fs");
 const Job = require("../models/jobs");
+const Resume = require("../models/resume");
+const Task = require("../models/task");
 const auth = require("../middleware/auth");
+const validate = require("../middleware/validate");
+const limits = require("../middleware/limits");
+const aiQuota = require("../middleware/aiQuota");
+const schemas = require("../schemas/jobs");
+const { ValidationError } = require("../utils/errors");
+const { documentUpload, spreadsheetUpload } = require("../middleware/upload");
+const { parseCsvObjects, toCsv } = require("../utils/csv");
+const { JOB_COLUMNS, toExportRow, normalizeImportRow, duplicateKey } = require("../utils/jobTransfer");
+const { buildJobQuery } = require("../utils/jobQuery");
+const { analyticsRange, buildJobAnalytics } = require("../utils/jobAnalytics");
+const { compareOffers } = require("../utils/compensation");
+const { removeAttachments } = require("../utils/attachments");
+const { collectJobEvents } = require("../utils/jobEvents");
+const { matchResumeToJd } = require("../utils/resumeMatch");
+const { readDocument } = require("../utils/documents");
 
-// Get all jobs for a user
-router.get("/", auth, async (req, res) => {
+// Hand-entered compensation takes precedence over what's parsed from `pay`;
+// null clears it so the pay text is parsed again on save
+const manualCompensation = (compensation) => (compensation ? { ...compensation, source: "manual" } : undefined);
+
+// Load a job and make sure the current user owns it.
+// Sends the error response and returns null when it can't be used.
+const findOwnedJob = async (req, res) => {
+  const job = await Job.findById(req.params.id);
+  if (!job) {
+    res.status(404).json({ message: "Job not found" });
+    return null;
+  }
+  if (job.user.toString() !== req.user.id) {
+    res.status(401).json({ message: "Not authorized" });
+    return null;
+  }
+  return job;
+};
+
+// Get jobs for a user, with optional search, filters and sorting:
+//   q, status, jobType, mode, companyId, stale, appliedFrom/appliedTo, interviewFrom/interviewTo, sort, order
+// Without page/limit the full array is returned (total in X-Total-Count);
+// with them the response is { jobs, pagination }.
+router.get("/", auth, async (req, res, next) => {
   try {
-    const jobs = await Job.find({ user: req.user.id }).sort({ dateApplied: -1 });
-    res.json(jobs);
+    const { errors, filter, sort, pagination } = buildJobQuery(req.user.id, req.query);
+    if (errors) return next(new ValidationError(errors));
+
+    if (!pagination) {
+      const jobs = await Job.find(filter).sort(sort);
+      res.set("X-Total-Count", String(jobs.length));
+      return res.json(jobs);
+    }
+
+    const { page, limit } = pagination;
+    const [jobs, total] = await Promise.all([
+      Job.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+      Job.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.set("X-Total-Count", String(total));
+    res.json({
+      jobs,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages,
+        hasNextPage: page < totalPages
+      }
+    });
   } catch (error) {
-    res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
-// Get jobs by status for a user
-router.get("/status/:status", auth, async (req, res) => {
+// Export all jobs for a user as CSV or JSON
+router.get("/export", auth, validate(schemas.exportJobs), async (req, res, next) => {
   try {
-    const { status } = req.params;
-    const jobs = await Job.find({ 
-      user: req.user.id,
-      status 
-    }).sort({ dateApplied: -1 });
-    res.json(jobs);
+    const format = req.query.format || "json";
+
+    const jobs = await Job.find({ user: req.user.id }).sort({ dateApplied: -1 });
+    const rows = jobs.map(toExportRow);
+    const filename = `jobs-${new Date().toISOString().split("T")[0]}.${format}`;
+
+    res.attachment(filename);
+    if (format === "csv") {
+      res.type("text/csv").send(toCsv(rows, JOB_COLUMNS));
+    } else {
+      res.json(rows);
+    }
   } catch (error) {
-    res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
-// Get analytics data for a user
-router.get("/analytics", auth, async (req, res) => {
+// Import jobs from an uploaded CSV or JSON file.
+// Every row is validated; duplicates (company + role + dateApplied) are skipped.
+// Pass dryRun=true to get the report without saving anything.
+router.post("/import", auth, spreadsheetUpload.single("file"), validate(schemas.importJobs), async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ message: "No file uploaded or invalid type", code: "MISSING_FILE" });
+  }
+
+  const filePath = req.file.path;
+
   try {
-    const { period } = req.query;
-    const userId = req.user.id;
+    const dryRun = ["true", "1"].includes(req.query.dryRun ?? req.body.dryRun);
+    const content = fs.readFileSync(filePath, "utf8");
+    const isJson = req.file.originalname.toLowerCase().endsWith(".json") ||
+      req.file.mimetype === "application/json";
 
-    // Calculate date range based on period
-    const now = new Date();
-    let startDate;
-    switch (period) {
-      case "last30days":
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case "last90days":
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      default: // all time
-        startDate = new Date(0);
+    let rawRows;
+    if (isJson) {
+      try {
+        rawRows = JSON.parse(content);
+      } catch (err) {
+        return res.status(400).json({ message: "Invalid JSON file" });
+      }
+      if (!Array.isArray(rawRows)) {
+        return res.status(400).json({ message: "JSON file must contain an array of jobs" });
+      }
+    } else {
+      rawRows = parseCsvObjects(content);
     }
 
-    // Get all jobs within the date range
-    const jobs = await Job.find({
-      user: userId,
-      dateApplied: { $gte: startDate }
-    });
+    const existing = await Job.find({ user: req.user.id }, "company role dateApplied");
+    const seen = new Set(existing.map(duplicateKey));
 
-    // Calculate status distribution
-    const statusCounts = {
-      applied: 0,
-      interview: 0,
-      offered: 0,
-      rejected: 0
-    };
-    jobs.forEach(job => {
-      statusCounts[job.status]++;
-    });
+    const errors = [];
+    const duplicates = [];
+    const toImport = [];
 
-    // Calculate applications over time
-    const timeData = [];
-    const currentDate = new Date(startDate);
-    const endDate = new Date();
-    
-    while (currentDate <= endDate) {
-      const dateStr = currentDate.toISOString().split('T')[0];
-      const count = jobs.filter(job => {
-        const jobDate = new Date(job.dateApplied).toISOString().split('T')[0];
-        return jobDate === dateStr;
-      }).length;
-      
-      if (count > 0) { // Only include dates with applications
-        timeData.push({ date: dateStr, count });
+    rawRows.forEach((raw, index) => {
+      // CSV rows are reported by spreadsheet line (header is line 1)
+      const row = isJson ? index + 1 : index + 2;
+      const job = new Job({ ...normalizeImportRow(raw || {}), user: req.user.id });
+
+      const validation = job.validateSync();
+      if (validation) {
+        const fields = {};
+        Object.keys(validation.errors).forEach(field => {
+          fields[field] = validation.errors[field].message;
+        });
+        errors.push({ row, errors: fields });
+        return;
       }
-      
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
 
-    // Calculate role distribution
-    const roleData = {};
-    jobs.forEach(job => {
-      if (!roleData[job.role]) {
-        roleData[job.role] = { applied: 0, interview: 0, offered: 0 };
+      const key = duplicateKey(job);
+      if (seen.has(key)) {
+        duplicates.push({ row, company: job.company, role: job.role });
+        return;
       }
-      roleData[job.role].applied++;
-      if (job.status === 'interview') roleData[job.role].interview++;
-      if (job.status === 'offered') roleData[job.role].offered++;
+      seen.add(key);
+      toImport.push({ row, job });
     });
 
-    // Calculate summary statistics
-    const totalApplications = jobs.length;
-    const interviewRate = totalApplications > 0 
-      ? (statusCounts.interview / totalApplications * 100).toFixed(1)
-      : 0;
-    const offerRate = totalApplications > 0
-      ? (statusCounts.offered / totalApplications * 100).toFixed(1)
-      : 0;
-
-    // Calculate average response time (time between application and status change)
-    let totalResponseTime = 0;
-    let responseCount = 0;
-    jobs.forEach(job => {
-      if (job.status !== 'applied' && job.dateApplied) {
-        const appliedDate = new Date(job.dateApplied);
-        const statusChangeDate = new Date(job.updatedAt);
-        const daysDiff = Math.ceil((statusChangeDate - appliedDate) / (1000 * 60 * 60 * 24));
-        if (daysDiff > 0) {
-          totalResponseTime += daysDiff;
-          responseCount++;
+    // Saved one by one rather than with insertMany, which would skip the save hooks
+    // (status history, parsed compensation, company link). A row that can't be saved is
+    // reported with the invalid ones and the rest still go in, so retrying the failed
+    // rows doesn't create duplicates.
+    let imported = 0;
+    if (!dryRun) {
+      for (const { row, job } of toImport) {
+        try {
+          await job.save();
+          imported++;
+        } catch (err) {
+          console.error(`❌ Import row ${row} could not be saved:`, err.message);
+          errors.push({ row, errors: { row: "Could not be saved. Please try importing it again." } });
         }
       }
+      errors.sort((a, b) => a.row - b.row);
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      total: rawRows.length,
+      imported,
+      valid: toImport.length,
+      skipped: duplicates.length,
+      failed: errors.length,
+      duplicates,
+      errors
     });
-    const avgResponseTime = responseCount > 0 
-      ? Math.round(totalResponseTime / responseCount)
-      : 0;
+  } catch (error) {
+    next(error);
+  } finally {
+    fs.unlink(filePath, (err) => {
+      if (err) console.error("Error deleting file:", err);
+    });
+  }
+});
 
-    res.json({
-      summary: {
-        totalApplications,
-        interviewRate: `${interviewRate}%`,
-        offerRate: `${offerRate}%`,
-        avgResponseTime: `${avgResponseTime} days`
-      },
-      statusDistribution: Object.entries(statusCounts).map(([name, value]) => ({
-        name: name.charAt(0).toUpperCase() + name.slice(1),
-        value,
-        color: name === 'applied' ? '#3B82F6' : 
-               name === 'interview' ? '#F59E0B' :
-               name === 'offered' ? '#10B981' : '#EF4444'
-      })),
-      timeData,
-      roleData: Object.entries(roleData).map(([name, data]) => ({
-        name,
-        ...data
-      }))
+// Get interviews, scheduled rounds and follow-ups in the next N days (default 7)
+router.get("/upcoming", auth, validate(schemas.upcoming), async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+
+    const from = new Date();
+    const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+    const jobs = await Job.find({
+      user: req.user.id,
+      $or: [
+        { interviewDate: { $gte: from, $lte: to } },
+        { followUpDate: { $gte: from, $lte: to } },
+        { "rounds.scheduledAt": { $gte: from, $lte: to } },
+      ],
     });
+
+    res.json(collectJobEvents(jobs, { from, to }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get jobs by status for a user
+router.get("/status/:status", auth, validate(schemas.byStatus), async (req, res, next) => {
+  try {
+    const { status } = req.params;
+    const jobs = await Job.find({ 
+      user: req.user.id,
+      status 
+    }).sort({ dateApplied: -1 });
+    res.json(jobs);
   } catch (error) {
-    console.error('Analytics error:', error);
-    res.status(500).json({ message: "Server error while fetching analytics", error: error.message });
+    next(error);
+  }
+});
+
+// Get analytics data for a user.
+// period: last30days | last90days | all (default), or an explicit from/to range;
+// bucket: day (default) | week | month for timeData and trends
+router.get("/analytics", auth, validate(schemas.analytics), async (req, res, next) => {
+  try {
+    const range = analyticsRange(req.query);
+    res.json(await buildJobAnalytics(req.user.id, range));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare offers side by side, with stipends per month and CTCs per year.
+// ids: comma-separated job ids (default: every job with an offer); sort: ctc (default) | stipend
+router.get("/offers/compare", auth, validate(schemas.compareOffers), async (req, res, next) => {
+  try {
+    const { ids, sort } = req.query;
+    const filter = { user: req.user.id };
+    if (ids) filter._id = { $in: ids.split(",") };
+    else filter.status = "offered";
+
+    const jobs = await Job.find(filter)
+      .select("company role jobType mode status pay compensation")
+      .lean();
+    res.json(compareOffers(jobs, sort));
+  } catch (error) {
+    next(error);
   }
 });
 
 // Add a new job
-router.post("/", auth, async (req, res) => {
+router.post("/", auth, validate(schemas.createJob), async (req, res, next) => {
   try {
-    const { company, role, pay, dateApplied, interviewDate, jobType, status, mode, notes } = req.body;
+    const { company, role, pay, compensation, dateApplied, interviewDate, followUpDate, jobType, status, mode, notes, statusNote } = req.body;
     
     const job = new Job({
       user: req.user.id,
       company,
       role,
       pay,
+      compensation: manualCompensation(compensation),
       dateApplied,
       interviewDate,
+      followUpDate,
       jobType,
       status,
       mode,
       notes
     });
+    job.statusNote = statusNote;
 
     await job.save();
     res.status(201).json(job);
   } catch (error) {
-    res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
 // Update a job
-router.put("/:id", auth, async (req, res) => {
+router.put("/:id", auth, validate(schemas.updateJob), async (req, res, next) => {
   try {
-    const { company, role, pay, dateApplied, interviewDate, jobType, status, mode, notes } = req.body;
-    
-    let job = await Job.findById(req.params.id);
-    if (!job) {
-      return res.status(404).json({ message: "Job not found" });
+    const { company, role, pay, compensation, dateApplied, interviewDate, followUpDate, jobType, status, mode, notes, statusNote, statusDate } = req.body;
+
+    const job = await findOwnedJob(req, res);
+    if (!job) return;
+
+    const updates = { company, role, pay, dateApplied, interviewDate, followUpDate, jobType, status, mode, notes };
+    Object.keys(updates).forEach(key => {
+      if (updates[key] !== undefined) job[key] = updates[key];
+    });
+    if (compensation !== undefined) job.compensation = manualCompensation(compensation);
+    job.statusNote = statusNote;
+    job.statusDate = statusDate;
+
+    await job.save();
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the status history of a job
+router.get("/:id/history", auth, validate(schemas.jobId), async (req, res, next) => {
+  try {
+    const job = await findOwnedJob(req, res);
+    if (!job) return;
+
+    const history = [...job.statusHistory].sort((a, b) => new Date(a.date) - new Date(b.date));
+    res.json({ jobId: job._id, status: job.status, history });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Match a resume against this job's JD and store the result on the job.
+// Resume: a "resume" upload, the id of a saved resume (resumeId) or resumeText.
+// JD: a "jd" upload or the pasted text (jdText).
+// Uploads can be PDF, DOCX, TXT or Markdown.
+router.post("/:id/match", auth, limits.aiIp, limits.ai, documentUpload.fields([{ name: "resume" }, { name: "jd" }]), validate(schemas.matchJob), aiQuota("match"), async (req, res, next) => {
+  try {
+    const { resumeId, resumeText: pastedResume, jdText: pastedJd } = req.body || {};
+
+    const job = await findOwnedJob(req, res);
+    if (!job) return;
+
+    let resumeText;
+    let savedResume = null;
+    if (!req.files?.resume?.[0] && resumeId) {
+      savedResume = await Resume.findOne({ _id: resumeId, user: req.user.id });
+      if (!savedResume) return res.status(404).json({ message: "Resume not found" });
+      resumeText = savedResume.text;
+    } else {
+      resumeText = await readDocument({ file: req.files?.resume?.[0], text: pastedResume, label: "resume" });
     }
 
-    // Make sure user owns the job
-    if (job.user.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized" });
+    const jdText = await readDocument({ file: req.files?.jd?.[0], text: pastedJd, label: "job description" });
+
+    const result = await matchResumeToJd(resumeText, jdText, { onAiCall: req.chargeAiQuota });
+
+    job.match = {
+      score: parseInt(result.matchScore, 10) || 0,
+      matchedSkills: result.matchedSkills,
+      missingSkills: result.missingSkills,
+      resume: savedResume ? savedResume._id : undefined,
+      analyzedAt: new Date()
+    };
+    await job.save();
+
+    res.json({ job, ...result });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (req.files?.resume?.[0]?.path) {
+      fs.unlink(req.files.resume[0].path, () => {});
+    }
+    if (req.files?.jd?.[0]?.path) {
+      fs.unlink(req.files.jd[0].path, () => {});
     }
+  }
+});
 
-    job = await Job.findByIdAndUpdate(
-      req.params.id,
-      { company, role, pay, dateApplied, interviewDate, jobType, status, mode, notes },
-      { new: true }
-    );
+// Get the interview rounds of a job
+router.get("/:id/rounds", auth, validate(schemas.jobId), async (req, res, next) => {
+  try {
+    const job = await findOwnedJob(req, res);
+    if (!job) return;
 
-    res.json(job);
+    res.json(job.rounds);
   } catch (error) {
-    res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
-// Delete a job
-router.delete("/:id", auth, async (req, res) => {
+// Add an interview round (appended, or inserted at `position`)
+router.post("/:id/rounds", auth, validate(schemas.createRound), async (req, res, next) => {
   try {
-    const job = await Job.findById(req.params.id);
-    if (!job) {
-      return res.status(404).json({ message: "Job not found" });
+    const { type, name, scheduledAt, outcome, feedback, position } = req.body;
+
+    const job = await findOwnedJob(req, res);
+    if (!job) return;
+
+    const round = { type, name, scheduledAt, outcome, feedback };
+    const index = Number.isInteger(position)
+      ? Math.max(0, Math.min(position, job.rounds.length))
+      : job.rounds.length;
+    job.rounds.splice(index, 0, round);
+    job.syncFromRounds();
+
+    await job.save();
+    res.status(201).json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update an interview round
+router.put("/:id/rounds/:roundId", auth, validate(schemas.updateRound), async (req, res, next) => {
+  try {
+    const { type, name, scheduledAt, outcome, feedback } = req.body;
+
+    const job = await findOwnedJob(req, res);
+    if (!job) return;
+
+    const round = job.rounds.id(req.params.roundId);
+    if (!round) {
+      return res.status(404).json({ message: "Round not found" });
     }
 
-    // Make sure user owns the job
-    if (job.user.toString() !== req.user.id) {
-      return res.status(401).json({ message: "Not authorized" });
+    const updates = { type, name, scheduledAt, outcome, feedback };
+    Object.keys(updates).forEach(key => {
+      if (updates[key] !== undefined) round[key] = updates[key];
+    });
+    job.syncFromRounds();
+
+    await job.save();
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete an interview round
+router.delete("/:id/rounds/:roundId", auth, validate(schemas.roundId), async (req, res, next) => {
+  try {
+    const job = await findOwnedJob(req, res);
+    if (!job) return;
+
+    const round = job.rounds.id(req.params.roundId);
+    if (!round) {
+      return res.status(404).json({ message: "Round not found" });
     }
 
+    round.deleteOne();
+    job.syncFromRounds();
+
+    await job.save();
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a job
+router.delete("/:id", auth, validate(schemas.jobId), async (req, res, next) => {
+  try {
+    const job = await findOwnedJob(req, res);
+    if (!job) return;
+
     await job.deleteOne();
+    await Task.deleteMany({ job: job._id });
+    await removeAttachments({ job: job._id });
     res.json({ message: "Job removed" });
   } catch (error) {
-    res.status(500).json({ message: "Server error" });
+    next(error);
   }
 });
 
@@ -0,0 +1,47 @@
+const express = require("express");
+const router = express.Router();
+const Notification = require("../models/notification");
+const auth = require("../middleware/auth");
+
+// Get notifications for a user (newest first); ?unread=true for unread only
+router.get("/", auth, async (req, res, next) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.unread === "true") filter.read = false;
+
+    const notifications = await Notification.find(filter).sort({ createdAt: -1 }).limit(100);
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, read: false });
+    res.json({ notifications, unreadCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark all notifications as read
+router.post("/read-all", auth, async (req, res, next) => {
+  try {
+    await Notification.updateMany({ user: req.user.id, read: false }, { read: true });
+    res.json({ message: "All notifications marked as read" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a notification as read
+router.patch("/:id/read", auth, async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { read: true },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+    res.json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
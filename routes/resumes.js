@@ -0,0 +1,157 @@
+const express = require("express");
+const router = express.Router();
+const Resume = require("../models/resume");
+const Job = require("../models/jobs");
+const Attachment = require("../models/attachment");
+const auth = require("../middleware/auth");
+const validate = require("../middleware/validate");
+const schemas = require("../schemas/resumes");
+
+// Items present in `to` but not `from` (added) and vice versa (removed)
+const diffLists = (from = [], to = []) => ({
+  added: to.filter(item => !from.includes(item)),
+  removed: from.filter(item => !to.includes(item)),
+});
+
+// Problems found by the static checks, for either stored format
+const staticIssues = (resume) => {
+  const feedback = resume.staticFeedback;
+  if (Array.isArray(feedback)) return feedback.filter(line => !line.startsWith("✅"));
+  return (feedback?.checks || []).filter(check => !check.passed).map(check => check.detail);
+};
+
+const AI_LIST_FIELDS = ["strengths", "areas_for_improvement", "suggestions"];
+
+const summarize = (resume) => ({
+  id: resume._id,
+  version: resume.version,
+  label: resume.label,
+  createdAt: resume.createdAt,
+  score: resume.metrics?.score ?? null,
+});
+
+// List saved resume versions for a user (without the extracted text)
+router.get("/", auth, async (req, res, next) => {
+  try {
+    const resumes = await Resume.find({ user: req.user.id })
+      .select("-text")
+      .sort({ version: -1 });
+    res.json(resumes);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare two resume versions: ?from=<id>&to=<id>
+router.get("/compare", auth, async (req, res, next) => {
+  try {
+    const { from: fromId, to: toId } = req.query;
+    if (!fromId || !toId) {
+      return res.status(400).json({ message: "Both from and to resume ids are required" });
+    }
+
+    const [from, to] = await Promise.all([
+      Resume.findOne({ _id: fromId, user: req.user.id }),
+      Resume.findOne({ _id: toId, user: req.user.id }),
+    ]);
+    if (!from || !to) {
+      return res.status(404).json({ message: "Resume not found" });
+    }
+
+    const fromMetrics = from.metrics || {};
+    const toMetrics = to.metrics || {};
+
+    const aiFeedback = {};
+    AI_LIST_FIELDS.forEach(field => {
+      aiFeedback[field] = diffLists(from.aiFeedback?.[field], to.aiFeedback?.[field]);
+    });
+
+    res.json({
+      from: summarize(from),
+      to: summarize(to),
+      scoreChange: (toMetrics.score ?? 0) - (fromMetrics.score ?? 0),
+      improved: (toMetrics.score ?? 0) > (fromMetrics.score ?? 0),
+      metrics: {
+        actionVerbCount: {
+          from: fromMetrics.actionVerbCount ?? 0,
+          to: toMetrics.actionVerbCount ?? 0,
+          change: (toMetrics.actionVerbCount ?? 0) - (fromMetrics.actionVerbCount ?? 0),
+        },
+        sections: diffLists(fromMetrics.sectionsFound, toMetrics.sectionsFound),
+        keywords: diffLists(fromMetrics.keywordsFound, toMetrics.keywordsFound),
+      },
+      issues: diffLists(staticIssues(from), staticIssues(to)),
+      aiFeedback,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a saved resume analysis
+router.get("/:id", auth, validate(schemas.resumeId), async (req, res, next) => {
+  try {
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user.id });
+    if (!resume) {
+      return res.status(404).json({ message: "Resume not found" });
+    }
+    res.json(resume);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Applications this resume version went to: jobs it was attached to, plus jobs it was
+// matched against (match.resume)
+router.get("/:id/applications", auth, validate(schemas.resumeId), async (req, res, next) => {
+  try {
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user.id }).select("-text");
+    if (!resume) {
+      return res.status(404).json({ message: "Resume not found" });
+    }
+
+    const jobFields = "company role status dateApplied";
+    const [attachments, matchedJobs] = await Promise.all([
+      Attachment.find({ user: req.user.id, resume: resume._id }).populate("job", jobFields),
+      Job.find({ user: req.user.id, "match.resume": resume._id }).select(`${jobFields} match.score`),
+    ]);
+
+    const applications = new Map();
+    attachments.filter(a => a.job).forEach(a => {
+      applications.set(a.job._id.toString(), { job: a.job, attachmentId: a._id, attachedAt: a.createdAt, matchScore: null });
+    });
+    matchedJobs.forEach(job => {
+      const entry = applications.get(job._id.toString()) || { job, attachmentId: null, attachedAt: null };
+      applications.set(job._id.toString(), { ...entry, matchScore: job.match?.score ?? null });
+    });
+
+    res.json({
+      resume: summarize(resume),
+      applications: [...applications.values()].sort((a, b) => b.job.dateApplied - a.job.dateApplied),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a saved resume analysis. Attachments that only recorded this version being sent
+// go with it; uploaded files and match results stay, without the link to the resume.
+router.delete("/:id", auth, validate(schemas.resumeId), async (req, res, next) => {
+  try {
+    const resume = await Resume.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!resume) {
+      return res.status(404).json({ message: "Resume not found" });
+    }
+
+    await Promise.all([
+      Attachment.deleteMany({ user: req.user.id, resume: resume._id, storageKey: null }),
+      Attachment.updateMany({ user: req.user.id, resume: resume._id, storageKey: { $ne: null } }, { $unset: { resume: 1 } }),
+      Job.updateMany({ user: req.user.id, "match.resume": resume._id }, { $unset: { "match.resume": 1 } }),
+    ]);
+    res.json({ message: "Resume removed" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
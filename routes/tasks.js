@@ -0,0 +1,112 @@
+const express = require("express");
+const router = express.Router();
+const Task = require("../models/task");
+const Job = require("../models/jobs");
+const auth = require("../middleware/auth");
+const validate = require("../middleware/validate");
+const schemas = require("../schemas/tasks");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_SUMMARY = "company role status staleAt";
+
+// Open tasks with a due date first (soonest first), then the undated ones
+const byDueDate = (a, b) => {
+  if (!a.dueDate || !b.dueDate) return (a.dueDate ? 0 : 1) - (b.dueDate ? 0 : 1) || b.createdAt - a.createdAt;
+  return a.dueDate - b.dueDate;
+};
+
+// To-do view across all of a user's jobs.
+//   status   open (default) | done | all
+//   due      overdue | upcoming (due within `days`, default 7) | none (no due date)
+//   jobId, type
+router.get("/", auth, validate(schemas.listTasks), async (req, res, next) => {
+  try {
+    const { status = "open", due, jobId, type } = req.query;
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    const now = new Date();
+    const horizon = new Date(now.getTime() + days * DAY_MS);
+
+    const filter = { user: req.user.id };
+    if (status === "open") filter.completedAt = null;
+    if (status === "done") filter.completedAt = { $ne: null };
+    if (jobId) filter.job = jobId;
+    if (type) filter.type = type;
+    if (due === "overdue") filter.dueDate = { $lt: now };
+    if (due === "upcoming") filter.dueDate = { $gte: now, $lte: horizon };
+    if (due === "none") filter.dueDate = null;
+
+    const openFilter = { user: req.user.id, completedAt: null };
+    const [tasks, open, overdue, upcoming] = await Promise.all([
+      Task.find(filter).populate("job", JOB_SUMMARY).lean(),
+      Task.countDocuments(openFilter),
+      Task.countDocuments({ ...openFilter, dueDate: { $lt: now } }),
+      Task.countDocuments({ ...openFilter, dueDate: { $gte: now, $lte: horizon } }),
+    ]);
+
+    res.json({
+      tasks: tasks.sort(byDueDate).map((task) => ({
+        ...task,
+        overdue: !task.completedAt && !!task.dueDate && task.dueDate < now,
+      })),
+      counts: { open, overdue, upcoming },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a task to one of the user's jobs
+router.post("/", auth, validate(schemas.createTask), async (req, res, next) => {
+  try {
+    const { jobId, title, type, dueDate, notes } = req.body;
+
+    const job = await Job.findOne({ _id: jobId, user: req.user.id }).select(JOB_SUMMARY);
+    if (!job) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    const task = await Task.create({ user: req.user.id, job: job._id, title, type, dueDate: dueDate || undefined, notes });
+    res.status(201).json({ ...task.toObject(), job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a task; done: true/false completes or reopens it
+router.patch("/:id", auth, validate(schemas.updateTask), async (req, res, next) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, user: req.user.id });
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    const { title, type, dueDate, notes, done } = req.body;
+    if (title !== undefined) task.title = title;
+    if (type !== undefined) task.type = type;
+    if (dueDate !== undefined) task.dueDate = dueDate || undefined;
+    if (notes !== undefined) task.notes = notes || undefined;
+    if (done === true && !task.completedAt) task.completedAt = new Date();
+    if (done === false) task.completedAt = undefined;
+
+    await task.save();
+    await task.populate("job", JOB_SUMMARY);
+    res.json(task);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a task
+router.delete("/:id", auth, validate(schemas.taskId), async (req, res, next) => {
+  try {
+    const task = await Task.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+    res.json({ message: "Task removed" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
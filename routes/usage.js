@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth");
+const { getAiUsage } = require("../utils/aiUsage");
+
+// AI usage and remaining daily quota for the signed-in user (or this IP when anonymous)
+router.get("/", auth.optional, async (req, res, next) => {
+  try {
+    res.json(await getAiUsage(req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
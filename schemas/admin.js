@@ -0,0 +1,58 @@
+const { ROLES } = require("../models/user");
+
+// Request schemas for routes/admin.js (format described in utils/validation.js)
+
+module.exports = {
+  listUsers: {
+    query: {
+      type: "object",
+      properties: {
+        q: { type: "string" },
+        role: { type: "string", enum: ROLES },
+        cohort: { type: "string" },
+        disabled: { type: "boolean" },
+        page: { type: "integer", minimum: 1 },
+        limit: { type: "integer", minimum: 1, maximum: 100 },
+      },
+    },
+  },
+
+  updateUser: {
+    params: {
+      type: "object",
+      properties: { id: { type: "string", format: "objectId" } },
+      required: ["id"],
+    },
+    body: {
+      type: "object",
+      properties: {
+        role: { type: "string", enum: ROLES },
+        cohort: { type: "string", trim: true, nullable: true },
+        disabled: { type: "boolean" },
+      },
+    },
+  },
+
+  clearCache: {
+    query: {
+      type: "object",
+      properties: {
+        namespace: {
+          type: "string",
+          pattern: /^[a-z0-9:-]+$/,
+          patternMessage: "must look like llm, llm:match-analysis or document-text",
+        },
+      },
+    },
+  },
+
+  stats: {
+    query: {
+      type: "object",
+      properties: {
+        period: { type: "string", enum: ["last30days", "last90days", "all"] },
+        cohort: { type: "string" },
+      },
+    },
+  },
+};
@@ -0,0 +1,27 @@
+// Request schemas for the AI endpoints in index.js (format described in utils/validation.js).
+// Both take multipart forms, so pasted text and labels arrive as strings; whether a
+// document was supplied at all (upload or text) is checked by utils/documents.js.
+
+const pastedText = { type: "string", maxLength: 100000 };
+
+module.exports = {
+  resumeFeedback: {
+    body: {
+      type: "object",
+      properties: {
+        resumeText: pastedText,
+        label: { type: "string", trim: true, maxLength: 100 },
+      },
+    },
+  },
+
+  match: {
+    body: {
+      type: "object",
+      properties: {
+        resumeText: pastedText,
+        jdText: pastedText,
+      },
+    },
+  },
+};
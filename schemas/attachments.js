@@ -0,0 +1,45 @@
+const { ATTACHMENT_KINDS } = require("../models/attachment");
+
+// Request schemas for routes/attachments.js (format described in utils/validation.js)
+
+const objectId = { type: "string", format: "objectId" };
+const kind = { type: "string", enum: ATTACHMENT_KINDS };
+
+const attachmentId = {
+  type: "object",
+  properties: { id: objectId },
+  required: ["id"],
+};
+
+module.exports = {
+  attachmentId: { params: attachmentId },
+
+  listAttachments: {
+    query: {
+      type: "object",
+      properties: { jobId: objectId, resumeId: objectId, kind },
+    },
+  },
+
+  // Multipart form: fields arrive as strings alongside the "file" upload
+  createAttachment: {
+    body: {
+      type: "object",
+      properties: {
+        jobId: objectId,
+        kind,
+        label: { type: "string", trim: true, maxLength: 200 },
+        resumeId: objectId,
+      },
+      required: ["jobId"],
+    },
+  },
+
+  download: {
+    params: attachmentId,
+    query: {
+      type: "object",
+      properties: { token: { type: "string" } },
+    },
+  },
+};
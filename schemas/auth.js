@@ -0,0 +1,86 @@
+// Request schemas for routes/auth.js (format described in utils/validation.js)
+
+const username = {
+  type: "string",
+  trim: true,
+  minLength: 3,
+  maxLength: 30,
+  pattern: /^[a-zA-Z0-9_]+$/,
+  patternMessage: "can only contain letters, numbers, and underscores",
+};
+const email = { type: "string", trim: true, format: "email" };
+const name = { type: "string", trim: true, minLength: 1, maxLength: 100 };
+const password = { type: "string", minLength: 1 };
+
+const signup = {
+  body: {
+    type: "object",
+    properties: { username, name, email, password },
+    required: ["username", "name", "email", "password"],
+  },
+};
+
+const login = {
+  body: {
+    type: "object",
+    properties: { username: { type: "string", trim: true, minLength: 1 }, password },
+    required: ["username", "password"],
+  },
+};
+
+const sessionId = {
+  params: {
+    type: "object",
+    properties: { id: { type: "string", format: "objectId" } },
+    required: ["id"],
+  },
+};
+
+const updateProfile = {
+  body: {
+    type: "object",
+    properties: { name, email, username, currentPassword: { type: "string" } },
+  },
+};
+
+const changePassword = {
+  body: {
+    type: "object",
+    properties: { currentPassword: password, newPassword: password },
+    required: ["currentPassword", "newPassword"],
+  },
+};
+
+const deleteAccount = {
+  body: {
+    type: "object",
+    properties: { password },
+    required: ["password"],
+  },
+};
+
+const forgotPassword = {
+  body: {
+    type: "object",
+    properties: { email, username: { type: "string", trim: true, minLength: 1 } },
+  },
+};
+
+const resetPassword = {
+  body: {
+    type: "object",
+    properties: { token: { type: "string", minLength: 1 }, newPassword: password },
+    required: ["token", "newPassword"],
+  },
+};
+
+module.exports = {
+  signup,
+  login,
+  sessionId,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  forgotPassword,
+  resetPassword,
+};
@@ -0,0 +1,84 @@
+// Request schemas for routes/companies.js (format described in utils/validation.js)
+
+const objectId = { type: "string", format: "objectId" };
+const text = { type: "string", trim: true };
+const name = {
+  type: "string",
+  trim: true,
+  minLength: 1,
+  maxLength: 200,
+  pattern: /[\p{L}\p{N}]/u,
+  patternMessage: "must contain a letter or digit",
+};
+
+const companyId = {
+  type: "object",
+  properties: { id: objectId },
+  required: ["id"],
+};
+
+const companyFields = {
+  name,
+  aliases: { type: "array", items: name },
+  links: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: { label: text, url: { type: "string", trim: true, minLength: 1 } },
+      required: ["url"],
+    },
+  },
+  contacts: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        name: { type: "string", trim: true, minLength: 1 },
+        title: text,
+        email: { type: "string", trim: true, format: "email", nullable: true },
+        phone: text,
+        linkedin: text,
+        notes: text,
+      },
+      required: ["name"],
+    },
+  },
+  recruiterEmails: { type: "array", items: { type: "string", trim: true, format: "email" } },
+  notes: { type: "string", trim: true, nullable: true },
+};
+
+module.exports = {
+  companyId: { params: companyId },
+
+  listCompanies: {
+    query: {
+      type: "object",
+      properties: { q: { type: "string" } },
+    },
+  },
+
+  createCompany: {
+    body: {
+      type: "object",
+      properties: companyFields,
+      required: ["name"],
+    },
+  },
+
+  updateCompany: {
+    params: companyId,
+    body: {
+      type: "object",
+      properties: companyFields,
+    },
+  },
+
+  mergeCompanies: {
+    params: companyId,
+    body: {
+      type: "object",
+      properties: { ids: { type: "array", items: objectId } },
+      required: ["ids"],
+    },
+  },
+};
@@ -0,0 +1,178 @@
+const { JOB_STATUSES, JOB_TYPES, JOB_MODES, ROUND_TYPES, ROUND_OUTCOMES, STIPEND_PERIODS } = require("../models/jobs");
+
+// Request schemas for routes/jobs.js (format described in utils/validation.js).
+// GET / query parameters are checked by utils/jobQuery.js.
+
+const objectId = { type: "string", format: "objectId" };
+const date = { type: "string", format: "date" };
+const optionalDate = { ...date, nullable: true };
+const text = { type: "string", trim: true };
+const requiredText = { type: "string", trim: true, minLength: 1 };
+
+const amount = { type: "number", minimum: 0 };
+
+// Hand-entered structured pay; null goes back to parsing the free-text pay field
+const compensation = {
+  type: "object",
+  nullable: true,
+  properties: {
+    currency: { type: "string", trim: true, pattern: /^[A-Za-z]{3}$/, patternMessage: "must be a 3-letter currency code" },
+    stipend: {
+      type: "object",
+      nullable: true,
+      properties: {
+        amount,
+        period: { type: "string", enum: STIPEND_PERIODS },
+        durationMonths: { type: "number", minimum: 0, maximum: 60 },
+      },
+      required: ["amount"],
+    },
+    ctc: {
+      type: "object",
+      nullable: true,
+      properties: { total: amount, base: amount, bonus: amount, stock: amount },
+    },
+  },
+};
+
+const jobFields = {
+  company: requiredText,
+  role: requiredText,
+  pay: text,
+  compensation,
+  dateApplied: date,
+  interviewDate: optionalDate,
+  followUpDate: optionalDate,
+  jobType: { type: "string", enum: JOB_TYPES },
+  status: { type: "string", enum: JOB_STATUSES },
+  mode: { type: "string", enum: JOB_MODES },
+  notes: text,
+  statusNote: text,
+};
+
+const roundFields = {
+  type: { type: "string", enum: ROUND_TYPES },
+  name: text,
+  scheduledAt: optionalDate,
+  outcome: { type: "string", enum: ROUND_OUTCOMES },
+  feedback: text,
+};
+
+const jobId = {
+  type: "object",
+  properties: { id: objectId },
+  required: ["id"],
+};
+
+const roundId = {
+  type: "object",
+  properties: { id: objectId, roundId: objectId },
+  required: ["id", "roundId"],
+};
+
+module.exports = {
+  jobId: { params: jobId },
+  roundId: { params: roundId },
+
+  exportJobs: {
+    query: {
+      type: "object",
+      properties: { format: { type: "string", enum: ["csv", "json"] } },
+    },
+  },
+
+  // Multipart form: dryRun can be sent as a form field or in the query
+  importJobs: {
+    query: {
+      type: "object",
+      properties: { dryRun: { type: "boolean" } },
+    },
+    body: {
+      type: "object",
+      properties: { dryRun: { type: "string", enum: ["true", "false", "1", "0"] } },
+    },
+  },
+
+  upcoming: {
+    query: {
+      type: "object",
+      properties: { days: { type: "number", minimum: 1, maximum: 365 } },
+    },
+  },
+
+  byStatus: {
+    params: {
+      type: "object",
+      properties: { status: { type: "string", enum: JOB_STATUSES } },
+      required: ["status"],
+    },
+  },
+
+  analytics: {
+    query: {
+      type: "object",
+      properties: {
+        period: { type: "string", enum: ["last30days", "last90days", "all"] },
+        from: { type: "string", format: "date" },
+        to: { type: "string", format: "date" },
+        bucket: { type: "string", enum: ["day", "week", "month"] },
+      },
+    },
+  },
+
+  compareOffers: {
+    query: {
+      type: "object",
+      properties: {
+        ids: {
+          type: "string",
+          pattern: /^[a-f0-9]{24}(,[a-f0-9]{24})*$/i,
+          patternMessage: "must be a comma-separated list of job ids",
+        },
+        sort: { type: "string", enum: ["ctc", "stipend"] },
+      },
+    },
+  },
+
+  createJob: {
+    body: {
+      type: "object",
+      properties: jobFields,
+      required: ["company", "role", "dateApplied"],
+    },
+  },
+
+  updateJob: {
+    params: jobId,
+    body: {
+      type: "object",
+      properties: { ...jobFields, statusDate: optionalDate },
+    },
+  },
+
+  // Multipart form: fields arrive as strings alongside the "resume"/"jd" uploads
+  matchJob: {
+    params: jobId,
+    body: {
+      type: "object",
+      properties: { resumeId: objectId, resumeText: { type: "string" }, jdText: { type: "string" } },
+    },
+  },
+
+  createRound: {
+    params: jobId,
+    body: {
+      type: "object",
+      properties: { ...roundFields, position: { type: "integer", minimum: 0 } },
+      required: ["type"],
+    },
+  },
+
+  updateRound: {
+    params: roundId,
+    body: {
+      type: "object",
+      properties: roundFields,
+    },
+  },
+};
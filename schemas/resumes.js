@@ -0,0 +1,13 @@
+// Request schemas for routes/resumes.js (format described in utils/validation.js)
+
+const objectId = { type: "string", format: "objectId" };
+
+const resumeId = {
+  type: "object",
+  properties: { id: objectId },
+  required: ["id"],
+};
+
+module.exports = {
+  resumeId: { params: resumeId },
+};
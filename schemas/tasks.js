@@ -0,0 +1,58 @@
+const { TASK_TYPES } = require("../models/task");
+
+// Request schemas for routes/tasks.js (format described in utils/validation.js)
+
+const objectId = { type: "string", format: "objectId" };
+const title = { type: "string", trim: true, minLength: 1, maxLength: 200 };
+const type = { type: "string", enum: TASK_TYPES };
+
+const taskId = {
+  type: "object",
+  properties: { id: objectId },
+  required: ["id"],
+};
+
+module.exports = {
+  taskId: { params: taskId },
+
+  listTasks: {
+    query: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["open", "done", "all"] },
+        due: { type: "string", enum: ["overdue", "upcoming", "none"] },
+        days: { type: "integer", minimum: 1, maximum: 365 },
+        jobId: objectId,
+        type,
+      },
+    },
+  },
+
+  createTask: {
+    body: {
+      type: "object",
+      properties: {
+        jobId: objectId,
+        title,
+        type,
+        dueDate: { type: "string", format: "date", nullable: true },
+        notes: { type: "string", trim: true },
+      },
+      required: ["jobId", "title"],
+    },
+  },
+
+  updateTask: {
+    params: taskId,
+    body: {
+      type: "object",
+      properties: {
+        title,
+        type,
+        dueDate: { type: "string", format: "date", nullable: true },
+        notes: { type: "string", trim: true, nullable: true },
+        done: { type: "boolean" },
+      },
+    },
+  },
+};
@@ -0,0 +1,49 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/user");
+const { sendPasswordResetEmail } = require("../utils/passwordReset");
+
+// One-off migration away from security questions. Every account that still has one
+// gets a password reset link by email (so nobody who relied on the old flow is locked
+// out), then the question and answer hash are removed.
+//   node scripts/migrate-security-questions.js [--dry-run]
+const dryRun = process.argv.includes("--dry-run");
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const filter = {
+    $or: [{ securityQuestion: { $exists: true } }, { securityAnswer: { $exists: true } }],
+  };
+  const users = await User.find(filter).select("username name email");
+  console.log(`${users.length} account(s) still have a security question${dryRun ? " (dry run)" : ""}`);
+
+  let emailed = 0;
+  let failed = 0;
+  for (const user of users) {
+    if (dryRun) {
+      console.log(`  would email ${user.username} <${user.email}>`);
+      continue;
+    }
+    try {
+      await sendPasswordResetEmail(user, {
+        reason: "We're retiring security questions. If you ever need to reset your password, you'll now get a link by email instead",
+      });
+      await User.updateOne({ _id: user._id }, { $unset: { securityQuestion: 1, securityAnswer: 1 } });
+      emailed++;
+    } catch (err) {
+      // Leave the fields in place so the account is picked up on the next run
+      console.error(`  ❌ ${user.username}: ${err.message}`);
+      failed++;
+    }
+  }
+
+  if (!dryRun) console.log(`✅ Emailed and migrated ${emailed} account(s), ${failed} failed`);
+  await mongoose.disconnect();
+  process.exit(failed ? 1 : 0);
+}
+
+run().catch((err) => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
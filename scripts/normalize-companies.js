@@ -0,0 +1,82 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Job = require("../models/jobs");
+const Company = require("../models/company");
+const { companyKey } = require("../models/company");
+
+// One-off migration from free-text company names to Company records. Each user's jobs
+// are grouped by normalized name ("Google", "google" and "Google India" end up
+// together); the most common spelling becomes the company name and the rest aliases.
+// Jobs saved since companies were added are linked on save; this covers older ones.
+//   node scripts/normalize-companies.js [--dry-run]
+const dryRun = process.argv.includes("--dry-run");
+
+// Most used spelling, ties going to the one seen first
+const canonicalName = (names) => {
+  const counts = new Map();
+  names.forEach((name) => counts.set(name, (counts.get(name) || 0) + 1));
+  return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+};
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+  if (!dryRun) await Company.syncIndexes();
+
+  const jobs = await Job.find({ companyId: null })
+    .select("user company")
+    .sort({ dateApplied: 1 })
+    .lean();
+  console.log(`${jobs.length} job(s) without a company record${dryRun ? " (dry run)" : ""}`);
+
+  // user -> key -> { names, ids }
+  const groups = new Map();
+  jobs.forEach((job) => {
+    const key = companyKey(job.company);
+    if (!key) return;
+    const userId = job.user.toString();
+    if (!groups.has(userId)) groups.set(userId, new Map());
+    const byKey = groups.get(userId);
+    if (!byKey.has(key)) byKey.set(key, { names: [], ids: [] });
+    byKey.get(key).names.push(job.company);
+    byKey.get(key).ids.push(job._id);
+  });
+
+  let companies = 0;
+  let linked = 0;
+  let failed = 0;
+  for (const [userId, byKey] of groups) {
+    for (const { names, ids } of byKey.values()) {
+      const name = canonicalName(names);
+      const aliases = [...new Set(names)].filter((alias) => alias !== name);
+      if (dryRun) {
+        console.log(`  ${userId}: ${name}${aliases.length ? ` (also ${aliases.join(", ")})` : ""} - ${ids.length} job(s)`);
+        companies++;
+        linked += ids.length;
+        continue;
+      }
+
+      try {
+        const company = await Company.resolve(userId, name);
+        if (aliases.length) {
+          await Company.updateOne({ _id: company._id }, { $addToSet: { aliases: { $each: aliases } } });
+        }
+        // updateMany so the save hooks (status history) don't run
+        const result = await Job.updateMany({ _id: { $in: ids } }, { companyId: company._id });
+        companies++;
+        linked += result.modifiedCount;
+      } catch (err) {
+        console.error(`  ❌ ${userId} / ${name}: ${err.message}`);
+        failed++;
+      }
+    }
+  }
+
+  console.log(`${dryRun ? "Would link" : "✅ Linked"} ${linked} job(s) to ${companies} compan${companies === 1 ? "y" : "ies"}, ${failed} failed`);
+  await mongoose.disconnect();
+  process.exit(failed ? 1 : 0);
+}
+
+run().catch((err) => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Job = require("../models/jobs");
+const { parsePay } = require("../utils/compensation");
+
+// One-off backfill of structured compensation from the free-text pay field. Jobs saved
+// since compensation was added are parsed on save; this covers the older ones.
+// Hand-entered compensation is never touched.
+//   node scripts/parse-compensation.js [--dry-run] [--reparse]
+// --reparse also re-parses jobs that already have parsed compensation (after parser fixes).
+const dryRun = process.argv.includes("--dry-run");
+const reparse = process.argv.includes("--reparse");
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const filter = {
+    pay: { $nin: [null, ""] },
+    ...(reparse ? { "compensation.source": { $ne: "manual" } } : { compensation: null }),
+  };
+  const jobs = await Job.find(filter).select("company pay jobType").lean();
+  console.log(`${jobs.length} job(s) to parse${dryRun ? " (dry run)" : ""}`);
+
+  let parsed = 0;
+  let unparsed = 0;
+  for (const job of jobs) {
+    const compensation = parsePay(job.pay, job.jobType);
+    if (!compensation) {
+      console.log(`  ⚠️ ${job.company}: couldn't read "${job.pay}"`);
+      unparsed++;
+      continue;
+    }
+    if (dryRun) {
+      console.log(`  ${job.company}: "${job.pay}" -> ${JSON.stringify(compensation)}`);
+    } else {
+      // updateOne so the save hooks (status history) don't run
+      await Job.updateOne({ _id: job._id }, { compensation });
+    }
+    parsed++;
+  }
+
+  console.log(`${dryRun ? "Would parse" : "✅ Parsed"} ${parsed} job(s), ${unparsed} couldn't be read`);
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
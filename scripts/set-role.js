@@ -0,0 +1,33 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/user");
+
+// Grant a role from the command line, e.g. to create the first admin:
+//   npm run set-role -- <username> <user|placement-officer|admin> [cohort]
+const [username, role, cohort] = process.argv.slice(2);
+
+if (!username || !User.ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <username> <${User.ROLES.join("|")}> [cohort]`);
+  process.exit(1);
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const update = { role };
+  if (cohort !== undefined) update.cohort = cohort;
+  const user = await User.findOneAndUpdate({ username: username.toLowerCase() }, update, { new: true });
+
+  if (!user) {
+    console.error(`❌ No user named ${username}`);
+  } else {
+    console.log(`✅ ${user.username} is now ${user.role}${user.cohort ? ` (cohort ${user.cohort})` : ""}`);
+  }
+  await mongoose.disconnect();
+  process.exit(user ? 0 : 1);
+}
+
+run().catch((err) => {
+  console.error("❌ Failed to set role:", err);
+  process.exit(1);
+});
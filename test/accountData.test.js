@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+
+// Load every model so a newly added per-user model can't be missed
+fs.readdirSync(path.join(__dirname, "../models")).forEach((file) => require(`../models/${file}`));
+const { deleteUserData } = require("../utils/accountData");
+
+const USER_ID = "64b0000000000000000000bb";
+
+test("deleteUserData removes the user's documents from every per-user model", async (t) => {
+  const perUser = mongoose.modelNames().filter((name) => name !== "User" && mongoose.model(name).schema.path("user"));
+  const deleted = [];
+  perUser.forEach((name) => {
+    t.mock.method(mongoose.model(name), "deleteMany", async (filter) => {
+      deleted.push([name, filter]);
+      return { deletedCount: 0 };
+    });
+  });
+  t.mock.method(mongoose.model("Attachment"), "find", () => ({ select: async () => [] }));
+  const deleteUser = t.mock.method(mongoose.model("User"), "deleteOne", async () => ({ deletedCount: 1 }));
+
+  await deleteUserData(USER_ID);
+
+  // Attachments are deleted twice: by id along with their stored files, then by user
+  assert.deepEqual([...new Set(deleted.map(([name]) => name))].sort(), perUser.sort());
+  assert.ok(deleted.every(([name, filter]) => filter.user === USER_ID || name === "Attachment"));
+  assert.deepEqual(deleteUser.mock.calls[0].arguments[0], { _id: USER_ID });
+});
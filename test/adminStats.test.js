@@ -0,0 +1,92 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = "test-secret";
+const User = require("../models/user");
+const Job = require("../models/jobs");
+const Session = require("../models/session");
+const adminRoutes = require("../routes/admin");
+const { errorHandler } = require("../middleware/errorHandler");
+
+const USER_ID = "64b0000000000000000000bb";
+const token = jwt.sign({ id: USER_ID, sid: "64b0000000000000000000aa" }, "test-secret");
+
+let server;
+let baseUrl;
+let caller;
+let studentFilter;
+let jobStudentFilter;
+
+before(async () => {
+  const app = express();
+  app.use("/api/admin", adminRoutes);
+  app.use(errorHandler);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+});
+after(() => server.close());
+
+beforeEach(() => {
+  mock.restoreAll();
+  studentFilter = null;
+  jobStudentFilter = null;
+  mock.method(Session, "exists", async () => true);
+  mock.method(User, "findById", () => ({ select: async () => caller }));
+  mock.method(User, "countDocuments", async (filter) => {
+    studentFilter = filter;
+    return 0;
+  });
+  mock.method(Job, "aggregate", async (pipeline) => {
+    jobStudentFilter = pipeline.find((stage) => stage.$lookup).$lookup.pipeline[0].$match;
+    return [{ byStatus: [], byJobType: [], byMode: [], topCompanies: [], perStudent: [] }];
+  });
+});
+
+const getStats = (query = "") =>
+  fetch(`${baseUrl}/stats${query}`, { headers: { Authorization: `Bearer ${token}` } });
+
+test("placement officers only see their own cohort, whatever ?cohort= says", async () => {
+  caller = { role: "placement-officer", cohort: "2025-CSE" };
+  const res = await getStats("?cohort=2025-ECE");
+
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).cohort, "2025-CSE");
+  assert.deepEqual(studentFilter, { role: "user", cohort: "2025-CSE" });
+  assert.deepEqual(jobStudentFilter, studentFilter);
+});
+
+test("placement officers without a cohort are refused", async () => {
+  caller = { role: "placement-officer" };
+  const res = await getStats("?cohort=2025-ECE");
+
+  assert.equal(res.status, 403);
+  assert.equal(studentFilter, null);
+});
+
+test("admins can pick any cohort or see everyone", async () => {
+  caller = { role: "admin" };
+  await getStats("?cohort=2025-ECE");
+  assert.deepEqual(studentFilter, { role: "user", cohort: "2025-ECE" });
+
+  await getStats();
+  assert.deepEqual(studentFilter, { role: "user" });
+});
+
+test("students can't read cohort stats", async () => {
+  caller = { role: "user", cohort: "2025-CSE" };
+  const res = await getStats();
+  assert.equal(res.status, 403);
+});
+
+test("role lookup failures go through the central error handler", async (t) => {
+  const logged = t.mock.method(console, "error", () => {});
+  mock.method(User, "findById", () => ({ select: async () => { throw new Error("connection lost"); } }));
+  const res = await getStats();
+
+  assert.equal(res.status, 500);
+  assert.deepEqual(await res.json(), { message: "Server error" });
+  assert.equal(logged.mock.callCount(), 1);
+});
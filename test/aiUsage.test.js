@@ -0,0 +1,88 @@
+process.env.AI_DAILY_QUOTA = "2";
+process.env.AI_DAILY_QUOTA_ANONYMOUS = "1";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const AiUsage = require("../models/aiUsage");
+const { usageSubject, checkAiQuota, quotaCharger } = require("../utils/aiUsage");
+const aiQuota = require("../middleware/aiQuota");
+
+// Stand-in for today's AiUsage documents, honouring the { count: { $lt } } filter and upsert
+function fakeUsage(t, counts = {}) {
+  t.mock.method(AiUsage, "findOne", ({ key }) => ({
+    select: () => ({ lean: async () => (counts[key] ? { count: counts[key] } : null) }),
+  }));
+  return t.mock.method(AiUsage, "findOneAndUpdate", async (filter) => {
+    const count = counts[filter.key] || 0;
+    if (filter.count && !(count < filter.count.$lt)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    counts[filter.key] = count + 1;
+    return { count: counts[filter.key] };
+  });
+}
+
+test("usageSubject counts signed-in users by id and anonymous requests by IP", () => {
+  assert.deepEqual(usageSubject({ user: { id: "u1" }, ip: "1.2.3.4" }), { key: "user:u1", user: "u1", limit: 2 });
+  assert.deepEqual(usageSubject({ ip: "1.2.3.4" }), { key: "ip:1.2.3.4", limit: 1 });
+});
+
+test("checkAiQuota reports usage without counting anything", async (t) => {
+  const update = fakeUsage(t, { "user:u1": 2 });
+
+  const full = await checkAiQuota({ key: "user:u1", limit: 2 });
+  assert.equal(full.allowed, false);
+  assert.equal(full.used, 2);
+  assert.equal(full.resetsAt.getUTCHours(), 0);
+
+  assert.equal((await checkAiQuota({ key: "user:u2", limit: 2 })).allowed, true);
+  assert.equal((await checkAiQuota({ key: "user:u1", limit: 0 })).allowed, true);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test("quotaCharger charges once however often it's called", async (t) => {
+  const counts = {};
+  const update = fakeUsage(t, counts);
+  const charge = quotaCharger({ key: "user:u1", user: "u1", limit: 2 }, "resume");
+
+  await Promise.all([charge(), charge()]);
+  await charge();
+
+  assert.equal(update.mock.callCount(), 1);
+  assert.equal(counts["user:u1"], 1);
+  assert.deepEqual(update.mock.calls[0].arguments[1].$inc, { count: 1, "byType.resume": 1 });
+});
+
+test("quotaCharger rejects with a non-retryable 429 when the quota is used up", async (t) => {
+  fakeUsage(t, { "ip:1.2.3.4": 1 });
+  const charge = quotaCharger({ key: "ip:1.2.3.4", limit: 1 }, "match");
+
+  await assert.rejects(charge(), (err) => {
+    assert.equal(err.status, 429);
+    assert.equal(err.code, "QUOTA_EXCEEDED");
+    assert.equal(err.retryable, false);
+    return true;
+  });
+});
+
+test("aiQuota middleware answers 429 when exhausted and otherwise only attaches a charger", async (t) => {
+  const update = fakeUsage(t, { "user:full": 2 });
+  const res = {
+    headers: {},
+    set(headers, value) { Object.assign(this.headers, typeof headers === "string" ? { [headers]: value } : headers); return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; },
+  };
+
+  const blocked = { user: { id: "full" } };
+  await aiQuota("resume")(blocked, res, () => assert.fail("should not call next"));
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, "QUOTA_EXCEEDED");
+  assert.ok(Number(res.headers["Retry-After"]) > 0);
+
+  const allowed = { user: { id: "fresh" } };
+  await new Promise((resolve) => aiQuota("resume")(allowed, res, resolve));
+  assert.deepEqual(allowed.aiQuota, { subject: { key: "user:fresh", user: "fresh", limit: 2 }, type: "resume" });
+  assert.equal(typeof allowed.chargeAiQuota, "function");
+  assert.equal(update.mock.callCount(), 0);
+});
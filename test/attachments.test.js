@@ -0,0 +1,190 @@
+const { describe, test, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "attachments-test-"));
+process.env.JWT_SECRET = "test-secret";
+process.env.STORAGE_DIR = path.join(tmp, "storage");
+process.env.STORAGE_QUOTA_MB = "1";
+const Attachment = require("../models/attachment");
+const Resume = require("../models/resume");
+const Job = require("../models/jobs");
+const Session = require("../models/session");
+const createLocalStore = require("../utils/storage/localStore");
+const createS3Store = require("../utils/storage/s3Store");
+const { createAttachment } = require("../utils/attachments");
+const { signDownloadToken, verifyDownloadToken } = require("../utils/tokens");
+const resumeRoutes = require("../routes/resumes");
+const { errorHandler } = require("../middleware/errorHandler");
+
+const USER_ID = "64b0000000000000000000bb";
+const JOB_ID = "64b0000000000000000000cc";
+const MB = 1024 * 1024;
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+afterEach(() => mock.restoreAll());
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const upload = (name, contents) => {
+  const filePath = path.join(tmp, name);
+  fs.writeFileSync(filePath, contents);
+  return { path: filePath, originalname: name, mimetype: "text/plain", size: Buffer.byteLength(contents) };
+};
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+test("the local store copies files in, streams them back and removes them", async () => {
+  const store = createLocalStore({ root: path.join(tmp, "local") });
+  const { path: filePath } = upload("offer.txt", "offer letter");
+
+  await store.put("user/a1", filePath);
+  assert.equal(await readStream(await store.get("user/a1")), "offer letter");
+
+  await store.remove("user/a1");
+  await assert.rejects(store.get("user/a1"));
+  await assert.rejects(store.put("../escape", filePath), /Invalid storage key/);
+});
+
+test("the S3 store signs requests for the object URL and the payload", async () => {
+  const put = mock.method(axios, "put", async () => ({}));
+  const store = createS3Store({ bucket: "files", region: "eu-west-1", accessKeyId: "AKID", secretAccessKey: "secret" });
+  const { path: filePath } = upload("cv.txt", "resume body");
+
+  await store.put("user/a 1", filePath, { contentType: "text/plain" });
+
+  const [url, body, { headers }] = put.mock.calls[0].arguments;
+  assert.equal(url, "https://files.s3.eu-west-1.amazonaws.com/user/a%201");
+  assert.equal(body.toString(), "resume body");
+  assert.equal(headers["x-amz-content-sha256"], sha256("resume body"));
+  assert.match(
+    headers.authorization,
+    /^AWS4-HMAC-SHA256 Credential=AKID\/\d{8}\/eu-west-1\/s3\/aws4_request, SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+  );
+
+  const pathStyle = createS3Store({ bucket: "files", endpoint: "http://minio:9000", accessKeyId: "a", secretAccessKey: "b", forcePathStyle: true });
+  const remove = mock.method(axios, "delete", async () => ({}));
+  await pathStyle.remove("user/a1");
+  assert.equal(remove.mock.calls[0].arguments[0], "http://minio:9000/files/user/a1");
+
+  assert.throws(() => createS3Store({ bucket: "files" }), /S3_ACCESS_KEY_ID/);
+});
+
+test("download tokens name one attachment and aren't accepted in place of access tokens", () => {
+  const token = signDownloadToken(USER_ID, "a1");
+  const decoded = verifyDownloadToken(token);
+  assert.equal(decoded.id, USER_ID);
+  assert.equal(decoded.aid, "a1");
+
+  const access = jwt.sign({ id: USER_ID, sid: "s1" }, "test-secret");
+  assert.throws(() => verifyDownloadToken(access), /Not a download token/);
+});
+
+describe("createAttachment", () => {
+  let used;
+  let saved;
+
+  const mockUsage = () => {
+    saved = [];
+    mock.method(Attachment, "aggregate", async () => [{ used: used + saved.reduce((sum, a) => sum + a.size, 0), files: 0 }]);
+    mock.method(Attachment.prototype, "save", async function () {
+      saved.push(this);
+    });
+    mock.method(Attachment, "deleteOne", async ({ _id }) => {
+      saved = saved.filter((a) => !a._id.equals(_id));
+    });
+  };
+
+  test("stores the file with its hash when it fits in the quota", async () => {
+    used = 0;
+    mockUsage();
+    const attachment = await createAttachment({ userId: USER_ID, job: { _id: JOB_ID }, file: upload("a.txt", "hello"), kind: "other" });
+
+    assert.equal(attachment.sha256, sha256("hello"));
+    assert.equal(attachment.storageKey, `${USER_ID}/${attachment._id}`);
+    assert.ok(fs.existsSync(path.join(process.env.STORAGE_DIR, attachment.storageKey)));
+  });
+
+  test("refuses a file that doesn't fit before storing anything", async () => {
+    used = MB - 2;
+    mockUsage();
+    await assert.rejects(
+      createAttachment({ userId: USER_ID, job: { _id: JOB_ID }, file: upload("b.txt", "too big"), kind: "other" }),
+      (err) => err.status === 413 && err.code === "STORAGE_QUOTA_EXCEEDED"
+    );
+    assert.equal(saved.length, 0);
+  });
+
+  test("backs out an upload that a parallel one pushed over the quota", async () => {
+    used = MB - 10;
+    mockUsage();
+    // Another upload lands between the first check and this one being saved
+    let attachment;
+    mock.method(Attachment.prototype, "save", async function () {
+      attachment = this;
+      saved.push(this, { _id: new Attachment()._id, size: 8 });
+    });
+
+    await assert.rejects(
+      createAttachment({ userId: USER_ID, job: { _id: JOB_ID }, file: upload("c.txt", "racing"), kind: "other" }),
+      { code: "STORAGE_QUOTA_EXCEEDED" }
+    );
+    assert.ok(!saved.includes(attachment));
+    assert.ok(!fs.existsSync(path.join(process.env.STORAGE_DIR, attachment.storageKey)));
+  });
+});
+
+describe("resume routes", () => {
+  let server;
+  let baseUrl;
+  const token = jwt.sign({ id: USER_ID, sid: "64b0000000000000000000aa" }, "test-secret");
+  const RESUME_ID = "64b0000000000000000000dd";
+
+  before(async () => {
+    const app = express();
+    app.use("/api/resumes", resumeRoutes);
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/resumes`;
+  });
+  after(() => server.close());
+
+  const request = (pathname, method = "GET") =>
+    fetch(`${baseUrl}${pathname}`, { method, headers: { Authorization: `Bearer ${token}` } });
+
+  test("reject malformed resume ids", async () => {
+    mock.method(Session, "exists", async () => true);
+    const res = await request("/not-an-id/applications");
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, "VALIDATION_ERROR");
+  });
+
+  test("deleting a resume leaves no attachment or job pointing at it", async () => {
+    mock.method(Session, "exists", async () => true);
+    mock.method(Resume, "findOneAndDelete", async () => ({ _id: RESUME_ID }));
+    const deleteMany = mock.method(Attachment, "deleteMany", async () => ({}));
+    const updateAttachments = mock.method(Attachment, "updateMany", async () => ({}));
+    const updateJobs = mock.method(Job, "updateMany", async () => ({}));
+
+    const res = await request(`/${RESUME_ID}`, "DELETE");
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { user: USER_ID, resume: RESUME_ID, storageKey: null });
+    assert.deepEqual(updateAttachments.mock.calls[0].arguments[1], { $unset: { resume: 1 } });
+    assert.deepEqual(updateJobs.mock.calls[0].arguments, [
+      { user: USER_ID, "match.resume": RESUME_ID },
+      { $unset: { "match.resume": 1 } },
+    ]);
+  });
+});
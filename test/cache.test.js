@@ -0,0 +1,59 @@
+process.env.AI_CACHE_STORE = "memory";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { cached, invalidate, hashKey } = require("../utils/cache");
+const createMemoryStore = require("../utils/cache/memoryStore");
+
+test("hashKey keeps part boundaries and accepts buffers and objects", () => {
+  assert.notEqual(hashKey("ab", "c"), hashKey("a", "bc"));
+  assert.equal(hashKey(Buffer.from("abc")), hashKey("abc"));
+  assert.equal(hashKey({ a: 1 }), hashKey('{"a":1}'));
+  assert.match(hashKey("x"), /^[0-9a-f]{64}$/);
+});
+
+test("the memory store expires entries, evicts the least recently used and hands out copies", async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set("a", { list: [1] }, 60000);
+  await store.set("b", 2, 60000);
+  await store.get("a");
+  await store.set("c", 3, 60000);
+
+  assert.equal(await store.get("b"), undefined);
+  const a = await store.get("a");
+  a.list.push(2);
+  assert.deepEqual(await store.get("a"), { list: [1] });
+
+  await store.set("short", 1, 1);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(await store.get("short"), undefined);
+});
+
+test("cached() computes once per key and reports hits", async () => {
+  let calls = 0;
+  const compute = async () => ++calls;
+
+  assert.deepEqual(await cached("test-hits", ["same"], compute), { value: 1, cached: false });
+  assert.deepEqual(await cached("test-hits", ["same"], compute), { value: 1, cached: true });
+  assert.deepEqual(await cached("test-hits", ["other"], compute), { value: 2, cached: false });
+});
+
+test("cached() doesn't store results that shouldCache rejects", async () => {
+  let calls = 0;
+  const compute = async () => ({ degraded: true, call: ++calls });
+  const options = { shouldCache: (value) => !value.degraded };
+
+  await cached("test-veto", ["k"], compute, options);
+  const second = await cached("test-veto", ["k"], compute, options);
+  assert.equal(second.cached, false);
+  assert.equal(second.value.call, 2);
+});
+
+test("invalidate() clears one namespace", async () => {
+  await cached("test-a", ["k"], async () => "a");
+  await cached("test-b", ["k"], async () => "b");
+
+  assert.equal(await invalidate("test-a"), 1);
+  assert.equal((await cached("test-a", ["k"], async () => "a2")).value, "a2");
+  assert.equal((await cached("test-b", ["k"], async () => "b2")).value, "b");
+});
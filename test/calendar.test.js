@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { collectJobEvents } = require("../utils/jobEvents");
+const { buildCalendar } = require("../utils/ical");
+
+const jobs = [
+  {
+    _id: "job1",
+    company: "Acme",
+    role: "SDE",
+    interviewDate: new Date("2024-05-01T09:00:00Z"),
+    rounds: [
+      { _id: "r1", type: "oa", outcome: "passed", scheduledAt: new Date("2024-04-01T09:00:00Z") },
+      { _id: "r2", type: "technical", outcome: "pending", scheduledAt: new Date("2024-04-10T09:00:00Z") },
+    ],
+  },
+  {
+    _id: "job2",
+    company: "Globex",
+    role: "Analyst",
+    interviewDate: new Date("2024-04-05T09:00:00Z"),
+    followUpDate: new Date("2024-04-20T00:00:00Z"),
+    rounds: [],
+  },
+];
+
+test("collectJobEvents prefers pending rounds over interviewDate and sorts by date", () => {
+  const events = collectJobEvents(jobs);
+  assert.deepEqual(events.map((e) => e.id), ["job2-interview", "job1-round-r2", "job2-follow-up"]);
+  assert.equal(events[1].title, "Technical interview – Acme");
+  assert.equal(events[2].allDay, true);
+});
+
+test("collectJobEvents limits events to the requested range", () => {
+  const events = collectJobEvents(jobs, { from: new Date("2024-04-06"), to: new Date("2024-04-15") });
+  assert.deepEqual(events.map((e) => e.id), ["job1-round-r2"]);
+});
+
+test("buildCalendar escapes text, uses all-day dates and folds long lines", () => {
+  const ics = buildCalendar([
+    { id: "a", kind: "interview", title: "Interview; Acme, Inc.", role: "SDE", company: "Acme", date: new Date("2024-04-10T09:00:00Z") },
+    { id: "b", kind: "follow-up", title: `Follow up ${"x".repeat(100)}`, role: "SDE", company: "Acme", date: new Date("2024-04-20T00:00:00Z"), allDay: true },
+  ]);
+  const lines = ics.split("\r\n");
+
+  assert.ok(lines.includes("SUMMARY:Interview\\; Acme\\, Inc."));
+  assert.ok(lines.includes("DTSTART:20240410T090000Z"));
+  assert.ok(lines.includes("DTEND:20240410T100000Z"));
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20240420"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20240421"));
+  assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75));
+  assert.ok(lines.some((line) => line.startsWith(" x")));
+});
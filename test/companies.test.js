@@ -0,0 +1,149 @@
+const { describe, test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = "test-secret";
+const Company = require("../models/company");
+const { companyKey } = require("../models/company");
+const Job = require("../models/jobs");
+const Session = require("../models/session");
+const companyRoutes = require("../routes/companies");
+const { errorHandler } = require("../middleware/errorHandler");
+const { buildJobQuery } = require("../utils/jobQuery");
+
+const USER_ID = "64b0000000000000000000bb";
+const TARGET_ID = "64b0000000000000000000c1";
+const SOURCE_ID = "64b0000000000000000000c2";
+const token = jwt.sign({ id: USER_ID, sid: "64b0000000000000000000aa" }, "test-secret");
+
+test("companyKey ignores case, punctuation, legal suffixes and regions", () => {
+  assert.equal(companyKey("Google India Pvt. Ltd."), "google");
+  assert.equal(companyKey("J.P. Morgan & Co."), "jpmorgan");
+  assert.equal(companyKey("JP Morgan"), "jpmorgan");
+  assert.equal(companyKey("The Company"), "thecompany");
+  assert.equal(companyKey("  "), "");
+  assert.equal(companyKey("The Boeing Company"), companyKey("Boeing"));
+});
+
+test("companyKey keeps region and suffix words that are part of the name", () => {
+  const distinct = [
+    ["Global Payments", "Payments Inc"],
+    ["International Paper", "Paper"],
+    ["US Bank", "India Bank"],
+    ["Bank of India", "Bank"],
+    ["Johnson & Johnson", "Johnson"],
+  ];
+  distinct.forEach(([a, b]) => assert.notEqual(companyKey(a), companyKey(b), `${a} / ${b}`));
+});
+
+test("saving a company derives its keys from the name and aliases", async () => {
+  const company = new Company({ user: USER_ID, name: "Google", aliases: [" Google India ", "Alphabet", "Google", ""] });
+  await company.validate();
+
+  assert.deepEqual(company.aliases, ["Google India", "Alphabet"]);
+  assert.deepEqual(company.keys, ["google", "alphabet"]);
+});
+
+test("Company.resolve remembers new spellings and survives a concurrent create", async (t) => {
+  const existing = { _id: TARGET_ID, name: "Google", aliases: [] };
+  t.mock.method(Company, "findOne", async () => existing);
+  const updateOne = t.mock.method(Company, "updateOne", async () => ({}));
+
+  assert.equal(await Company.resolve(USER_ID, " Google India "), existing);
+  assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $addToSet: { aliases: "Google India" } });
+
+  // Not there on the first lookup; created by someone else by the time create() fails
+  let lookups = 0;
+  t.mock.method(Company, "findOne", async () => (++lookups > 1 ? existing : null));
+  t.mock.method(Company, "create", async () => {
+    throw Object.assign(new Error("E11000"), { code: 11000 });
+  });
+  assert.equal(await Company.resolve(USER_ID, "google"), existing);
+
+  assert.equal(await Company.resolve(USER_ID, "..."), null);
+});
+
+test("buildJobQuery filters by company id and rejects malformed ones", () => {
+  assert.equal(buildJobQuery(USER_ID, { companyId: TARGET_ID }).filter.companyId, TARGET_ID);
+  assert.deepEqual(buildJobQuery(USER_ID, { companyId: "google" }).errors.map((e) => e.field), ["companyId"]);
+});
+
+describe("POST /api/companies/:id/merge", () => {
+  let server;
+  let baseUrl;
+  let calls;
+  let target;
+  let source;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/companies", companyRoutes);
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/companies`;
+  });
+  after(() => server.close());
+
+  beforeEach(() => {
+    mock.restoreAll();
+    calls = [];
+    target = new Company({ _id: TARGET_ID, user: USER_ID, name: "Google" });
+    source = new Company({ _id: SOURCE_ID, user: USER_ID, name: "Alphabet", keys: ["alphabet"], notes: "Referral from Sam" });
+    mock.method(Session, "exists", async () => true);
+    mock.method(Company, "findOne", async () => target);
+    mock.method(Company, "find", async () => [source]);
+    mock.method(Company, "deleteMany", async () => calls.push("delete sources"));
+    mock.method(Company, "updateOne", async (filter, update) =>
+      calls.push(`set ${filter._id} keys to ${update.keys}`));
+    mock.method(Job, "find", () => ({ select: () => ({ lean: async () => [{ _id: "j1", companyId: source._id }] }) }));
+    // Two jobs move on the first pass and none are left for the final sweep
+    let moves = 0;
+    mock.method(Job, "updateMany", async (filter, update) => {
+      calls.push(`move jobs to ${update.companyId}`);
+      return { modifiedCount: ++moves === 1 ? 2 : 0 };
+    });
+  });
+
+  const merge = () =>
+    fetch(`${baseUrl}/${TARGET_ID}/merge`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ ids: [SOURCE_ID] }),
+    });
+
+  test("merging moves the jobs and saves the target before deleting the source companies", async () => {
+    mock.method(target, "save", async () => calls.push("save target"));
+    const res = await merge();
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(calls, [
+      `move jobs to ${TARGET_ID}`,
+      `set ${SOURCE_ID} keys to merging:${SOURCE_ID}`,
+      "save target",
+      "delete sources",
+      `move jobs to ${TARGET_ID}`,
+    ]);
+    assert.equal(body.movedApplications, 2);
+    assert.deepEqual(body.company.aliases, ["Alphabet"]);
+    assert.equal(body.company.notes, "Referral from Sam");
+  });
+
+  test("a failed merge leaves the source companies in place and moves their jobs back", async () => {
+    mock.method(target, "save", async () => {
+      throw Object.assign(new Error("E11000"), { code: 11000 });
+    });
+    const res = await merge();
+
+    assert.equal(res.status, 409);
+    assert.deepEqual(calls, [
+      `move jobs to ${TARGET_ID}`,
+      `set ${SOURCE_ID} keys to merging:${SOURCE_ID}`,
+      `set ${SOURCE_ID} keys to alphabet`,
+      `move jobs to ${SOURCE_ID}`,
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePay, normalizeCompensation, compareOffers } = require("../utils/compensation");
+
+test("parsePay splits IT + FT offers into stipend and CTC", () => {
+  assert.deepEqual(parsePay("18 LPA + 40k/month stipend", "IT + FT"), {
+    currency: "INR",
+    stipend: { amount: 40000, period: "month" },
+    ctc: { total: 1800000 },
+    source: "parsed",
+  });
+});
+
+test("parsePay reads currencies, units, ranges and labelled components", () => {
+  assert.deepEqual(parsePay("₹12,00,000 CTC").ctc, { total: 1200000 });
+  assert.deepEqual(parsePay("CTC 12", "Full-Time").ctc, { total: 1200000 });
+  assert.deepEqual(parsePay("15-20 LPA").ctc, { total: 1500000 });
+
+  const usd = parsePay("$120k base, $20k sign-on", "Full-Time");
+  assert.equal(usd.currency, "USD");
+  assert.deepEqual(usd.ctc, { base: 120000, bonus: 20000 });
+});
+
+test("parsePay attaches a duration to the stipend whichever side it's written on", () => {
+  assert.equal(parsePay("3 months internship, 20k stipend", "Internship").stipend.durationMonths, 3);
+  assert.equal(parsePay("20k stipend, 6 months", "Internship").stipend.durationMonths, 6);
+  assert.equal(parsePay("20k stipend for 6 months", "Internship").stipend.durationMonths, 6);
+});
+
+test("parsePay treats bare internship amounts as monthly stipends and gives up on text without pay", () => {
+  assert.deepEqual(parsePay("30000", "Internship").stipend, { amount: 30000, period: "month" });
+  assert.deepEqual(parsePay("$1000/week", "Internship").stipend, { amount: 1000, period: "week" });
+  assert.equal(parsePay("competitive"), null);
+  assert.equal(parsePay(undefined), null);
+});
+
+test("normalizeCompensation works out monthly and total stipends and annual CTC", () => {
+  const internship = normalizeCompensation({ currency: "INR", stipend: { amount: 150000, period: "total", durationMonths: 6 } });
+  assert.deepEqual(internship.internship, { monthly: 25000, durationMonths: 6, total: 150000 });
+  assert.equal(internship.fullTime, null);
+
+  const weekly = normalizeCompensation({ currency: "USD", stipend: { amount: 1200, period: "week" } });
+  assert.deepEqual(weekly.internship, { monthly: 5200, durationMonths: null, total: null });
+
+  const pbc = normalizeCompensation({ currency: "INR", ctc: { base: 1000000, bonus: 200000 } }, "IT + PBC");
+  assert.deepEqual(pbc.fullTime, { annual: 1200000, monthly: 100000, base: 1000000, bonus: 200000, stock: null, guaranteed: false });
+
+  assert.equal(normalizeCompensation({ currency: "INR" }), null);
+  assert.equal(normalizeCompensation(null), null);
+});
+
+test("compareOffers sorts within the most common currency first and reports per-currency highs", () => {
+  const jobs = [
+    { _id: "a", company: "A", jobType: "Full-Time", pay: "12 LPA", compensation: { currency: "INR", ctc: { total: 1200000 } } },
+    { _id: "b", company: "B", jobType: "Full-Time", pay: "$150k", compensation: { currency: "USD", ctc: { total: 150000 } } },
+    { _id: "c", company: "C", jobType: "Full-Time", pay: "20 LPA", compensation: { currency: "INR", ctc: { total: 2000000 } } },
+    { _id: "d", company: "D", jobType: "Internship", pay: "30k pm", compensation: { currency: "INR", stipend: { amount: 30000, period: "month" } } },
+    { _id: "e", company: "E", jobType: "Full-Time", pay: "competitive" },
+  ];
+  const result = compareOffers(jobs);
+
+  assert.deepEqual(result.currencies, ["INR", "USD"]);
+  assert.deepEqual(result.offers.map((o) => o._id), ["c", "a", "d", "b", "e"]);
+  assert.equal(result.highest.INR.ctc._id, "c");
+  assert.equal(result.highest.INR.stipend.monthly, 30000);
+  assert.equal(result.highest.USD.ctc.annual, 150000);
+  assert.deepEqual(
+    result.byJobType.find((g) => g.jobType === "Full-Time" && g.currency === "INR"),
+    { jobType: "Full-Time", currency: "INR", offers: 2, medianCtc: 1600000, medianMonthlyStipend: null }
+  );
+  assert.deepEqual(result.unparsed, [{ _id: "e", company: "E", pay: "competitive" }]);
+
+  assert.equal(compareOffers(jobs, "stipend").offers[0]._id, "d");
+});
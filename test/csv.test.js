@@ -0,0 +1,27 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv, parseCsvObjects, toCsv } = require("../utils/csv");
+
+test("parseCsv handles quoted fields, escaped quotes and CRLF line endings", () => {
+  const rows = parseCsv('﻿company,notes\r\n"Acme, Inc.","said ""soon"""\r\nGlobex,"two\nlines"\r\n\r\n');
+  assert.deepEqual(rows, [
+    ["company", "notes"],
+    ["Acme, Inc.", 'said "soon"'],
+    ["Globex", "two\nlines"],
+  ]);
+});
+
+test("parseCsvObjects keys rows by the trimmed header and fills missing cells", () => {
+  assert.deepEqual(parseCsvObjects(" company , role\nAcme, SDE \nGlobex\n"), [
+    { company: "Acme", role: "SDE" },
+    { company: "Globex", role: "" },
+  ]);
+});
+
+test("toCsv quotes only the fields that need it and round-trips through parseCsv", () => {
+  const rows = [{ company: "Acme, Inc.", role: 'Dev "II"', pay: null }];
+  const csv = toCsv(rows, ["company", "role", "pay"]);
+
+  assert.equal(csv, 'company,role,pay\r\n"Acme, Inc.","Dev ""II""",\r\n');
+  assert.deepEqual(parseCsvObjects(csv), [{ company: "Acme, Inc.", role: 'Dev "II"', pay: "" }]);
+});
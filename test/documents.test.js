@@ -0,0 +1,44 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.AI_CACHE_STORE = "off";
+const { readDocument, isSupportedUpload } = require("../utils/documents");
+
+let dir;
+const upload = (name, contents, mimetype = "application/octet-stream") => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, contents);
+  return { path: filePath, originalname: name, mimetype };
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "documents-test-"));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("readDocument reads text uploads and pasted text", async () => {
+  assert.equal(await readDocument({ file: upload("resume.md", "﻿# Jane Doe", "text/markdown") }), "# Jane Doe");
+  assert.equal(await readDocument({ text: "pasted resume" }), "pasted resume");
+});
+
+test("readDocument prefers the upload over pasted text", async () => {
+  const text = await readDocument({ file: upload("jd.txt", "from the file"), text: "pasted" });
+  assert.equal(text, "from the file");
+});
+
+test("readDocument rejects missing, empty and unreadable documents with specific codes", async () => {
+  await assert.rejects(readDocument({ label: "resume" }), { code: "MISSING_DOCUMENT", status: 400 });
+  await assert.rejects(readDocument({ text: "   " }), { code: "EMPTY_DOCUMENT", status: 422 });
+  // Sniffed as DOCX from the zip magic bytes, but not a real document
+  await assert.rejects(readDocument({ file: upload("upload", "PK\u0003\u0004 broken") }), { code: "INVALID_DOCX" });
+  await assert.rejects(readDocument({ file: upload("upload", "GIF89a") }), { code: "UNSUPPORTED_TYPE", status: 400 });
+});
+
+test("isSupportedUpload accepts documents by extension or MIME type", () => {
+  assert.ok(isSupportedUpload({ originalname: "cv.DOCX", mimetype: "application/zip" }));
+  assert.ok(isSupportedUpload({ originalname: "cv", mimetype: "application/pdf" }));
+  assert.ok(!isSupportedUpload({ originalname: "photo.png", mimetype: "image/png" }));
+});
@@ -0,0 +1,90 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Job = require("../models/jobs");
+const { analyticsRange, buildJobAnalytics } = require("../utils/jobAnalytics");
+const { ValidationError } = require("../utils/errors");
+
+test("analyticsRange makes a date-only `to` inclusive and derives `from` from the period", () => {
+  const range = analyticsRange({ from: "2024-01-01", to: "2024-01-31", bucket: "week" });
+  assert.equal(range.from.toISOString(), "2024-01-01T00:00:00.000Z");
+  assert.equal(range.to.toISOString(), "2024-01-31T23:59:59.999Z");
+  assert.equal(range.bucket, "week");
+
+  const recent = analyticsRange({ period: "last30days" });
+  assert.ok(Math.abs(Date.now() - 30 * 24 * 60 * 60 * 1000 - recent.from.getTime()) < 1000);
+  assert.equal(recent.to, null);
+  assert.equal(recent.bucket, "day");
+
+  assert.deepEqual(analyticsRange({ period: "all" }), { from: null, to: null, bucket: "day" });
+});
+
+test("analyticsRange rejects a range that ends before it starts", () => {
+  assert.throws(() => analyticsRange({ from: "2024-02-01", to: "2024-01-01" }), ValidationError);
+});
+
+const facets = {
+  totals: [{
+    total: 4, interviews: 2, offers: 1, rejected: 2, rejectedAfterInterview: 1, ghosted: 0,
+    responseDays: [2, 4, null], interviewDays: [5, 9], offerDays: [20],
+  }],
+  statuses: [{ _id: "applied", count: 1 }, { _id: "offered", count: 1 }, { _id: "rejected", count: 2 }],
+  timeline: [{ _id: new Date("2024-01-01"), applications: 4, interviews: 2, offers: 1, rejections: 2 }],
+  roles: [{ _id: "SDE", applied: 4, interview: 0, offered: 1 }],
+  jobTypes: [{ _id: null, applications: 4, interviews: 2, offers: 1 }],
+  modes: [],
+  companies: [
+    { _id: "c1", name: "acme", applications: 3, interviews: 2, offers: 1, record: [{ _id: "c1", name: "Acme" }] },
+    { _id: "globex", name: "Globex ", applications: 1, interviews: 0, offers: 0, record: [] },
+  ],
+  stages: [{ _id: "applied", days: [1, 3, 8] }, { _id: "interview", days: [4, 6] }],
+  rounds: [
+    { _id: { type: "oa", outcome: "passed" }, count: 3 },
+    { _id: { type: "oa", outcome: "failed" }, count: 1 },
+    { _id: { type: "technical", outcome: "pending" }, count: 2 },
+  ],
+  matchBuckets: [{ _id: 80, applications: 2, interviews: 2, offers: 1 }],
+  matchSums: [{ n: 4, sx: 240, sxx: 15800, syInterview: 2, sxyInterview: 170, syOffer: 1, sxyOffer: 90 }],
+};
+
+test("buildJobAnalytics turns the aggregation facets into the report sections", async (t) => {
+  t.mock.method(Job, "aggregate", async () => [facets]);
+  const report = await buildJobAnalytics("64b0000000000000000000aa", { from: null, to: null, bucket: "month" });
+
+  assert.equal(report.summary.totalApplications, 4);
+  assert.equal(report.summary.avgResponseTime, "3 days");
+  assert.deepEqual(report.funnel.stages.map((s) => s.conversionFromPrevious), [null, "50.0%", "50.0%"]);
+  assert.deepEqual(report.funnel.rejected, { total: 2, beforeInterview: 1, afterInterview: 1 });
+
+  assert.deepEqual(report.roundDropoff.map((r) => [r.type, r.reached, r.dropoffRate]), [
+    ["oa", 4, "25.0%"],
+    ["technical", 2, "0.0%"],
+  ]);
+  assert.deepEqual(report.stageDurations, [
+    { stage: "applied", transitions: 3, medianDays: 3 },
+    { stage: "interview", transitions: 2, medianDays: 5 },
+  ]);
+
+  assert.deepEqual(report.breakdowns.company.map((c) => [c.name, c.companyId, c.interviewRate]), [
+    ["Acme", "c1", "66.7%"],
+    ["Globex ", null, "0.0%"],
+  ]);
+  assert.equal(report.breakdowns.jobType[0].name, "Unspecified");
+
+  assert.equal(report.matchScoreAnalysis.buckets[3].interviewRate, "100.0%");
+  assert.equal(report.matchScoreAnalysis.buckets[0].applications, 0);
+  assert.equal(typeof report.matchScoreAnalysis.interviewCorrelation, "number");
+  assert.equal(report.trends[0].period, "2024-01-01");
+  assert.equal(report.timeToMilestone.interview.medianDays, 7);
+});
+
+test("buildJobAnalytics copes with a user who has no jobs in range", async (t) => {
+  const empty = Object.fromEntries(Object.keys(facets).map((key) => [key, []]));
+  t.mock.method(Job, "aggregate", async () => [empty]);
+  const report = await buildJobAnalytics("64b0000000000000000000aa", { from: null, to: null, bucket: "day" });
+
+  assert.equal(report.summary.interviewRate, "0%");
+  assert.equal(report.funnel.stages[1].conversionFromPrevious, "0.0%");
+  assert.equal(report.matchScoreAnalysis.interviewCorrelation, null);
+  assert.deepEqual(report.stageDurations, []);
+  assert.equal(report.timeToMilestone.offer.medianDays, null);
+});
@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Job = require("../models/jobs");
+
+const newJob = (fields = {}) =>
+  new Job({ user: "64b000000000000000000001", company: "Acme", role: "SDE", dateApplied: new Date("2024-01-01"), ...fields });
+
+test("firstReached returns the date a status was first recorded", () => {
+  const job = newJob({
+    statusHistory: [
+      { status: "applied", date: new Date("2024-01-01") },
+      { status: "interview", date: new Date("2024-01-10") },
+      { status: "interview", date: new Date("2024-01-20") },
+    ],
+  });
+
+  assert.deepEqual(job.firstReached("interview"), new Date("2024-01-10"));
+  assert.equal(job.firstReached("offered"), null);
+});
+
+test("syncFromRounds moves a job to interview and picks the next scheduled round", () => {
+  const job = newJob({
+    status: "applied",
+    rounds: [
+      { type: "oa", outcome: "passed", scheduledAt: new Date("2024-02-01") },
+      { type: "technical", outcome: "pending", scheduledAt: new Date("2024-02-20") },
+      { type: "managerial", outcome: "pending", scheduledAt: new Date("2024-02-10") },
+    ],
+  });
+
+  job.syncFromRounds();
+
+  assert.equal(job.status, "interview");
+  assert.deepEqual(job.interviewDate, new Date("2024-02-10"));
+});
+
+test("syncFromRounds rejects a job when a round is failed", () => {
+  const job = newJob({
+    status: "interview",
+    rounds: [
+      { type: "oa", outcome: "passed" },
+      { type: "technical", name: "DSA", outcome: "failed" },
+    ],
+  });
+
+  job.syncFromRounds();
+
+  assert.equal(job.status, "rejected");
+  assert.equal(job.statusNote, "Did not clear DSA round");
+});
+
+test("syncFromRounds marks an offer once every round through HR is passed", () => {
+  const job = newJob({
+    status: "interview",
+    rounds: [
+      { type: "technical", outcome: "passed" },
+      { type: "hr", outcome: "passed" },
+    ],
+  });
+
+  job.syncFromRounds();
+
+  assert.equal(job.status, "offered");
+});
+
+test("syncFromRounds leaves a job without rounds alone", () => {
+  const job = newJob({ status: "applied" });
+  job.syncFromRounds();
+  assert.equal(job.status, "applied");
+});
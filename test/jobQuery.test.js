@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildJobQuery } = require("../utils/jobQuery");
+
+const USER = "64b000000000000000000001";
+
+test("buildJobQuery defaults to newest applications first without pagination", () => {
+  const { filter, sort, pagination } = buildJobQuery(USER, {});
+  assert.deepEqual(filter, { user: USER });
+  assert.deepEqual(sort, { dateApplied: -1, _id: -1 });
+  assert.equal(pagination, null);
+});
+
+test("buildJobQuery builds search, enum, date and paging filters", () => {
+  const { filter, sort, pagination } = buildJobQuery(USER, {
+    q: "a.b",
+    status: ["applied,interview", "offered"],
+    appliedFrom: "2024-01-01",
+    sort: "company",
+    order: "asc",
+    page: "2",
+  });
+
+  assert.deepEqual(filter.status, { $in: ["applied", "interview", "offered"] });
+  assert.equal(filter.$or[0].company.source, "a\\.b");
+  assert.deepEqual(filter.dateApplied, { $gte: new Date("2024-01-01") });
+  assert.deepEqual(sort, { company: 1, _id: 1 });
+  assert.deepEqual(pagination, { page: 2, limit: 20 });
+});
+
+test("buildJobQuery reports every invalid parameter as a query field error", () => {
+  const { errors, filter } = buildJobQuery(USER, {
+    status: "pending",
+    appliedTo: "not a date",
+    sort: "salary",
+    limit: "500",
+  });
+
+  assert.equal(filter, undefined);
+  assert.deepEqual(errors.map((e) => e.field).sort(), ["appliedTo", "limit", "sort", "status"]);
+  assert.ok(errors.every((e) => e.location === "query"));
+});
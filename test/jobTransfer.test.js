@@ -0,0 +1,79 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = "test-secret";
+const Job = require("../models/jobs");
+const Session = require("../models/session");
+const jobRoutes = require("../routes/jobs");
+const { toExportRow, normalizeImportRow, duplicateKey } = require("../utils/jobTransfer");
+
+test("normalizeImportRow maps header aliases and enum casing onto job fields", () => {
+  const row = normalizeImportRow({
+    "Company Name": " Acme ",
+    Position: "SDE",
+    "Date Applied": "2024-03-01",
+    Type: "full-time",
+    Stage: "INTERVIEW",
+    Notes: "",
+  });
+
+  assert.deepEqual(row, {
+    company: "Acme",
+    role: "SDE",
+    dateApplied: "2024-03-01",
+    jobType: "Full-Time",
+    status: "interview",
+  });
+});
+
+test("toExportRow formats dates as YYYY-MM-DD and leaves missing ones empty", () => {
+  const row = toExportRow({ company: "Acme", role: "SDE", dateApplied: new Date("2024-03-01T10:00:00Z"), status: "applied" });
+  assert.equal(row.dateApplied, "2024-03-01");
+  assert.equal(row.interviewDate, "");
+});
+
+test("duplicateKey ignores case, surrounding spaces and the time of day", () => {
+  assert.equal(
+    duplicateKey({ company: " Acme ", role: "SDE", dateApplied: "2024-03-01T08:00:00Z" }),
+    duplicateKey({ company: "acme", role: "sde ", dateApplied: new Date("2024-03-01T20:00:00Z") })
+  );
+});
+
+test("import saves the rows it can and reports the ones that failed to save", async (t) => {
+  t.mock.method(Session, "exists", async () => true);
+  t.mock.method(Job, "find", async () => []);
+  t.mock.method(console, "error", () => {});
+  const saved = [];
+  t.mock.method(Job.prototype, "save", async function () {
+    if (this.company === "Broken") throw new Error("connection lost");
+    saved.push(this.company);
+    return this;
+  });
+
+  const app = express();
+  app.use("/api/jobs", jobRoutes);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => server.close());
+
+  const form = new FormData();
+  const csv = "company,role,dateApplied\nAcme,SDE,2024-03-01\nBroken,SDE,2024-03-02\n,SDE,2024-03-03\nGlobex,SDE,2024-03-04\n";
+  form.append("file", new Blob([csv], { type: "text/csv" }), "jobs.csv");
+  const token = jwt.sign({ id: "64b0000000000000000000bb", sid: "64b0000000000000000000aa" }, "test-secret");
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/api/jobs/import`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+    body: form,
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 201);
+  assert.deepEqual(saved, ["Acme", "Globex"]);
+  assert.equal(body.imported, 2);
+  assert.equal(body.valid, 3);
+  assert.equal(body.failed, 2);
+  assert.deepEqual(body.errors.map((e) => e.row), [3, 4]);
+  assert.ok(body.errors[0].errors.row);
+});
@@ -0,0 +1,22 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+// No API keys: unknown names are skipped and only the offline provider is left
+process.env.LLM_PROVIDERS = "bogus, gemini, local";
+delete process.env.GEMINI_API_KEY;
+const { generate, getProviders } = require("../utils/llm");
+
+test("getProviders keeps configured providers in order and skips unusable ones", () => {
+  assert.deepEqual(getProviders().map((p) => p.name), ["local"]);
+});
+
+test("generate answers from the local provider in the task's JSON shape", async () => {
+  const result = await generate({ task: "extract-skills", prompt: "ignored", input: { text: "Python and Django developer" } });
+
+  assert.equal(result.provider, "local");
+  assert.deepEqual(JSON.parse(result.text).sort(), ["Django", "Python"]);
+});
+
+test("generate rejects when every provider fails", async () => {
+  await assert.rejects(generate({ task: "unknown-task", input: {} }), /All LLM providers failed/);
+});
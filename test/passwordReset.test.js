@@ -0,0 +1,59 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), "mail-test-"));
+process.env.MAIL_TRANSPORT = "file";
+process.env.MAIL_DIR = mailDir;
+process.env.APP_URL = "https://jobs.example.com/";
+const PasswordReset = require("../models/passwordReset");
+const { sendPasswordResetEmail, consumeResetToken } = require("../utils/passwordReset");
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const user = { _id: "64b0000000000000000000bb", name: "Jane", username: "jane", email: "jane@example.com" };
+
+let updateMany;
+let create;
+before(() => {
+  updateMany = mock.method(PasswordReset, "updateMany", async () => ({}));
+  create = mock.method(PasswordReset, "create", async (doc) => doc);
+});
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(mailDir, { recursive: true, force: true });
+});
+
+test("sendPasswordResetEmail stores only the token hash and mails a single-use link", async () => {
+  await sendPasswordResetEmail(user, { ip: "203.0.113.5" });
+
+  // Earlier unused links stop working
+  assert.deepEqual(updateMany.mock.calls[0].arguments[0], { user: user._id, usedAt: null });
+
+  const [file] = fs.readdirSync(mailDir);
+  const message = JSON.parse(fs.readFileSync(path.join(mailDir, file), "utf8"));
+  const token = message.text.match(/reset-password\?token=([a-f0-9]+)/)[1];
+  assert.equal(message.to, "jane@example.com");
+  assert.ok(message.text.includes("https://jobs.example.com/reset-password?token="));
+
+  const stored = create.mock.calls[0].arguments[0];
+  assert.equal(stored.tokenHash, sha256(token));
+  assert.equal(stored.requestedIp, "203.0.113.5");
+  assert.ok(!JSON.stringify(stored).includes(token));
+});
+
+test("consumeResetToken looks tokens up by hash and ignores junk", async () => {
+  const findOneAndUpdate = mock.method(PasswordReset, "findOneAndUpdate", async () => ({ user: user._id }));
+
+  assert.deepEqual(await consumeResetToken("abc"), { user: user._id });
+  const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.equal(filter.tokenHash, sha256("abc"));
+  assert.equal(filter.usedAt, null);
+  assert.ok(update.usedAt instanceof Date);
+
+  assert.equal(await consumeResetToken(undefined), null);
+  assert.equal(await consumeResetToken(""), null);
+  assert.equal(findOneAndUpdate.mock.callCount(), 1);
+});
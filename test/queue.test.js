@@ -0,0 +1,175 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createQueue } = require("../utils/queue");
+const createMemoryBackend = require("../utils/queue/memoryBackend");
+const createMongoBackend = require("../utils/queue/mongoBackend");
+const Analysis = require("../models/analysis");
+
+// Poll until the job reaches a finished state
+async function waitFor(queue, id, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await queue.get(id);
+    if (job.status === "completed" || job.status === "failed") return job;
+    if (Date.now() > deadline) throw new Error(`Job stayed ${job.status}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+const quiet = (fn) => async (t) => {
+  t.mock.method(console, "error", () => {});
+  await fn(t);
+};
+
+test("runs jobs and records progress and the result", async () => {
+  const queue = createQueue({
+    handlers: {
+      echo: async (input, { progress }) => {
+        await progress(50, "Halfway");
+        return input.value * 2;
+      },
+    },
+    pollIntervalMs: 5,
+  });
+  queue.start();
+  const job = await queue.add("echo", { value: 21 }, { user: "u1" });
+  const done = await waitFor(queue, job._id);
+  queue.stop();
+
+  assert.equal(done.status, "completed");
+  assert.equal(done.result, 42);
+  assert.equal(done.progress, 100);
+  assert.equal(done.user, "u1");
+});
+
+test("retries failed jobs with backoff and fails them after maxAttempts", quiet(async () => {
+  let calls = 0;
+  const queue = createQueue({
+    handlers: {
+      flaky: async () => {
+        calls++;
+        if (calls < 2) throw new Error("temporary");
+        return "ok";
+      },
+      broken: async () => {
+        throw new Error("always");
+      },
+    },
+    maxAttempts: 3,
+    pollIntervalMs: 5,
+    retryDelayMs: 1,
+  });
+  queue.start();
+  const flaky = await queue.add("flaky", {});
+  const broken = await queue.add("broken", {});
+  const [flakyDone, brokenDone] = await Promise.all([waitFor(queue, flaky._id), waitFor(queue, broken._id)]);
+  queue.stop();
+
+  assert.equal(flakyDone.status, "completed");
+  assert.equal(flakyDone.attempts, 2);
+  assert.equal(brokenDone.status, "failed");
+  assert.equal(brokenDone.attempts, 3);
+  assert.equal(brokenDone.error, "always");
+}));
+
+test("doesn't retry errors marked as not retryable", quiet(async () => {
+  let calls = 0;
+  const queue = createQueue({
+    handlers: {
+      overQuota: async () => {
+        calls++;
+        const err = new Error("quota exceeded");
+        err.retryable = false;
+        throw err;
+      },
+    },
+    maxAttempts: 3,
+    pollIntervalMs: 5,
+    retryDelayMs: 1,
+  });
+  queue.start();
+  const job = await queue.add("overQuota", {});
+  const done = await waitFor(queue, job._id);
+  queue.stop();
+
+  assert.equal(done.status, "failed");
+  assert.equal(done.error, "quota exceeded");
+  assert.equal(calls, 1);
+}));
+
+test("fails jobs without a handler", quiet(async () => {
+  const queue = createQueue({ handlers: {}, maxAttempts: 1, pollIntervalMs: 5 });
+  queue.start();
+  const job = await queue.add("missing", {});
+  const done = await waitFor(queue, job._id);
+  queue.stop();
+
+  assert.equal(done.status, "failed");
+  assert.match(done.error, /No handler/);
+}));
+
+test("puts a job back when the store can't record its outcome", quiet(async () => {
+  const memory = createMemoryBackend();
+  let outage = 2;
+  // The database goes away for the completion update and the retry update after it
+  const store = {
+    ...memory,
+    name: "flaky-store",
+    async update(id, patch) {
+      if (outage > 0 && patch.status) {
+        outage--;
+        throw new Error("store unavailable");
+      }
+      return memory.update(id, patch);
+    },
+  };
+  const queue = createQueue({ backend: store, handlers: { work: async () => "done" }, pollIntervalMs: 5, retryDelayMs: 1 });
+  queue.start();
+  const job = await queue.add("work", {});
+  const done = await waitFor(queue, job._id);
+  queue.stop();
+
+  assert.equal(done.status, "completed");
+  assert.equal(done.attempts, 2);
+}));
+
+test("refreshes a running job's heartbeat until it finishes", async () => {
+  const memory = createMemoryBackend();
+  const beats = [];
+  const store = {
+    ...memory,
+    async update(id, patch) {
+      if (patch.heartbeatAt) beats.push(patch.heartbeatAt);
+      return memory.update(id, patch);
+    },
+  };
+  const queue = createQueue({
+    backend: store,
+    handlers: { slow: () => new Promise((resolve) => setTimeout(resolve, 60)) },
+    pollIntervalMs: 5,
+    heartbeatMs: 10,
+  });
+  queue.start();
+  const job = await queue.add("slow", {});
+  await waitFor(queue, job._id);
+  const count = beats.length;
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  queue.stop();
+
+  assert.ok(count >= 3, `expected several heartbeats, got ${count}`);
+  assert.equal(beats.length, count);
+});
+
+test("the mongo backend only reclaims running jobs whose heartbeat has gone stale", async (t) => {
+  const claim = t.mock.method(Analysis, "findOneAndUpdate", () => ({ lean: async () => null }));
+  const now = new Date("2024-06-01T12:00:00Z");
+  await createMongoBackend({ staleAfterMs: 60 * 1000 }).claim(now);
+
+  const [filter, update] = claim.mock.calls[0].arguments;
+  assert.deepEqual(filter.$or[1], { status: "running", heartbeatAt: { $lt: new Date("2024-06-01T11:59:00Z") } });
+  assert.deepEqual(update.$set, { status: "running", startedAt: now, heartbeatAt: now });
+});
+
+test("rejects unknown backends", () => {
+  assert.throws(() => createQueue({ backend: "redis", handlers: {} }), /Unknown queue backend/);
+});
@@ -0,0 +1,82 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const rateLimit = require("../middleware/rateLimit");
+const { parseLimit } = require("../utils/rateLimit");
+const createMemoryStore = require("../utils/rateLimit/memoryStore");
+
+test("parseLimit reads <max>/<window> and rejects anything else", () => {
+  assert.deepEqual(parseLimit("10/15m"), { max: 10, windowMs: 15 * 60 * 1000 });
+  assert.deepEqual(parseLimit(" 100 / 1h "), { max: 100, windowMs: 60 * 60 * 1000 });
+  assert.equal(parseLimit("10 per minute"), null);
+  assert.equal(parseLimit("10/15"), null);
+  assert.equal(parseLimit(undefined), null);
+});
+
+test("the memory store counts per key and starts a new window once the old one ends", async () => {
+  const store = createMemoryStore();
+  assert.equal((await store.hit("a", 1000)).count, 1);
+  assert.equal((await store.hit("a", 1000)).count, 2);
+  assert.equal((await store.hit("b", 1000)).count, 1);
+
+  await store.reset("a");
+  assert.equal((await store.hit("a", 1000)).count, 1);
+
+  await store.hit("short", 1);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal((await store.hit("short", 1)).count, 1);
+});
+
+async function withServer(middlewares, fn) {
+  const app = express();
+  app.get("/", ...middlewares, (req, res) => res.json({ ok: true }));
+  const server = app.listen(0);
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/`);
+  } finally {
+    server.close();
+  }
+}
+
+test("answers 429 with Retry-After once a client goes over the limit", async () => {
+  const limit = rateLimit({ name: "test", max: 2, windowMs: 60 * 1000, store: createMemoryStore(), message: "Slow down" });
+
+  await withServer([limit], async (url) => {
+    const first = await fetch(url);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get("ratelimit-limit"), "2");
+    assert.equal(first.headers.get("ratelimit-remaining"), "1");
+
+    await fetch(url);
+    const blocked = await fetch(url);
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get("retry-after")) > 0);
+    assert.deepEqual(await blocked.json(), { message: "Slow down", code: "RATE_LIMITED", retryAfter: 60 });
+  });
+});
+
+test("skips limiting when the key is null and lets requests through when the store fails", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const failing = { hit: async () => { throw new Error("store down"); }, reset: async () => {} };
+  const byAccount = rateLimit({ name: "account", max: 0, windowMs: 1000, key: () => null, store: createMemoryStore() });
+  const broken = rateLimit({ name: "broken", max: 0, windowMs: 1000, store: failing });
+
+  await withServer([byAccount, broken], async (url) => {
+    assert.equal((await fetch(url)).status, 200);
+  });
+});
+
+test("reset(req) clears the client's counter", async () => {
+  const store = createMemoryStore();
+  const limit = rateLimit({ name: "login", max: 1, windowMs: 60 * 1000, key: (req) => req.account, store });
+  const req = { account: "jane" };
+  const run = () => new Promise((resolve) => {
+    const res = { set() { return res; }, status(code) { resolve(code); return res; }, json() {} };
+    limit(req, res, () => resolve(200));
+  });
+
+  assert.equal(await run(), 200);
+  assert.equal(await run(), 429);
+  await limit.reset(req);
+  assert.equal(await run(), 200);
+});
@@ -0,0 +1,23 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Offline and uncached, so the result only depends on the texts
+process.env.LLM_PROVIDERS = "local";
+process.env.AI_CACHE_STORE = "off";
+const { matchResumeToJd } = require("../utils/resumeMatch");
+
+test("matchResumeToJd scores required and nice-to-have skills through the taxonomy", async () => {
+  const result = await matchResumeToJd(
+    "Built services in NodeJS and ReactJS with JavaScript.",
+    "You will work with React, Node.js and Python.\nNice to have: Docker."
+  );
+
+  assert.deepEqual(result.requiredSkills.sort(), ["Node.js", "Python", "React"]);
+  assert.deepEqual(result.niceToHaveSkills, ["Docker"]);
+  assert.deepEqual(result.matchedSkills.sort(), ["Node.js", "React"]);
+  assert.deepEqual(result.missingSkills.sort(), ["Docker", "Python"]);
+  // 4 of 7 weighted points: two required skills matched, Python and Docker missing
+  assert.equal(result.matchScore, "57%");
+  assert.equal(result.skillDetails.find((s) => s.name === "Python").required, true);
+  assert.equal(typeof result.feedback.overall_analysis, "string");
+});
@@ -0,0 +1,40 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Resume = require("../models/resume");
+
+afterEach(() => mock.restoreAll());
+
+const duplicateKey = () => Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+
+test("createVersion takes the next version number after a concurrent save wins", async () => {
+  let latest = 3;
+  mock.method(Resume, "nextVersion", async () => latest + 1);
+  const create = mock.method(Resume, "create", async (doc) => {
+    // Another request saved version 4 first
+    if (doc.version === 4 && latest === 3) {
+      latest = 4;
+      throw duplicateKey();
+    }
+    return doc;
+  });
+
+  const resume = await Resume.createVersion("user1", { text: "resume" });
+
+  assert.equal(resume.version, 5);
+  assert.equal(resume.user, "user1");
+  assert.equal(create.mock.callCount(), 2);
+});
+
+test("createVersion gives up after the attempt limit and rethrows other errors", async () => {
+  mock.method(Resume, "nextVersion", async () => 1);
+  mock.method(Resume, "create", async () => {
+    throw duplicateKey();
+  });
+  await assert.rejects(Resume.createVersion("user1", { text: "resume" }, 3), { code: 11000 });
+  assert.equal(Resume.create.mock.callCount(), 3);
+
+  mock.method(Resume, "create", async () => {
+    throw new Error("validation failed");
+  });
+  await assert.rejects(Resume.createVersion("user1", { text: "resume" }), /validation failed/);
+});
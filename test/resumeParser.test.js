@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseResume } = require("../utils/resumeParser");
+const { analyzeResume, resumeMetrics } = require("../utils/resumeAnalysis");
+
+const RESUME = `Jane Doe
+jane@example.com | +91 98765 43210 | linkedin.com/in/janedoe
+Summary: Backend engineer
+EXPERIENCE
+Acme Corp, Jan 2020 - Dec 2021
+• Built payment APIs in Node.js serving 2 million users
+• Reduced latency by 40% by adding Redis caching
+Globex, Jan 2023 - Present
+• Led a team of 4 engineers on a React dashboard
+Education
+B.Tech, 2015 - 2019
+Technical Skills: Python, Docker`;
+
+test("parseResume splits sections on heading variants, including inline ones", () => {
+  const parsed = parseResume(RESUME);
+
+  assert.deepEqual(parsed.sectionNames, ["summary", "experience", "education", "skills"]);
+  assert.deepEqual(parsed.sections.summary, ["Backend engineer"]);
+  assert.deepEqual(parsed.sections.skills, ["Python, Docker"]);
+});
+
+test("parseResume extracts contact details, bullets and date ranges", () => {
+  const parsed = parseResume(RESUME, { now: new Date(2024, 5, 1) });
+
+  assert.equal(parsed.contact.email, "jane@example.com");
+  assert.equal(parsed.contact.phone, "+91 98765 43210");
+  assert.equal(parsed.contact.linkedin, "linkedin.com/in/janedoe");
+  assert.equal(parsed.contact.github, null);
+  assert.equal(parsed.bullets.length, 3);
+  assert.deepEqual(parsed.dateRanges.map((r) => r.text), ["Jan 2020 - Dec 2021", "Jan 2023 - Present", "2015 - 2019"]);
+  // "Present" is the current month; a bare end year runs to December
+  assert.equal(parsed.dateRanges[1].end, 2024 * 12 + 5);
+  assert.equal(parsed.dateRanges[2].end, 2019 * 12 + 11);
+});
+
+test("parseResume treats sentence-like experience lines as bullets when markers are missing", () => {
+  const parsed = parseResume("Experience\nAcme, 2020 - 2021\nBuilt an internal tool used by the support team\nShort line");
+  assert.deepEqual(parsed.bullets, ["Built an internal tool used by the support team"]);
+});
+
+test("analyzeResume scores the checks and reports employment gaps", () => {
+  const analysis = analyzeResume(RESUME);
+  const failed = analysis.checks.filter((check) => !check.passed).map((check) => check.label);
+
+  assert.deepEqual(failed, ["No unexplained gaps"]);
+  assert.deepEqual(analysis.dates.gaps, [{ from: "2021-12", to: "2023-01", months: 12 }]);
+  assert.deepEqual(analysis.actionVerbs.distinct, ["built", "reduced", "led"]);
+  assert.equal(analysis.tense.consistent, true);
+  assert.ok(analysis.atsScore > 80 && analysis.atsScore < 100);
+
+  assert.deepEqual(resumeMetrics(analysis), {
+    score: analysis.atsScore,
+    sectionsFound: ["summary", "experience", "education", "skills"],
+    actionVerbCount: 3,
+    keywordsFound: analysis.keywords,
+    quantifiedBullets: 1,
+    bulletCount: 3,
+  });
+});
+
+test("analyzeResume flags missing sections and contact details", () => {
+  const analysis = analyzeResume("Some text without any structure at all");
+  assert.deepEqual(analysis.sections.found, []);
+  assert.ok(analysis.contact.missing.includes("email"));
+  assert.ok(analysis.atsScore < 40);
+});
@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeSkill, normalizeSkills, findSkillsInText, categoryOf, weightedMatch } = require("../utils/skillTaxonomy");
+
+test("normalizeSkill maps aliases and spelling variants onto canonical names", () => {
+  assert.deepEqual(normalizeSkill("node js"), { name: "Node.js", category: "framework", known: true });
+  assert.equal(normalizeSkill("ReactJS").name, "React");
+  assert.deepEqual(normalizeSkill(" Haskell-ish "), { name: "Haskell-ish", category: "other", known: false });
+});
+
+test("normalizeSkills de-duplicates after normalizing", () => {
+  assert.deepEqual(normalizeSkills(["js", "JavaScript", "react.js", "", "React"]), ["JavaScript", "React"]);
+});
+
+test("findSkillsInText only matches ambiguous names with their exact casing", () => {
+  assert.deepEqual(findSkillsInText("Services in Go and python3").sort(), ["Go", "Python"]);
+  assert.ok(!findSkillsInText("we go the extra mile").includes("Go"));
+});
+
+test("categoryOf falls back to other for unknown skills", () => {
+  assert.equal(categoryOf("Python"), "language");
+  assert.equal(categoryOf("Underwater basket weaving"), "other");
+});
+
+test("weightedMatch weights required skills double and gives half credit for related ones", () => {
+  const result = weightedMatch({ required: ["Django", "React"], niceToHave: ["TypeScript", "react"] }, ["python", "reactjs"]);
+
+  assert.deepEqual(result.requiredSkills, ["Django", "React"]);
+  // React is required, so it isn't counted again as nice to have
+  assert.deepEqual(result.niceToHaveSkills, ["TypeScript"]);
+  assert.deepEqual(result.matched, ["React"]);
+  assert.deepEqual(result.missing, ["Django", "TypeScript"]);
+  assert.deepEqual(result.partial, [{ skill: "Django", via: ["Python"], required: true }]);
+  // React 2 + Django via Python 1 out of 2 + 2 + 1
+  assert.equal(result.score, 60);
+});
+
+test("weightedMatch scores zero when the job lists no skills", () => {
+  assert.equal(weightedMatch({}, ["Python"]).score, 0);
+});
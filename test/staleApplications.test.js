@@ -0,0 +1,116 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Job = require("../models/jobs");
+const Task = require("../models/task");
+const Notification = require("../models/notification");
+const { applyStaleRules, staleSettings } = require("../utils/staleApplications");
+const { createDueReminders } = require("../utils/reminderScheduler");
+const { buildJobQuery } = require("../utils/jobQuery");
+
+const NOW = new Date("2024-06-01T00:00:00Z");
+const USER = "64b000000000000000000001";
+
+const fakeJob = (id, fields = {}) => ({
+  _id: id,
+  user: USER,
+  company: "Acme",
+  role: "SDE",
+  status: "applied",
+  dateApplied: new Date("2024-05-01T00:00:00Z"),
+  statusHistory: [],
+  async save() {},
+  ...fields,
+});
+
+// Job.find(...).cursor() over a fixed list per call: ghost candidates first, then stale ones
+function fakeCursors(t, ...batches) {
+  return t.mock.method(Job, "find", () => ({
+    cursor: async function* () {
+      yield* batches.shift() || [];
+    },
+  }));
+}
+
+test("staleSettings reads the environment and ignores unusable values", () => {
+  assert.deepEqual(staleSettings({}), { staleAfterDays: 21, ghostAfterDays: null, statuses: ["applied"] });
+  assert.deepEqual(
+    staleSettings({ STALE_AFTER_DAYS: "10", GHOST_AFTER_DAYS: "-1", STALE_STATUSES: "applied, interview, ghosted, bogus" }),
+    { staleAfterDays: 10, ghostAfterDays: null, statuses: ["applied", "interview"] }
+  );
+});
+
+test("does nothing without any statuses to watch", async (t) => {
+  const find = fakeCursors(t);
+  assert.deepEqual(await applyStaleRules({ staleAfterDays: 21, statuses: [] }, NOW), { flagged: 0, ghosted: 0, failed: 0 });
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test("flags each stale job once with its own task and notification", async (t) => {
+  fakeCursors(t, [fakeJob("j1"), fakeJob("j2"), fakeJob("j3")]);
+  // j3 was claimed by an overlapping run
+  t.mock.method(Job, "updateOne", async (filter) => ({ modifiedCount: filter._id === "j3" ? 0 : 1 }));
+  const tasks = t.mock.method(Task, "create", async (doc) => doc);
+  const notifications = t.mock.method(Notification, "create", async (doc) => doc);
+
+  const result = await applyStaleRules(staleSettings({}), NOW);
+
+  assert.deepEqual(result, { flagged: 2, ghosted: 0, failed: 0 });
+  assert.equal(tasks.mock.callCount(), 2);
+  assert.equal(tasks.mock.calls[0].arguments[0].notes, "No status change in 31 days");
+  const keys = notifications.mock.calls.map((call) => call.arguments[0].eventKey);
+  assert.equal(new Set(keys).size, 2);
+  assert.ok(keys.every((key) => key.endsWith(NOW.toISOString())));
+});
+
+test("releases the claim and carries on when a job can't be flagged", async (t) => {
+  t.mock.method(console, "error", () => {});
+  fakeCursors(t, [fakeJob("broken"), fakeJob("ok")]);
+  const updates = t.mock.method(Job, "updateOne", async () => ({ modifiedCount: 1 }));
+  const deleted = [];
+  t.mock.method(Task, "create", async (doc) => ({ ...doc, deleteOne: async () => deleted.push(doc.job) }));
+  t.mock.method(Notification, "create", async (doc) => {
+    if (doc.job === "broken") throw new Error("E11000 duplicate key");
+    return doc;
+  });
+
+  const result = await applyStaleRules(staleSettings({}), NOW);
+
+  assert.deepEqual(result, { flagged: 1, ghosted: 0, failed: 1 });
+  assert.deepEqual(deleted, ["broken"]);
+  assert.deepEqual(updates.mock.calls[1].arguments, [{ _id: "broken", staleAt: NOW }, { staleAt: null }]);
+});
+
+test("ghosts jobs past the ghosting threshold and completes their follow-up tasks", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const ghost = fakeJob("old");
+  const failing = fakeJob("locked", { save: async () => { throw new Error("version conflict"); } });
+  fakeCursors(t, [ghost, failing], []);
+  const completed = t.mock.method(Task, "updateMany", async () => ({}));
+
+  const result = await applyStaleRules(staleSettings({ GHOST_AFTER_DAYS: "30" }), NOW);
+
+  assert.deepEqual(result, { flagged: 0, ghosted: 1, failed: 1 });
+  assert.equal(ghost.status, "ghosted");
+  assert.equal(ghost.statusNote, "No response in 30 days");
+  assert.deepEqual(completed.mock.calls[0].arguments, [
+    { job: "old", source: "stale-rule", completedAt: null },
+    { completedAt: NOW },
+  ]);
+});
+
+test("buildJobQuery filters on the stale flag", () => {
+  assert.deepEqual(buildJobQuery(USER, { stale: "true" }).filter.staleAt, { $ne: null });
+  assert.equal(buildJobQuery(USER, { stale: "0" }).filter.staleAt, null);
+  assert.deepEqual(buildJobQuery(USER, { stale: "maybe" }).errors.map((e) => e.field), ["stale"]);
+});
+
+test("notifications can't be saved without an eventKey", () => {
+  const notification = new Notification({ user: USER, type: "stale", message: "Acme has gone quiet" });
+  assert.ok(notification.validateSync().errors.eventKey);
+});
+
+test("ghosted jobs don't get reminders", async (t) => {
+  const find = t.mock.method(Job, "find", async () => []);
+  await createDueReminders([60], NOW);
+  assert.deepEqual(find.mock.calls[0].arguments[0].status, { $nin: ["rejected", "ghosted"] });
+});
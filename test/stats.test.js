@@ -0,0 +1,19 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { median, periodStart } = require("../utils/stats");
+
+test("median handles odd, even and empty lists without reordering the input", () => {
+  const values = [9, 1, 5];
+  assert.equal(median(values), 5);
+  assert.deepEqual(values, [9, 1, 5]);
+  assert.equal(median([4, 1, 2, 3]), 2.5);
+  assert.equal(median([]), null);
+});
+
+test("periodStart counts back from now and has no bound for all time", () => {
+  const now = new Date("2024-06-01T00:00:00Z");
+  assert.equal(periodStart("last30days", now).toISOString(), "2024-05-02T00:00:00.000Z");
+  assert.equal(periodStart("last90days", now).toISOString(), "2024-03-03T00:00:00.000Z");
+  assert.equal(periodStart("all", now), null);
+  assert.equal(periodStart(undefined, now), null);
+});
@@ -0,0 +1,68 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LLM_PROVIDERS = "local";
+process.env.AI_CACHE_STORE = "off";
+const { extractJson, validate, generateStructured } = require("../utils/llm/structured");
+const schemas = require("../utils/llm/schemas");
+
+test("extractJson finds JSON inside code fences and surrounding prose", () => {
+  assert.deepEqual(extractJson('```json\n{"a": [1, 2]}\n```'), { a: [1, 2] });
+  assert.deepEqual(extractJson('Sure! Here it is: {"text": "a } in a string"} Hope that helps.'), { text: "a } in a string" });
+  assert.deepEqual(extractJson('Skills: ["Go", "Rust"].'), ["Go", "Rust"]);
+  assert.equal(extractJson("no json here"), undefined);
+  assert.equal(extractJson(undefined), undefined);
+});
+
+test("validate coerces mismatched values into the schema's shape and lists the problems", () => {
+  const { value, errors } = validate(
+    { overall_impression: ["Clear", "concise"], strengths: "One strength", suggestions: null },
+    schemas.resumeFeedback
+  );
+
+  assert.equal(value.overall_impression, "Clear\nconcise");
+  assert.deepEqual(value.strengths, ["One strength"]);
+  assert.deepEqual(value.suggestions, []);
+  assert.deepEqual(value.section_feedback, []);
+  assert.equal(value.ats_readability, "");
+  assert.ok(errors.includes("$.overall_impression should be a string, got array"));
+  assert.ok(errors.includes("$.ats_readability is required"));
+});
+
+test("validate accepts a value that already matches", () => {
+  const { value, errors } = validate(["React", "Node.js"], schemas.skillList);
+  assert.deepEqual(value, ["React", "Node.js"]);
+  assert.deepEqual(errors, []);
+});
+
+test("generateStructured returns schema-valid data with its provenance", async () => {
+  const result = await generateStructured({
+    task: "extract-skills",
+    prompt: "Extract skills",
+    input: { text: "TypeScript and React" },
+    schema: schemas.skillList,
+  });
+
+  assert.deepEqual(result.data.sort(), ["React", "TypeScript"]);
+  assert.equal(result.provider, "local");
+  assert.equal(result.repaired, false);
+  assert.equal(result.cached, false);
+});
+
+test("generateStructured awaits onAiCall before calling a provider and stops when it rejects", async () => {
+  let charged = 0;
+  const args = {
+    task: "extract-skills",
+    prompt: "Extract skills",
+    input: { text: "Go" },
+    schema: schemas.skillList,
+  };
+
+  await generateStructured({ ...args, onAiCall: async () => { charged++; } });
+  assert.equal(charged, 1);
+
+  await assert.rejects(
+    generateStructured({ ...args, onAiCall: async () => { throw new Error("over quota"); } }),
+    /over quota/
+  );
+});
@@ -0,0 +1,108 @@
+const { test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = "test-secret";
+const Session = require("../models/session");
+const { rotateSession, revokeCookieSession, verifyAccessToken } = require("../utils/tokens");
+
+afterEach(() => mock.restoreAll());
+
+const SESSION_ID = "64b0000000000000000000aa";
+const USER_ID = "64b0000000000000000000bb";
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const fakeRes = () => {
+  const res = { cookies: {} };
+  res.cookie = (name, value) => {
+    res.cookies[name] = value;
+  };
+  return res;
+};
+
+// Session.findOneAndUpdate matching on the stored hash, as MongoDB would
+const storedSession = (refreshToken, fields = {}) => {
+  const session = new Session({
+    _id: SESSION_ID,
+    user: USER_ID,
+    refreshTokenHash: sha256(refreshToken),
+    expiresAt: new Date(Date.now() + 60_000),
+    ...fields,
+  });
+  mock.method(Session, "findOneAndUpdate", async (filter, update) => {
+    if (filter.refreshTokenHash !== session.refreshTokenHash || session.revokedAt) return null;
+    session.set(update);
+    return session;
+  });
+  mock.method(Session, "findById", async () => session);
+  mock.method(Session, "updateOne", async (filter, update) => session.set(update));
+  return session;
+};
+
+test("rotateSession exchanges a valid refresh token for a new pair", async () => {
+  const presented = `${SESSION_ID}.secret`;
+  const session = storedSession(presented);
+  const res = fakeRes();
+
+  const result = await rotateSession({ cookies: { refreshToken: presented } }, res);
+
+  const rotated = res.cookies.refreshToken;
+  assert.ok(rotated.startsWith(`${SESSION_ID}.`) && rotated !== presented);
+  assert.equal(session.refreshTokenHash, sha256(rotated));
+  assert.equal(session.previousRefreshTokenHash, sha256(presented));
+  assert.equal(jwt.verify(result.token, "test-secret").sid, SESSION_ID);
+  assert.equal(result.userId.toString(), USER_ID);
+});
+
+test("rotateSession lets a concurrent refresh with the token just replaced through", async () => {
+  const presented = `${SESSION_ID}.secret`;
+  const session = storedSession(presented);
+
+  const [first, second] = await Promise.all([
+    rotateSession({ cookies: { refreshToken: presented } }, fakeRes()),
+    rotateSession({ cookies: { refreshToken: presented } }, fakeRes()),
+  ]);
+
+  assert.ok(first && second);
+  assert.equal(session.revokedAt, undefined);
+  assert.equal(Session.findOneAndUpdate.mock.callCount(), 2);
+});
+
+test("rotateSession revokes the session when an old refresh token is replayed", async () => {
+  const session = storedSession(`${SESSION_ID}.current`, {
+    previousRefreshTokenHash: sha256(`${SESSION_ID}.previous`),
+    rotatedAt: new Date(Date.now() - 60_000),
+  });
+
+  for (const replayed of [`${SESSION_ID}.stolen`, `${SESSION_ID}.previous`]) {
+    session.revokedAt = undefined;
+    const res = fakeRes();
+    const result = await rotateSession({ cookies: { refreshToken: replayed } }, res);
+
+    assert.equal(result, null);
+    assert.ok(session.revokedAt instanceof Date);
+    assert.deepEqual(res.cookies, {});
+  }
+});
+
+test("revokeCookieSession only revokes when the whole refresh token matches", async () => {
+  const updateOne = mock.method(Session, "updateOne", async () => ({ modifiedCount: 1 }));
+  const presented = `${SESSION_ID}.secret`;
+
+  assert.equal(await revokeCookieSession({ cookies: { refreshToken: presented } }), true);
+  const [filter] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: SESSION_ID, refreshTokenHash: sha256(presented), revokedAt: null });
+
+  assert.equal(await revokeCookieSession({ cookies: {} }), false);
+  assert.equal(await revokeCookieSession({ cookies: { refreshToken: "not-an-id.x" } }), false);
+  assert.equal(updateOne.mock.callCount(), 1);
+});
+
+test("verifyAccessToken rejects tokens without a session and revoked sessions", async () => {
+  await assert.rejects(verifyAccessToken(jwt.sign({ id: USER_ID }, "test-secret")), /no session/);
+
+  mock.method(Session, "exists", async () => null);
+  const token = jwt.sign({ id: USER_ID, sid: SESSION_ID }, "test-secret");
+  await assert.rejects(verifyAccessToken(token), /revoked/);
+});
@@ -0,0 +1,144 @@
+const { describe, test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = "test-secret";
+const Job = require("../models/jobs");
+const Session = require("../models/session");
+const jobRoutes = require("../routes/jobs");
+const { errorHandler } = require("../middleware/errorHandler");
+const { validateRequestPart } = require("../utils/validation");
+const validate = require("../middleware/validate");
+const { ValidationError } = require("../utils/errors");
+
+const schema = {
+  type: "object",
+  properties: {
+    name: { type: "string", trim: true, minLength: 1 },
+    email: { type: "string", format: "email" },
+    age: { type: "integer", minimum: 0 },
+    status: { type: "string", enum: ["open", "closed"] },
+    due: { type: "string", format: "date", nullable: true },
+    tags: { type: "array", items: { type: "string", maxLength: 5 } },
+    active: { type: "boolean" },
+  },
+  required: ["name"],
+};
+
+test("body values are trimmed, undeclared properties dropped and nullable blanks become null", () => {
+  const { value, errors } = validateRequestPart(
+    { name: "  Jane ", age: 30, due: "", tags: ["a"], isAdmin: true },
+    schema,
+    "body"
+  );
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { name: "Jane", age: 30, due: null, tags: ["a"] });
+});
+
+test("query strings are converted to the declared scalar types", () => {
+  const { value, errors } = validateRequestPart({ name: "x", age: "7", active: "false" }, schema, "query");
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { name: "x", age: 7, active: false });
+});
+
+test("body strings are not converted, and each problem is reported with its field", () => {
+  const { errors } = validateRequestPart(
+    { name: " ", email: "nope", age: "7", status: "pending", tags: ["ok", "too long"] },
+    schema,
+    "body"
+  );
+
+  assert.deepEqual(errors.map((e) => [e.field, e.message]), [
+    ["name", "name cannot be empty"],
+    ["email", "email must be a valid email address"],
+    ["age", "age must be a number"],
+    ["status", "status must be one of open, closed"],
+    ["tags[1]", "tags[1] must be at most 5 characters"],
+  ]);
+  assert.ok(errors.every((e) => e.location === "body"));
+});
+
+test("missing required properties are reported", () => {
+  const { errors } = validateRequestPart({}, schema, "params");
+  assert.deepEqual(errors, [{ field: "name", location: "params", message: "name is required" }]);
+});
+
+test("validate() replaces body and params, checks query and passes a ValidationError on", () => {
+  const middleware = validate({
+    params: { type: "object", properties: { id: { type: "string", format: "objectId" } }, required: ["id"] },
+    body: schema,
+  });
+
+  const req = { params: { id: "64b0000000000000000000bb" }, query: {}, body: { name: " Jane ", extra: 1 } };
+  let passed;
+  middleware(req, {}, (err) => {
+    passed = err;
+  });
+  assert.equal(passed, undefined);
+  assert.deepEqual(req.body, { name: "Jane" });
+
+  middleware({ params: { id: "123" }, query: {}, body: {} }, {}, (err) => {
+    passed = err;
+  });
+  assert.ok(passed instanceof ValidationError);
+  assert.equal(passed.status, 400);
+  assert.equal(passed.message, "id must be a valid id (and 1 more)");
+});
+
+describe("job routes", () => {
+  const USER_ID = "64b0000000000000000000bb";
+  const JOB_ID = "64b0000000000000000000cc";
+  const token = jwt.sign({ id: USER_ID, sid: "64b0000000000000000000aa" }, "test-secret");
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/jobs", jobRoutes);
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/jobs`;
+    mock.method(Session, "exists", async () => true);
+  });
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  const request = (pathname, options = {}) =>
+    fetch(`${baseUrl}${pathname}`, { ...options, headers: { Authorization: `Bearer ${token}`, ...options.headers } });
+
+  test("export and import reject bad options with the validation envelope", async () => {
+    const exported = await request("/export?format=xlsx");
+    assert.equal(exported.status, 400);
+    assert.deepEqual((await exported.json()).errors.map((e) => e.field), ["format"]);
+
+    const form = new FormData();
+    form.append("file", new Blob(["company,role\n"], { type: "text/csv" }), "jobs.csv");
+    form.append("dryRun", "maybe");
+    const imported = await request("/import?dryRun=perhaps", { method: "POST", body: form });
+    const body = await imported.json();
+    assert.equal(imported.status, 400);
+    assert.equal(body.code, "VALIDATION_ERROR");
+    assert.deepEqual(body.errors.map((e) => `${e.location}.${e.field}`), ["query.dryRun", "body.dryRun"]);
+  });
+
+  test("updating or deleting someone else's or a missing job is refused the same way as reading it", async (t) => {
+    const jobs = { [JOB_ID]: new Job({ _id: JOB_ID, user: "64b0000000000000000000dd", company: "Acme", role: "SDE" }) };
+    t.mock.method(Job, "findById", async (id) => jobs[id] || null);
+    const missing = "64b0000000000000000000ee";
+
+    for (const method of ["GET", "PUT", "DELETE"]) {
+      const path = method === "GET" ? "/history" : "";
+      const body = method === "PUT" ? JSON.stringify({ notes: "x" }) : undefined;
+      const headers = { "Content-Type": "application/json" };
+      assert.equal((await request(`/${JOB_ID}${path}`, { method, body, headers })).status, 401, method);
+      assert.equal((await request(`/${missing}${path}`, { method, body, headers })).status, 404, method);
+    }
+  });
+});
@@ -0,0 +1,62 @@
+const User = require("../models/user");
+const Job = require("../models/jobs");
+const Resume = require("../models/resume");
+const Notification = require("../models/notification");
+const Analysis = require("../models/analysis");
+const Session = require("../models/session");
+const PasswordReset = require("../models/passwordReset");
+const AiUsage = require("../models/aiUsage");
+const Company = require("../models/company");
+const Task = require("../models/task");
+const Attachment = require("../models/attachment");
+const { removeAttachments } = require("./attachments");
+const { toExportRow } = require("./jobTransfer");
+
+// Everything stored per user lives in one of these collections. New per-user models
+// should be added here so account export and deletion stay complete.
+// (Analyses only exist in MongoDB with ANALYSIS_QUEUE_BACKEND=mongo; in-memory ones
+// expire on their own.)
+const OWNED_MODELS = [Job, Resume, Notification, Analysis, Session, PasswordReset, AiUsage, Company, Task, Attachment];
+
+// Full copy of a user's data for download. Password and token hashes are left out.
+async function exportUserData(userId) {
+  const [user, jobs, resumes, notifications, analyses, sessions, aiUsage, companies, tasks, attachments] = await Promise.all([
+    User.findById(userId).select("-password -securityAnswer -calendarToken").lean(),
+    Job.find({ user: userId }).sort({ dateApplied: -1 }),
+    Resume.find({ user: userId }).sort({ version: 1 }).lean(),
+    Notification.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Analysis.find({ user: userId }).select("-input").sort({ createdAt: 1 }).lean(),
+    Session.find({ user: userId }).select("-refreshTokenHash").sort({ createdAt: 1 }).lean(),
+    AiUsage.find({ user: userId }).select("day count byType").sort({ day: 1 }).lean(),
+    Company.find({ user: userId }).select("-keys").sort({ name: 1 }).lean(),
+    Task.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Attachment.find({ user: userId }).select("-storageKey").sort({ createdAt: 1 }).lean(),
+  ]);
+  if (!user) return null;
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: user,
+    // Same shape as GET /api/jobs/export, plus the full documents (rounds, history, match)
+    jobs: jobs.map((job) => ({ ...toExportRow(job), details: job.toObject() })),
+    resumes,
+    notifications,
+    analyses,
+    sessions,
+    aiUsage,
+    companies,
+    tasks,
+    // Metadata only; the files themselves are downloaded from /api/attachments/:id/download
+    attachments,
+  };
+}
+
+// Delete a user and everything they own
+async function deleteUserData(userId) {
+  // Stored files first, while their records still say where they are
+  await removeAttachments({ user: userId });
+  await Promise.all(OWNED_MODELS.map((Model) => Model.deleteMany({ user: userId })));
+  await User.deleteOne({ _id: userId });
+}
+
+module.exports = { exportUserData, deleteUserData };
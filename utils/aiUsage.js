@@ -0,0 +1,102 @@
+const AiUsage = require("../models/aiUsage");
+const { HttpError } = require("./errors");
+
+// Daily AI quotas, counted per signed-in user or per IP for anonymous requests.
+// AI_DAILY_QUOTA            requests per user per UTC day (default 20, 0 = unlimited)
+// AI_DAILY_QUOTA_ANONYMOUS  requests per anonymous IP per UTC day (default 3, 0 = unlimited)
+// AI_USAGE_RETENTION_DAYS   how long daily usage is kept for reporting (default 30)
+const quotaFrom = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value));
+const USER_QUOTA = quotaFrom(process.env.AI_DAILY_QUOTA, 20);
+const ANONYMOUS_QUOTA = quotaFrom(process.env.AI_DAILY_QUOTA_ANONYMOUS, 3);
+const RETENTION_DAYS = Number(process.env.AI_USAGE_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayOf = (date) => date.toISOString().split("T")[0];
+const nextUtcMidnight = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+
+// Who the request counts against: { key, user?, limit }. Plain data, so it can travel
+// with a queued analysis and be charged when the worker runs it.
+function usageSubject(req) {
+  if (req.user?.id) return { key: `user:${req.user.id}`, user: req.user.id, limit: USER_QUOTA };
+  return { key: `ip:${req.ip}`, limit: ANONYMOUS_QUOTA };
+}
+
+// Whether the subject has quota left today, without counting anything.
+// Resolves to { allowed, used, limit, resetsAt }.
+async function checkAiQuota({ key, limit }) {
+  const now = new Date();
+  const resetsAt = nextUtcMidnight(now);
+  const usage = await AiUsage.findOne({ key, day: dayOf(now) }).select("count").lean();
+  const used = usage?.count || 0;
+  return { allowed: !(limit > 0) || used < limit, used, limit, resetsAt };
+}
+
+// Count one AI request of `type` against today's quota.
+// Resolves to { allowed, used, limit, resetsAt }; nothing is counted when not allowed.
+async function consumeAiQuota({ key, user, limit }, type) {
+  const now = new Date();
+  const day = dayOf(now);
+  const resetsAt = nextUtcMidnight(now);
+
+  const filter = { key, day };
+  if (limit > 0) filter.count = { $lt: limit };
+
+  try {
+    const usage = await AiUsage.findOneAndUpdate(
+      filter,
+      {
+        $inc: { count: 1, [`byType.${type}`]: 1 },
+        $setOnInsert: { user, expiresAt: new Date(resetsAt.getTime() + RETENTION_DAYS * DAY_MS) },
+      },
+      { upsert: true, new: true }
+    );
+    return { allowed: true, used: usage.count, limit, resetsAt };
+  } catch (err) {
+    // Today's document exists but is at the limit, so the upsert tried to insert a duplicate
+    if (err.code === 11000) return { allowed: false, used: limit, limit, resetsAt };
+    throw err;
+  }
+}
+
+// Callback that charges one request of `type` the first time it's called, for passing to
+// the AI helpers as onAiCall: requests answered from the cache, or that fail before
+// reaching the model, are never charged. Rejects with a 429 when the quota ran out in
+// the meantime (e.g. parallel requests that all passed the check).
+function quotaCharger(subject, type) {
+  let charge = null;
+  return () => {
+    if (!charge) {
+      charge = consumeAiQuota(subject, type).then((quota) => {
+        if (quota.allowed) return;
+        const err = new HttpError(429, `Daily AI limit of ${quota.limit} analyses reached. It resets at midnight UTC.`, "QUOTA_EXCEEDED");
+        // Retrying a queued analysis won't help until the quota resets
+        err.retryable = false;
+        throw err;
+      });
+    }
+    return charge;
+  };
+}
+
+// Today's usage plus the daily history kept for reporting
+async function getAiUsage(req) {
+  const { key, limit } = usageSubject(req);
+  const now = new Date();
+  const today = dayOf(now);
+
+  const days = await AiUsage.find({ key }).sort({ day: -1 }).lean();
+  const current = days.find((d) => d.day === today);
+  const used = current?.count || 0;
+
+  return {
+    date: today,
+    used,
+    limit: limit > 0 ? limit : null,
+    remaining: limit > 0 ? Math.max(0, limit - used) : null,
+    resetsAt: nextUtcMidnight(now),
+    byType: current?.byType || {},
+    history: days.map((d) => ({ date: d.day, used: d.count, byType: d.byType })),
+  };
+}
+
+module.exports = { usageSubject, checkAiQuota, consumeAiQuota, quotaCharger, getAiUsage };
@@ -0,0 +1,40 @@
+const { createQueue } = require("./queue");
+const { reviewResume } = require("./resumeFeedback");
+const { matchResumeToJd } = require("./resumeMatch");
+const { quotaCharger } = require("./aiUsage");
+
+const charger = (quota) => (quota ? quotaCharger(quota.subject, quota.type) : undefined);
+
+// Queue for resume analyses submitted through /api/analyses.
+// ANALYSIS_QUEUE_BACKEND    memory (default) or mongo
+// ANALYSIS_CONCURRENCY      analyses processed at once (default 2)
+// ANALYSIS_MAX_ATTEMPTS     attempts before an analysis is marked failed (default 3)
+const analysisQueue = createQueue({
+  backend: process.env.ANALYSIS_QUEUE_BACKEND || "memory",
+  concurrency: Number(process.env.ANALYSIS_CONCURRENCY) || 2,
+  maxAttempts: Number(process.env.ANALYSIS_MAX_ATTEMPTS) || 3,
+  // Analyses are charged to the submitter's AI quota (input.quota) when they reach the model
+  handlers: {
+    "resume-feedback": ({ text, userId, label, fileName, quota }, { progress }) =>
+      reviewResume({ text, userId, label, fileName, onProgress: progress, onAiCall: charger(quota) }),
+
+    match: ({ resumeText, jdText, quota }, { progress }) =>
+      matchResumeToJd(resumeText, jdText, { onProgress: progress, onAiCall: charger(quota) }),
+  },
+});
+
+// Public view of a queued analysis (inputs are not returned)
+const toPublic = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  stage: job.stage,
+  attempts: job.attempts,
+  result: job.status === "completed" ? job.result : undefined,
+  error: job.status === "failed" ? job.error : undefined,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+});
+
+module.exports = { analysisQueue, toPublic };
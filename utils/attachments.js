@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const mongoose = require("mongoose");
+const Attachment = require("../models/attachment");
+const { getStorage, configuredDriver } = require("./storage");
+const { HttpError } = require("./errors");
+
+// STORAGE_QUOTA_MB  total attachment size allowed per user (default 50)
+const STORAGE_QUOTA = Math.floor((Number(process.env.STORAGE_QUOTA_MB) || 50) * 1024 * 1024);
+
+async function storageUsage(userId) {
+  const [result] = await Attachment.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, used: { $sum: "$size" }, files: { $sum: { $cond: [{ $gt: ["$size", 0] }, 1, 0] } } } },
+  ]);
+  const used = result?.used || 0;
+  return { used, quota: STORAGE_QUOTA, remaining: Math.max(0, STORAGE_QUOTA - used), files: result?.files || 0 };
+}
+
+const fileHash = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+
+// Save an attachment for a job. `file` is a multer upload (optional when `resume` is
+// given, which records which saved resume version was sent without storing a file).
+// Rejects with 413 STORAGE_QUOTA_EXCEEDED when the file doesn't fit in the quota.
+async function createAttachment({ userId, job, file, kind, label, resume }) {
+  const attachment = new Attachment({ user: userId, job: job._id, kind, label, resume: resume?._id });
+  if (!file) {
+    await attachment.save();
+    return attachment;
+  }
+
+  await checkQuota(userId, file.size);
+
+  const storage = getStorage();
+  Object.assign(attachment, {
+    fileName: file.originalname,
+    contentType: file.mimetype || "application/octet-stream",
+    size: file.size,
+    sha256: await fileHash(file.path),
+    driver: configuredDriver(),
+    storageKey: `${userId}/${attachment._id}`,
+  });
+
+  await storage.put(attachment.storageKey, file.path, { contentType: attachment.contentType });
+  try {
+    await attachment.save();
+    // Uploads running in parallel can all pass the first check, so check again now that
+    // this file counts towards the usage, and back it out if the total went over
+    await checkQuota(userId, 0);
+  } catch (err) {
+    await Attachment.deleteOne({ _id: attachment._id }).catch(() => {});
+    await storage.remove(attachment.storageKey).catch(() => {});
+    throw err;
+  }
+  return attachment;
+}
+
+// Rejects with 413 STORAGE_QUOTA_EXCEEDED when `adding` more bytes wouldn't fit
+async function checkQuota(userId, adding) {
+  const { used } = await storageUsage(userId);
+  if (used + adding > STORAGE_QUOTA) {
+    const mb = (bytes) => +(bytes / (1024 * 1024)).toFixed(1);
+    throw new HttpError(
+      413,
+      `Not enough storage left: ${mb(Math.max(0, STORAGE_QUOTA - used))} MB of your ${mb(STORAGE_QUOTA)} MB is free.`,
+      "STORAGE_QUOTA_EXCEEDED"
+    );
+  }
+}
+
+// Readable stream of an attachment's file
+const openAttachment = (attachment) => getStorage(attachment.driver).get(attachment.storageKey);
+
+// Delete the matching attachments and their stored files. A file that can't be
+// removed is logged and left behind rather than blocking the delete.
+async function removeAttachments(filter) {
+  const attachments = await Attachment.find(filter).select("driver storageKey");
+  for (const attachment of attachments) {
+    if (!attachment.storageKey) continue;
+    try {
+      await getStorage(attachment.driver).remove(attachment.storageKey);
+    } catch (err) {
+      console.error(`⚠️ Could not remove stored file ${attachment.storageKey}:`, err.message);
+    }
+  }
+  await Attachment.deleteMany({ _id: { $in: attachments.map((a) => a._id) } });
+  return attachments.length;
+}
+
+module.exports = { STORAGE_QUOTA, storageUsage, createAttachment, openAttachment, removeAttachments };
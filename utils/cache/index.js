@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+const createMemoryStore = require("./memoryStore");
+const createMongoStore = require("./mongoStore");
+
+// Cache for extracted document text and AI output, keyed by a hash of the content
+// plus whatever else decides the result (prompt, schema, configured models).
+// AI_CACHE_STORE      memory (default) | mongo (shared, survives restarts) | off
+// AI_CACHE_TTL_HOURS  how long entries live (default 168, one week)
+// AI_CACHE_MAX_ENTRIES  size of the memory store (default 1000)
+const stores = {
+  memory: () => createMemoryStore({ maxEntries: Number(process.env.AI_CACHE_MAX_ENTRIES) || 1000 }),
+  mongo: createMongoStore,
+};
+
+const DEFAULT_TTL_MS = (Number(process.env.AI_CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000;
+
+let shared;
+
+function getStore() {
+  if (shared === undefined) {
+    const name = process.env.AI_CACHE_STORE || "memory";
+    if (name === "off") {
+      shared = null;
+    } else if (!stores[name]) {
+      throw new Error(`Unknown AI cache store "${name}"`);
+    } else {
+      shared = stores[name]();
+    }
+  }
+  return shared;
+}
+
+// SHA-256 over the parts, each length-prefixed so ("ab", "c") and ("a", "bc") differ
+function hashKey(...parts) {
+  const hash = crypto.createHash("sha256");
+  parts.forEach((part) => {
+    const data = Buffer.isBuffer(part) ? part : Buffer.from(typeof part === "string" ? part : JSON.stringify(part));
+    hash.update(`${data.length}:`).update(data);
+  });
+  return hash.digest("hex");
+}
+
+// Return the cached value for (namespace, keyParts), or compute, store and return it.
+//   shouldCache(value) can veto storing a result (e.g. a degraded fallback)
+// Resolves to { value, cached }. Cache errors never fail the request.
+async function cached(namespace, keyParts, compute, { ttlMs = DEFAULT_TTL_MS, shouldCache = () => true } = {}) {
+  const store = getStore();
+  if (!store) return { value: await compute(), cached: false };
+
+  const key = `${namespace}:${hashKey(...keyParts)}`;
+  try {
+    const hit = await store.get(key);
+    if (hit !== undefined) return { value: hit, cached: true };
+  } catch (err) {
+    console.error(`⚠️ Cache read failed (${namespace}):`, err.message);
+  }
+
+  const value = await compute();
+  if (shouldCache(value)) {
+    store.set(key, value, ttlMs).catch((err) => console.error(`⚠️ Cache write failed (${namespace}):`, err.message));
+  }
+  return { value, cached: false };
+}
+
+// Drop cached entries, for one namespace or everything. Resolves to the number removed.
+async function invalidate(namespace) {
+  const store = getStore();
+  if (!store) return 0;
+  return store.clear(namespace ? `${namespace}:` : "");
+}
+
+module.exports = { cached, invalidate, hashKey, getStore, stores };
@@ -0,0 +1,44 @@
+// Cache entries kept in this process, evicting the least recently used past `maxEntries`.
+// Values are copied in and out so callers can't modify what is cached.
+function createMemoryStore({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Re-insert so Map order tracks recency
+      entries.delete(key);
+      entries.set(key, entry);
+      return structuredClone(entry.value);
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    // Remove every entry whose key starts with `prefix` (all entries without one)
+    async clear(prefix = "") {
+      let removed = 0;
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+module.exports = createMemoryStore;
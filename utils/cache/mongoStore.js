@@ -0,0 +1,32 @@
+const CacheEntry = require("../../models/cacheEntry");
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Cache entries in MongoDB, shared by every app instance and kept across restarts
+function createMongoStore() {
+  return {
+    name: "mongo",
+
+    async get(key) {
+      // The TTL monitor runs about once a minute, so check expiry here too
+      const entry = await CacheEntry.findOne({ _id: key, expiresAt: { $gt: new Date() } }).lean();
+      return entry ? entry.value : undefined;
+    },
+
+    async set(key, value, ttlMs) {
+      await CacheEntry.updateOne(
+        { _id: key },
+        { value, expiresAt: new Date(Date.now() + ttlMs) },
+        { upsert: true }
+      );
+    },
+
+    async clear(prefix = "") {
+      const filter = prefix ? { _id: { $regex: `^${escapeRegex(prefix)}` } } : {};
+      const { deletedCount } = await CacheEntry.deleteMany(filter);
+      return deletedCount;
+    },
+  };
+}
+
+module.exports = createMongoStore;
@@ -0,0 +1,230 @@
+const { median } = require("./stats");
+
+// Structured compensation for jobs. The free-text `pay` field is parsed into
+//   { currency, stipend: { amount, period, durationMonths }, ctc: { total, base, bonus, stock } }
+// where the stipend is the internship part and the CTC is the full-time part (annual),
+// so "IT + FT" / "IT + PBC" offers keep both halves. Parsing is best effort: anything
+// it can't read is left out, and users can always enter the structure by hand.
+
+const WEEKS_PER_MONTH = 52 / 12;
+
+const CURRENCIES = [
+  ["INR", /₹|\binr\b|\brs\.?(?=\s|\d|$)/i],
+  ["USD", /\$|\busd\b/i],
+  ["EUR", /€|\beur\b/i],
+  ["GBP", /£|\bgbp\b/i],
+];
+
+const MULTIPLIERS = {
+  k: 1e3, thousand: 1e3,
+  l: 1e5, lpa: 1e5, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5,
+  cr: 1e7, cpa: 1e7, crore: 1e7, crores: 1e7,
+  m: 1e6, mn: 1e6, million: 1e6,
+};
+
+// "12", "12.5", "12,00,000" or a range like "15-20", followed by an optional unit
+const NUMBER = String.raw`\d+(?:,\d+)*(?:\.\d+)?`;
+const AMOUNT = new RegExp(
+  String.raw`(${NUMBER})(?:\s*(?:-|–|to)\s*(${NUMBER}))?\s*(k|thousand|lakhs?|lacs?|lpa|l|crores?|cr|cpa|million|mn|m)?\b`,
+  "i"
+);
+const DURATION = /(\d+(?:\.\d+)?)\s*-?\s*(?:months?|mos?)\b/i;
+
+const LABELS = [
+  ["stock", /stock|esop|rsu|equity/i],
+  ["bonus", /bonus|joining|sign[\s-]?on|variable|incentive|relocation/i],
+  ["base", /\bbase\b|fixed/i],
+  ["stipend", /stipend|intern/i],
+  ["total", /ctc|package|salary|lpa|cpa|annual/i],
+];
+
+const PERIODS = [
+  ["week", /per\s*week|\/\s*w(?:ee)?k\b|weekly/i],
+  ["month", /per\s*month|\/\s*m(?:o|onth)?\b|\bp\.?m\b|monthly|a\s+month|\bpm\b/i],
+  ["total", /\btotal\b|lump\s*sum/i],
+  ["year", /lpa|cpa|per\s*annum|\bp\.?a\b|annual|yearly|per\s*year|\/\s*y(?:ea)?r\b|ctc/i],
+];
+
+const toNumber = (value) => Number(value.replace(/,/g, ""));
+const firstMatch = (list, text) => (list.find(([, pattern]) => pattern.test(text)) || [])[0];
+
+// Parse free text such as "18 LPA + 40k/month stipend", "₹12,00,000 CTC" or
+// "$120k base, $20k sign-on" into a compensation object, or null if nothing was found.
+// jobType breaks ties for bare amounts (an internship's "30000" is a monthly stipend).
+function parsePay(text, jobType) {
+  if (typeof text !== "string" || !/\d/.test(text)) return null;
+
+  const currency = firstMatch(CURRENCIES, text) || "INR";
+  const isInternship = jobType === "Internship";
+  const stipend = {};
+  const ctc = {};
+  // A duration on its own ("3 months internship, 20k stipend") belongs to the stipend,
+  // which may come before or after it
+  let pendingDuration;
+
+  // "+", ";", "|", "and" or a comma that isn't a thousands separator start a new component
+  const segments = text.split(/\+|;|\||\band\b|\n|,(?!\d)/i);
+  for (const segment of segments) {
+    let rest = segment;
+    let durationMonths;
+    const duration = rest.match(DURATION);
+    if (duration) {
+      durationMonths = Number(duration[1]);
+      rest = rest.replace(duration[0], " ");
+    }
+
+    const amount = rest.match(AMOUNT);
+    if (!amount) {
+      if (durationMonths && stipend.amount !== undefined) stipend.durationMonths ??= durationMonths;
+      else if (durationMonths) pendingDuration ??= durationMonths;
+      continue;
+    }
+
+    // The lower end of a range, scaled by its unit ("15-20 LPA" is 15 lakh)
+    const unit = amount[3]?.toLowerCase();
+    let value = toNumber(amount[1]) * (MULTIPLIERS[unit] || 1);
+
+    let label = firstMatch(LABELS, rest);
+    const period = firstMatch(PERIODS, rest) || (unit === "lpa" || unit === "cpa" ? "year" : undefined);
+
+    if (!label) {
+      const looksMonthly = period === "month" || period === "week";
+      label = jobType !== "Full-Time" && (looksMonthly || (isInternship && period !== "year")) ? "stipend" : "total";
+    }
+
+    if (label === "stipend") {
+      if (stipend.amount !== undefined) continue;
+      stipend.amount = value;
+      stipend.period = period === "week" || period === "total" ? period : "month";
+      if (durationMonths || pendingDuration) stipend.durationMonths = durationMonths || pendingDuration;
+      continue;
+    }
+
+    // Indian CTCs are often written as a bare lakh figure ("CTC 12")
+    if (!unit && currency === "INR" && value < 1000 && label !== "bonus") value *= 1e5;
+    // Full-time components are stored per year; bonuses are one-off amounts
+    if (period === "month" && label !== "bonus") value *= 12;
+    if (ctc[label] === undefined) ctc[label] = value;
+  }
+
+  if (stipend.amount === undefined && Object.keys(ctc).length === 0) return null;
+  return {
+    currency,
+    ...(stipend.amount !== undefined && { stipend }),
+    ...(Object.keys(ctc).length > 0 && { ctc }),
+    source: "parsed",
+  };
+}
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value));
+
+// Side-by-side view of a job's compensation: stipend per month and for the whole
+// internship, full-time CTC per year, and whether the full-time offer is guaranteed
+// ("IT + PBC" converts on performance).
+function normalizeCompensation(compensation, jobType) {
+  if (!compensation) return null;
+  const { currency, stipend, ctc } = compensation;
+
+  let internship = null;
+  if (stipend && typeof stipend.amount === "number") {
+    const months = stipend.durationMonths || null;
+    let monthly = null;
+    let total = null;
+    if (stipend.period === "week") monthly = stipend.amount * WEEKS_PER_MONTH;
+    else if (stipend.period === "total") monthly = months ? stipend.amount / months : null;
+    else monthly = stipend.amount;
+    if (stipend.period === "total") total = stipend.amount;
+    else if (months) total = monthly * months;
+    internship = { monthly: round(monthly), durationMonths: months, total: round(total) };
+  }
+
+  let fullTime = null;
+  if (ctc) {
+    const parts = ["base", "bonus", "stock"].filter((key) => typeof ctc[key] === "number");
+    const annual = typeof ctc.total === "number" ? ctc.total : parts.reduce((sum, key) => sum + ctc[key], 0);
+    if (typeof ctc.total === "number" || parts.length > 0) {
+      fullTime = {
+        annual: round(annual),
+        monthly: round(annual / 12),
+        base: round(ctc.base),
+        bonus: round(ctc.bonus),
+        stock: round(ctc.stock),
+        guaranteed: jobType !== "IT + PBC",
+      };
+    }
+  }
+
+  if (!internship && !fullTime) return null;
+  return { currency, internship, fullTime };
+}
+
+// Offers side by side for GET /api/jobs/offers/compare, sorted by CTC or stipend within
+// each currency. Amounts are never converted between currencies, so the highest offer
+// and the per-job-type medians are reported per currency.
+function compareOffers(jobs, sort = "ctc") {
+  const amount = sort === "stipend"
+    ? (offer) => offer.compensation?.internship?.monthly
+    : (offer) => offer.compensation?.fullTime?.annual;
+
+  const offers = jobs.map((job) => ({
+    _id: job._id,
+    company: job.company,
+    role: job.role,
+    jobType: job.jobType,
+    mode: job.mode,
+    status: job.status,
+    pay: job.pay,
+    source: job.compensation?.source || null,
+    compensation: normalizeCompensation(job.compensation, job.jobType),
+  }));
+
+  const currencyCounts = {};
+  offers.forEach((offer) => {
+    const currency = offer.compensation?.currency;
+    if (currency) currencyCounts[currency] = (currencyCounts[currency] || 0) + 1;
+  });
+  const currencies = Object.keys(currencyCounts).sort((a, b) => currencyCounts[b] - currencyCounts[a]);
+  const currencyRank = (offer) => {
+    const index = currencies.indexOf(offer.compensation?.currency);
+    return index === -1 ? currencies.length : index;
+  };
+  offers.sort((a, b) => currencyRank(a) - currencyRank(b) || (amount(b) ?? -1) - (amount(a) ?? -1));
+
+  const highest = {};
+  const groups = {};
+  offers.forEach((offer) => {
+    const comp = offer.compensation;
+    if (!comp) return;
+    const top = (highest[comp.currency] = highest[comp.currency] || { ctc: null, stipend: null });
+    if (comp.fullTime && (!top.ctc || comp.fullTime.annual > top.ctc.annual)) {
+      top.ctc = { _id: offer._id, company: offer.company, annual: comp.fullTime.annual };
+    }
+    if (comp.internship?.monthly != null && (!top.stipend || comp.internship.monthly > top.stipend.monthly)) {
+      top.stipend = { _id: offer._id, company: offer.company, monthly: comp.internship.monthly };
+    }
+
+    const key = `${offer.jobType || "Unspecified"}|${comp.currency}`;
+    groups[key] = groups[key] || { jobType: offer.jobType || "Unspecified", currency: comp.currency, offers: 0, ctcs: [], stipends: [] };
+    groups[key].offers++;
+    if (comp.fullTime) groups[key].ctcs.push(comp.fullTime.annual);
+    if (comp.internship?.monthly != null) groups[key].stipends.push(comp.internship.monthly);
+  });
+
+  return {
+    sort,
+    currencies,
+    offers,
+    highest,
+    byJobType: Object.values(groups).map(({ jobType, currency, offers: count, ctcs, stipends }) => ({
+      jobType,
+      currency,
+      offers: count,
+      medianCtc: round(median(ctcs)),
+      medianMonthlyStipend: round(median(stipends)),
+    })),
+    // Pay that couldn't be read; these can be filled in by hand
+    unparsed: offers.filter((offer) => offer.pay && !offer.compensation).map(({ _id, company, pay }) => ({ _id, company, pay })),
+  };
+}
+
+module.exports = { parsePay, normalizeCompensation, compareOffers };
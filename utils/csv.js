@@ -0,0 +1,75 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, escaped quotes, CRLF)
+
+// Parse CSV text into an array of rows (arrays of strings)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ""); // strip Excel's BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ""));
+}
+
+// Parse CSV text with a header row into objects keyed by header
+function parseCsvObjects(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(h => h.trim());
+  return rows.map(values =>
+    keys.reduce((obj, key, i) => {
+      obj[key] = values[i] !== undefined ? values[i].trim() : "";
+      return obj;
+    }, {})
+  );
+}
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) return "";
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Serialize objects to CSV using the given column order
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeField).join(",")];
+  rows.forEach(row => {
+    lines.push(columns.map(col => escapeField(row[col])).join(","));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { parseCsv, parseCsvObjects, toCsv };
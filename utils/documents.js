@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const pdfParse = require("pdf-parse");
+const mammoth = require("mammoth");
+const { HttpError } = require("./errors");
+const { cached } = require("./cache");
+
+// Document ingestion: turns an uploaded PDF/DOCX/TXT/Markdown file or pasted
+// text into plain text, with specific errors for unreadable input.
+
+const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const TEXT_EXTENSIONS = [".txt", ".md", ".markdown"];
+// MAX_PDF_PAGES  longest PDF accepted (default 10); resumes and JDs are a few pages at most
+const MAX_PDF_PAGES = Number(process.env.MAX_PDF_PAGES) || 10;
+
+// Error with an HTTP status and a machine-readable code for API responses
+class DocumentError extends HttpError {
+  constructor(message, code, status = 422) {
+    super(status, message, code);
+    this.name = "DocumentError";
+  }
+}
+
+// Work out the document type from extension, MIME type and finally magic bytes
+function detectType(file) {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  if (ext === ".pdf" || file.mimetype === "application/pdf") return "pdf";
+  if (ext === ".docx" || file.mimetype === DOCX_MIME) return "docx";
+  if (TEXT_EXTENSIONS.includes(ext) || file.mimetype === "text/plain" || file.mimetype === "text/markdown") return "text";
+
+  // Google Drive and some browsers send application/octet-stream
+  const header = Buffer.alloc(4);
+  const fd = fs.openSync(file.path, "r");
+  try {
+    fs.readSync(fd, header, 0, 4, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (header.toString("latin1") === "%PDF") return "pdf";
+  if (header.toString("latin1", 0, 2) === "PK") return "docx";
+  return null;
+}
+
+// Accept PDFs, Word documents and plain text/Markdown uploads
+function isSupportedUpload(file) {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  return [".pdf", ".docx", ...TEXT_EXTENSIONS].includes(ext) ||
+    ["application/pdf", DOCX_MIME, "text/plain", "text/markdown", "application/octet-stream"].includes(file.mimetype);
+}
+
+async function extractFromFile(file, label) {
+  const type = detectType(file);
+
+  if (type === "pdf" || type === "docx") {
+    // Parsing is the slow part, so reuse the text of files we've seen before.
+    // The page limit is part of the key since it decides whether a PDF is accepted.
+    const buffer = fs.readFileSync(file.path);
+    const { value } = await cached("document-text", [type, MAX_PDF_PAGES, buffer], () =>
+      extractBinary(type, buffer, label)
+    );
+    return value;
+  }
+
+  if (type === "text") {
+    return fs.readFileSync(file.path, "utf8").replace(/^\uFEFF/, "");
+  }
+
+  throw new DocumentError(`Unsupported ${label} file type. Upload a PDF, DOCX, TXT or Markdown file.`, "UNSUPPORTED_TYPE", 400);
+}
+
+// Text of a PDF or DOCX file
+async function extractBinary(type, buffer, label) {
+  if (type === "pdf") {
+    // Only parse the pages we'd accept; numpages is still the full count
+    const data = await pdfParse(buffer, { max: MAX_PDF_PAGES + 1 });
+    if (data.numpages > MAX_PDF_PAGES) {
+      throw new DocumentError(
+        `The ${label} PDF has ${data.numpages} pages. The limit is ${MAX_PDF_PAGES}.`,
+        "TOO_MANY_PAGES",
+        413
+      );
+    }
+    if (!data.text.trim()) {
+      throw new DocumentError(
+        `The ${label} PDF has no extractable text. It looks like a scanned image; upload a text-based PDF or DOCX, or paste the text instead.`,
+        "SCANNED_PDF"
+      );
+    }
+    return data.text;
+  }
+
+  try {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return value;
+  } catch (err) {
+    throw new DocumentError(`The ${label} file is not a readable DOCX document.`, "INVALID_DOCX");
+  }
+}
+
+// Text for one document, from an upload or from pasted text (upload wins).
+// `label` names the document in error messages, e.g. "resume" or "job description".
+async function readDocument({ file, text, label = "document" }) {
+  let content;
+  if (file) {
+    content = await extractFromFile(file, label);
+  } else if (typeof text === "string") {
+    content = text;
+  } else {
+    throw new DocumentError(`No ${label} provided. Upload a file or send the text.`, "MISSING_DOCUMENT", 400);
+  }
+
+  if (!content.trim()) {
+    throw new DocumentError(`The ${label} is empty.`, "EMPTY_DOCUMENT");
+  }
+  return content;
+}
+
+module.exports = { readDocument, isSupportedUpload, DocumentError };
@@ -0,0 +1,22 @@
+// Errors that map to an HTTP response. Thrown from routes or passed to next(), and
+// turned into the standard error body { message, code?, errors? } by middleware/errorHandler.
+class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// 400 with field-level details: errors is a list of { field, location, message }
+class ValidationError extends HttpError {
+  constructor(errors) {
+    const first = errors[0]?.message || "Invalid request";
+    super(400, errors.length > 1 ? `${first} (and ${errors.length - 1} more)` : first, "VALIDATION_ERROR");
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+module.exports = { HttpError, ValidationError };
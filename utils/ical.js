@@ -0,0 +1,66 @@
+// iCalendar (RFC 5545) serializer for job events
+
+const escapeText = (text) =>
+  String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, "");
+
+// Lines longer than 75 octets must be folded with CRLF + space
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const INTERVIEW_DURATION_MS = 60 * 60 * 1000;
+
+// Build a VCALENDAR document from events produced by collectJobEvents
+function buildCalendar(events, { name = "Job Applications" } = {}) {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Job Tracker//Interviews//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  events.forEach(event => {
+    lines.push("BEGIN:VEVENT", `UID:${event.id}@job-tracker`, `DTSTAMP:${stamp}`);
+    if (event.allDay) {
+      const next = new Date(event.date);
+      next.setUTCDate(next.getUTCDate() + 1);
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`, `DTEND;VALUE=DATE:${formatDate(next)}`);
+    } else {
+      const end = new Date(new Date(event.date).getTime() + INTERVIEW_DURATION_MS);
+      lines.push(`DTSTART:${formatDateTime(event.date)}`, `DTEND:${formatDateTime(end)}`);
+    }
+    lines.push(
+      `SUMMARY:${escapeText(event.title)}`,
+      `DESCRIPTION:${escapeText(`${event.role} at ${event.company}`)}`,
+      `CATEGORIES:${escapeText(event.kind)}`,
+      "END:VEVENT"
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildCalendar };
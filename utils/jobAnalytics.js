@@ -0,0 +1,357 @@
+const mongoose = require("mongoose");
+const Job = require("../models/jobs");
+const Company = require("../models/company");
+const { JOB_STATUSES, ROUND_TYPES } = require("../models/jobs");
+const { ValidationError } = require("./errors");
+const { median, periodStart } = require("./stats");
+
+// Job analytics for GET /api/jobs/analytics, computed with one aggregation over the
+// user's jobs in the requested range (MongoDB 5.0+ for $dateTrunc and $setWindowFields).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATUS_COLORS = { applied: "#3B82F6", interview: "#F59E0B", offered: "#10B981", rejected: "#EF4444", ghosted: "#6B7280" };
+const MATCH_BUCKETS = [
+  { range: "0-39", min: 0 },
+  { range: "40-59", min: 40 },
+  { range: "60-79", min: 60 },
+  { range: "80-100", min: 80 },
+];
+const TOP_COMPANIES = 10;
+
+const percent = (count, total) => `${total > 0 ? (count / total * 100).toFixed(1) : "0.0"}%`;
+const average = (values) => (values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0);
+const medianDays = (values) => {
+  const value = median(values);
+  return value === null ? null : Math.round(value * 10) / 10;
+};
+
+// Date range and bucket size from the query:
+//   from/to  explicit dates (a date-only `to` covers that whole day); no upper bound by default
+//   period   last30days | last90days | all (default), used when `from` isn't given
+//   bucket   day (default) | week | month
+function analyticsRange(query) {
+  let to = query.to ? new Date(query.to) : null;
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to = new Date(to.getTime() + DAY_MS - 1);
+
+  const from = query.from ? new Date(query.from) : periodStart(query.period);
+
+  if (from && to && from > to) {
+    throw new ValidationError([{ field: "from", location: "query", message: "from must be before to" }]);
+  }
+  return { from, to, bucket: query.bucket || "day" };
+}
+
+const HISTORY = { $ifNull: ["$statusHistory", []] };
+
+// Earliest date in the status history matching `cond` (null when there is none)
+const firstEvent = (cond) => ({
+  $min: { $map: { input: { $filter: { input: HISTORY, as: "e", cond } }, as: "e", in: "$$e.date" } },
+});
+
+// Days from dateApplied to `field`, or null
+const daysSinceApplied = (field) => ({
+  $cond: [
+    { $and: [{ $ne: [field, null] }, { $ne: ["$dateApplied", null] }] },
+    { $max: [0, { $divide: [{ $subtract: [field, "$dateApplied"] }, DAY_MS] }] },
+    null,
+  ],
+});
+
+const countIf = (cond) => ({ $sum: { $cond: [cond, 1, 0] } });
+
+// Applications, interviews and offers grouped by `key`
+const outcomeGroup = (key, extra = {}) => ({
+  $group: {
+    _id: key,
+    ...extra,
+    applications: { $sum: 1 },
+    interviews: countIf("$reachedInterview"),
+    offers: countIf("$reachedOffer"),
+  },
+});
+
+function pipeline(userId, { from, to, bucket }) {
+  const dateApplied = { $ne: null };
+  if (from) dateApplied.$gte = from;
+  if (to) dateApplied.$lte = to;
+
+  const dateTrunc = { date: "$dateApplied", unit: bucket };
+  if (bucket === "week") dateTrunc.startOfWeek = "monday";
+
+  return [
+    { $match: { user: new mongoose.Types.ObjectId(userId), dateApplied } },
+    {
+      $addFields: {
+        firstResponseAt: firstEvent({ $ne: ["$$e.status", "applied"] }),
+        interviewAt: firstEvent({ $eq: ["$$e.status", "interview"] }),
+        offerAt: firstEvent({ $eq: ["$$e.status", "offered"] }),
+      },
+    },
+    {
+      $addFields: {
+        reachedInterview: { $or: [{ $in: ["$status", ["interview", "offered"]] }, { $ne: ["$interviewAt", null] }] },
+        reachedOffer: { $or: [{ $eq: ["$status", "offered"] }, { $ne: ["$offerAt", null] }] },
+        responseDays: daysSinceApplied("$firstResponseAt"),
+        interviewDays: daysSinceApplied("$interviewAt"),
+        offerDays: daysSinceApplied("$offerAt"),
+      },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              interviews: countIf("$reachedInterview"),
+              offers: countIf("$reachedOffer"),
+              rejected: countIf({ $eq: ["$status", "rejected"] }),
+              rejectedAfterInterview: countIf({ $and: [{ $eq: ["$status", "rejected"] }, "$reachedInterview"] }),
+              ghosted: countIf({ $eq: ["$status", "ghosted"] }),
+              responseDays: { $push: "$responseDays" },
+              interviewDays: { $push: "$interviewDays" },
+              offerDays: { $push: "$offerDays" },
+            },
+          },
+        ],
+        statuses: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+        timeline: [
+          outcomeGroup({ $dateTrunc: dateTrunc }, { rejections: countIf({ $eq: ["$status", "rejected"] }) }),
+          { $sort: { _id: 1 } },
+        ],
+        roles: [
+          {
+            $group: {
+              _id: "$role",
+              applied: { $sum: 1 },
+              interview: countIf({ $eq: ["$status", "interview"] }),
+              offered: countIf({ $eq: ["$status", "offered"] }),
+            },
+          },
+          { $sort: { applied: -1, _id: 1 } },
+        ],
+        jobTypes: [outcomeGroup("$jobType"), { $sort: { applications: -1 } }],
+        modes: [outcomeGroup("$mode"), { $sort: { applications: -1 } }],
+        // Grouped by company record so different spellings count together; jobs saved
+        // before companies existed fall back to the lowercased name
+        companies: [
+          outcomeGroup(
+            { $ifNull: ["$companyId", { $toLower: { $trim: { input: "$company" } } }] },
+            { name: { $first: "$company" } }
+          ),
+          { $sort: { applications: -1, _id: 1 } },
+          { $limit: TOP_COMPANIES },
+          { $lookup: { from: Company.collection.name, localField: "_id", foreignField: "_id", as: "record" } },
+        ],
+        // Time between consecutive status events; the current (open) stage isn't counted
+        stages: [
+          { $unwind: "$statusHistory" },
+          {
+            $setWindowFields: {
+              partitionBy: "$_id",
+              sortBy: { "statusHistory.date": 1 },
+              output: { nextDate: { $shift: { output: "$statusHistory.date", by: 1 } } },
+            },
+          },
+          { $match: { nextDate: { $ne: null } } },
+          {
+            $group: {
+              _id: "$statusHistory.status",
+              days: { $push: { $divide: [{ $subtract: ["$nextDate", "$statusHistory.date"] }, DAY_MS] } },
+            },
+          },
+        ],
+        rounds: [
+          { $unwind: "$rounds" },
+          {
+            $group: {
+              _id: { type: "$rounds.type", outcome: { $ifNull: ["$rounds.outcome", "pending"] } },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        matchBuckets: [
+          { $match: { "match.score": { $type: "number" } } },
+          {
+            $bucket: {
+              groupBy: "$match.score",
+              boundaries: [...MATCH_BUCKETS.map((b) => b.min), 101],
+              default: "other",
+              output: {
+                applications: { $sum: 1 },
+                interviews: countIf("$reachedInterview"),
+                offers: countIf("$reachedOffer"),
+              },
+            },
+          },
+        ],
+        // Running sums for Pearson correlations between match score and 0/1 outcomes
+        matchSums: [
+          { $match: { "match.score": { $type: "number" } } },
+          {
+            $addFields: {
+              interviewed: { $cond: ["$reachedInterview", 1, 0] },
+              offered: { $cond: ["$reachedOffer", 1, 0] },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              n: { $sum: 1 },
+              sx: { $sum: "$match.score" },
+              sxx: { $sum: { $multiply: ["$match.score", "$match.score"] } },
+              syInterview: { $sum: "$interviewed" },
+              sxyInterview: { $sum: { $multiply: ["$match.score", "$interviewed"] } },
+              syOffer: { $sum: "$offered" },
+              sxyOffer: { $sum: { $multiply: ["$match.score", "$offered"] } },
+            },
+          },
+        ],
+      },
+    },
+  ];
+}
+
+// Pearson correlation from running sums; y is 0/1 so sum(y^2) = sum(y)
+function correlation({ n, sx, sxx }, sy, sxy) {
+  if (!n || n < 2) return null;
+  const cov = sxy - (sx * sy) / n;
+  const varX = sxx - (sx * sx) / n;
+  const varY = sy - (sy * sy) / n;
+  if (varX <= 1e-9 || varY <= 1e-9) return null;
+  return Number((cov / Math.sqrt(varX * varY)).toFixed(2));
+}
+
+const withRates = ({ applications, interviews, offers }) => ({
+  applications,
+  interviews,
+  offers,
+  interviewRate: percent(interviews, applications),
+  offerRate: percent(offers, applications),
+});
+
+const dateKey = (date) => date.toISOString().split("T")[0];
+
+async function buildJobAnalytics(userId, range) {
+  const [facets] = await Job.aggregate(pipeline(userId, range));
+  const totals = facets.totals[0] || {
+    total: 0, interviews: 0, offers: 0, rejected: 0, rejectedAfterInterview: 0, ghosted: 0,
+    responseDays: [], interviewDays: [], offerDays: [],
+  };
+  const present = (values) => values.filter((v) => typeof v === "number");
+
+  // Same summary, status, time and role sections as before, plus the sections below
+  const statusCounts = Object.fromEntries(JOB_STATUSES.map((status) => [status, 0]));
+  facets.statuses.forEach(({ _id, count }) => {
+    if (_id in statusCounts) statusCounts[_id] = count;
+  });
+  const legacyRate = (count) => (totals.total > 0 ? (count / totals.total * 100).toFixed(1) : 0);
+
+  const summary = {
+    totalApplications: totals.total,
+    interviewRate: `${legacyRate(statusCounts.interview)}%`,
+    offerRate: `${legacyRate(statusCounts.offered)}%`,
+    avgResponseTime: `${average(present(totals.responseDays))} days`,
+    avgTimeToInterview: `${average(present(totals.interviewDays))} days`,
+    avgTimeToOffer: `${average(present(totals.offerDays))} days`,
+  };
+
+  const statusDistribution = Object.entries(statusCounts).map(([name, value]) => ({
+    name: name.charAt(0).toUpperCase() + name.slice(1),
+    value,
+    color: STATUS_COLORS[name],
+  }));
+
+  const timeData = facets.timeline.map(({ _id, applications }) => ({ date: dateKey(_id), count: applications }));
+
+  const roleData = facets.roles.map(({ _id, applied, interview, offered }) => ({ name: _id, applied, interview, offered }));
+
+  // How many candidates reach, clear and drop out at each round type
+  const roundStats = {};
+  facets.rounds.forEach(({ _id, count }) => {
+    roundStats[_id.type] = roundStats[_id.type] || { reached: 0, passed: 0, failed: 0, pending: 0 };
+    roundStats[_id.type].reached += count;
+    roundStats[_id.type][_id.outcome] = (roundStats[_id.type][_id.outcome] || 0) + count;
+  });
+  const roundDropoff = ROUND_TYPES
+    .filter((type) => roundStats[type])
+    .map((type) => {
+      const stats = roundStats[type];
+      return { type, ...stats, dropoffRate: percent(stats.failed, stats.passed + stats.failed) };
+    });
+
+  const sums = facets.matchSums[0] || { n: 0 };
+  const matchScoreAnalysis = {
+    scoredApplications: sums.n,
+    buckets: MATCH_BUCKETS.map(({ range, min }) => {
+      const bucket = facets.matchBuckets.find((b) => b._id === min) || { applications: 0, interviews: 0, offers: 0 };
+      return {
+        range,
+        applications: bucket.applications,
+        interviewRate: percent(bucket.interviews, bucket.applications),
+        offerRate: percent(bucket.offers, bucket.applications),
+      };
+    }),
+    interviewCorrelation: correlation(sums, sums.syInterview, sums.sxyInterview),
+    offerCorrelation: correlation(sums, sums.syOffer, sums.sxyOffer),
+  };
+
+  // New sections
+  const trends = facets.timeline.map(({ _id, applications, interviews, offers, rejections }) => ({
+    period: dateKey(_id),
+    applications,
+    interviews,
+    offers,
+    rejections,
+  }));
+
+  const funnel = {
+    stages: [
+      { stage: "applied", count: totals.total, conversionFromPrevious: null, conversionFromApplied: percent(totals.total, totals.total) },
+      { stage: "interview", count: totals.interviews, conversionFromPrevious: percent(totals.interviews, totals.total), conversionFromApplied: percent(totals.interviews, totals.total) },
+      { stage: "offered", count: totals.offers, conversionFromPrevious: percent(totals.offers, totals.interviews), conversionFromApplied: percent(totals.offers, totals.total) },
+    ],
+    rejected: {
+      total: totals.rejected,
+      beforeInterview: totals.rejected - totals.rejectedAfterInterview,
+      afterInterview: totals.rejectedAfterInterview,
+    },
+    ghosted: totals.ghosted,
+  };
+
+  const breakdowns = {
+    jobType: facets.jobTypes.map((row) => ({ name: row._id || "Unspecified", ...withRates(row) })),
+    mode: facets.modes.map((row) => ({ name: row._id || "Unspecified", ...withRates(row) })),
+    company: facets.companies.map((row) => ({
+      name: row.record[0]?.name || row.name,
+      companyId: row.record[0]?._id || null,
+      ...withRates(row),
+    })),
+  };
+
+  const stageDurations = JOB_STATUSES.map((stage) => {
+    const days = facets.stages.find((s) => s._id === stage)?.days || [];
+    return { stage, transitions: days.length, medianDays: medianDays(days) };
+  }).filter((s) => s.transitions > 0);
+
+  return {
+    range: { from: range.from, to: range.to, bucket: range.bucket },
+    summary,
+    statusDistribution,
+    timeData,
+    roleData,
+    roundDropoff,
+    matchScoreAnalysis,
+    trends,
+    funnel,
+    breakdowns,
+    stageDurations,
+    timeToMilestone: {
+      response: { avgDays: average(present(totals.responseDays)), medianDays: medianDays(present(totals.responseDays)) },
+      interview: { avgDays: average(present(totals.interviewDays)), medianDays: medianDays(present(totals.interviewDays)) },
+      offer: { avgDays: average(present(totals.offerDays)), medianDays: medianDays(present(totals.offerDays)) },
+    },
+  };
+}
+
+module.exports = { analyticsRange, buildJobAnalytics };
@@ -0,0 +1,62 @@
+// Calendar-style events derived from jobs: interviews, scheduled rounds and follow-ups
+
+const ROUND_LABELS = {
+  oa: "Online assessment",
+  technical: "Technical interview",
+  managerial: "Managerial interview",
+  "group-discussion": "Group discussion",
+  hr: "HR interview",
+  other: "Interview round",
+};
+
+// Build the list of events for the given jobs, optionally limited to [from, to]
+function collectJobEvents(jobs, { from, to } = {}) {
+  const events = [];
+  const inRange = (date) =>
+    date && (!from || date >= from) && (!to || date <= to);
+
+  jobs.forEach(job => {
+    const base = { jobId: job._id, company: job.company, role: job.role };
+    const scheduledRounds = (job.rounds || []).filter(r => r.scheduledAt);
+
+    // Rounds carry the real schedule; interviewDate is only used for jobs without them
+    if (scheduledRounds.length > 0) {
+      scheduledRounds
+        .filter(r => r.outcome === "pending" && inRange(r.scheduledAt))
+        .forEach(round => {
+          events.push({
+            ...base,
+            id: `${job._id}-round-${round._id}`,
+            kind: "round",
+            title: `${round.name || ROUND_LABELS[round.type]} – ${job.company}`,
+            date: round.scheduledAt,
+            allDay: false,
+          });
+        });
+    } else if (inRange(job.interviewDate)) {
+      events.push({
+        ...base,
+        id: `${job._id}-interview`,
+        kind: "interview",
+        title: `Interview – ${job.company} (${job.role})`,
+        date: job.interviewDate,
+        allDay: false,
+      });
+    }
+
+    if (inRange(job.followUpDate)) {
+      events.push({
+        ...base,
+        id: `${job._id}-follow-up`,
+        kind: "follow-up",
+        title: `Follow up – ${job.company} (${job.role})`,
+        date: job.followUpDate,
+        allDay: true,
+      });
+    }
+  });
+
+  return events.sort((a, b) => a.date - b.date);
+}
+
+module.exports = { collectJobEvents };
@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const Job = require("../models/jobs");
+
+const SORT_FIELDS = ["dateApplied", "interviewDate", "company", "role", "status", "jobType", "createdAt", "updatedAt"];
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 20;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Accept both ?status=a,b and ?status=a&status=b
+const toList = (value) =>
+  [].concat(value)
+    .flatMap(v => String(v).split(","))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+// Same shape as the field errors from middleware/validate.js
+const queryError = (field, message) => ({ field, location: "query", message });
+
+const parseDate = (value, name, errors) => {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(value);
+  if (isNaN(date)) {
+    errors.push(queryError(name, `${name} must be a valid date`));
+    return undefined;
+  }
+  return date;
+};
+
+const dateRange = (from, to) => {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+};
+
+// Turn GET /api/jobs query parameters into a Mongo filter, sort and page.
+// Returns { errors } (field-level, for a ValidationError) when any parameter is invalid.
+function buildJobQuery(userId, query) {
+  const errors = [];
+  const filter = { user: userId };
+
+  if (query.q && String(query.q).trim()) {
+    const pattern = new RegExp(escapeRegex(String(query.q).trim()), "i");
+    filter.$or = [{ company: pattern }, { role: pattern }, { notes: pattern }];
+  }
+
+  ["status", "jobType", "mode"].forEach(field => {
+    if (query[field] === undefined) return;
+    const values = toList(query[field]);
+    const allowed = Job.schema.path(field).enumValues;
+    const invalid = values.filter(v => !allowed.includes(v));
+    if (invalid.length > 0) {
+      errors.push(queryError(field, `Invalid ${field}: ${invalid.join(", ")}. Allowed: ${allowed.join(", ")}`));
+    } else if (values.length > 0) {
+      filter[field] = { $in: values };
+    }
+  });
+
+  if (query.companyId !== undefined) {
+    if (mongoose.isValidObjectId(query.companyId) && /^[a-f0-9]{24}$/i.test(query.companyId)) {
+      filter.companyId = query.companyId;
+    } else {
+      errors.push(queryError("companyId", "companyId must be a valid id"));
+    }
+  }
+
+  if (query.stale !== undefined) {
+    if (["true", "1"].includes(String(query.stale))) filter.staleAt = { $ne: null };
+    else if (["false", "0"].includes(String(query.stale))) filter.staleAt = null;
+    else errors.push(queryError("stale", "stale must be true or false"));
+  }
+
+  const applied = dateRange(
+    parseDate(query.appliedFrom, "appliedFrom", errors),
+    parseDate(query.appliedTo, "appliedTo", errors)
+  );
+  if (applied) filter.dateApplied = applied;
+
+  const interview = dateRange(
+    parseDate(query.interviewFrom, "interviewFrom", errors),
+    parseDate(query.interviewTo, "interviewTo", errors)
+  );
+  if (interview) filter.interviewDate = interview;
+
+  const sortField = query.sort || "dateApplied";
+  if (!SORT_FIELDS.includes(sortField)) {
+    errors.push(queryError("sort", `Invalid sort field. Allowed: ${SORT_FIELDS.join(", ")}`));
+  }
+  const order = String(query.order || "desc").toLowerCase();
+  if (!["asc", "desc"].includes(order)) {
+    errors.push(queryError("order", "order must be asc or desc"));
+  }
+  const direction = order === "asc" ? 1 : -1;
+  // _id as tie-breaker keeps pages stable when sort values repeat
+  const sort = { [sortField]: direction, _id: direction };
+
+  let pagination = null;
+  if (query.page !== undefined || query.limit !== undefined) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(page) || page < 1) errors.push(queryError("page", "page must be a positive integer"));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(queryError("limit", `limit must be an integer between 1 and ${MAX_LIMIT}`));
+    }
+    pagination = { page, limit };
+  }
+
+  if (errors.length > 0) return { errors };
+  return { filter, sort, pagination };
+}
+
+module.exports = { buildJobQuery };
@@ -0,0 +1,82 @@
+const Job = require("../models/jobs");
+
+// Columns used for CSV export and recognised on import
+const JOB_COLUMNS = ["company", "role", "pay", "dateApplied", "interviewDate", "followUpDate", "jobType", "status", "mode", "notes"];
+
+// Header aliases so spreadsheets like "Date Applied" or "Company Name" map onto fields
+const HEADER_ALIASES = {
+  company: ["company", "companyname", "organization", "organisation"],
+  role: ["role", "position", "title", "jobtitle"],
+  pay: ["pay", "salary", "stipend", "ctc", "compensation"],
+  dateApplied: ["dateapplied", "applied", "applieddate", "applicationdate", "date"],
+  interviewDate: ["interviewdate", "interview"],
+  followUpDate: ["followupdate", "followup", "followupon"],
+  jobType: ["jobtype", "type"],
+  status: ["status", "stage"],
+  mode: ["mode", "campus"],
+  notes: ["notes", "note", "comments"],
+};
+
+const ENUM_FIELDS = ["jobType", "status", "mode"];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const formatDate = (date) => {
+  const parsed = date ? new Date(date) : null;
+  return parsed && !isNaN(parsed) ? parsed.toISOString().split("T")[0] : "";
+};
+
+// Flatten a job into a plain row for export
+function toExportRow(job) {
+  return {
+    company: job.company,
+    role: job.role,
+    pay: job.pay,
+    dateApplied: formatDate(job.dateApplied),
+    interviewDate: formatDate(job.interviewDate),
+    followUpDate: formatDate(job.followUpDate),
+    jobType: job.jobType,
+    status: job.status,
+    mode: job.mode,
+    notes: job.notes,
+  };
+}
+
+// Map an imported row (any header spelling, any enum casing) onto Job fields.
+// Empty cells are left out so schema defaults apply.
+function normalizeImportRow(raw) {
+  const byHeader = {};
+  Object.keys(raw).forEach(key => {
+    byHeader[normalizeHeader(key)] = raw[key];
+  });
+
+  const row = {};
+  JOB_COLUMNS.forEach(field => {
+    const header = HEADER_ALIASES[field].find(alias => byHeader[alias] !== undefined);
+    if (header === undefined) return;
+
+    const value = byHeader[header];
+    if (value === null || String(value).trim() === "") return;
+    row[field] = String(value).trim();
+  });
+
+  ENUM_FIELDS.forEach(field => {
+    if (row[field] === undefined) return;
+    const canonical = Job.schema.path(field).enumValues
+      .find(v => v.toLowerCase() === row[field].toLowerCase());
+    if (canonical) row[field] = canonical;
+  });
+
+  return row;
+}
+
+// Jobs are considered the same application by company + role + dateApplied
+function duplicateKey(job) {
+  return [
+    String(job.company || "").trim().toLowerCase(),
+    String(job.role || "").trim().toLowerCase(),
+    formatDate(job.dateApplied),
+  ].join("|");
+}
+
+module.exports = { JOB_COLUMNS, toExportRow, normalizeImportRow, duplicateKey };
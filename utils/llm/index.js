@@ -0,0 +1,94 @@
+const createGeminiProvider = require("./providers/gemini");
+const createOpenAIProvider = require("./providers/openai");
+const createLocalProvider = require("./providers/local");
+
+// LLM provider layer.
+//
+// LLM_PROVIDERS   fallback order, e.g. "gemini,openai,local"
+//                 (default: every configured remote provider, then local)
+// GEMINI_API_KEY, GEMINI_MODEL
+// OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL
+// LLM_TIMEOUT_MS  per-attempt timeout (default 30000)
+// LLM_RETRIES     retries per provider before falling back (default 2)
+
+const factories = {
+  gemini: () =>
+    process.env.GEMINI_API_KEY &&
+    createGeminiProvider({ apiKey: process.env.GEMINI_API_KEY, model: process.env.GEMINI_MODEL }),
+  openai: () =>
+    (process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL) &&
+    createOpenAIProvider({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.OPENAI_BASE_URL,
+      model: process.env.OPENAI_MODEL,
+    }),
+  local: () => createLocalProvider(),
+};
+
+let providers = null;
+
+// Providers in fallback order, created once from the environment
+function getProviders() {
+  if (providers) return providers;
+
+  const names = process.env.LLM_PROVIDERS
+    ? process.env.LLM_PROVIDERS.split(",").map(name => name.trim().toLowerCase()).filter(Boolean)
+    : ["gemini", "openai", "local"];
+
+  providers = names
+    .map(name => {
+      if (!factories[name]) {
+        console.warn(`⚠️ Unknown LLM provider "${name}" ignored`);
+        return null;
+      }
+      return factories[name]() || null;
+    })
+    .filter(Boolean);
+
+  if (providers.length === 0) providers = [createLocalProvider()];
+  return providers;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const withTimeout = (promise, ms, name) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run a prompt through the configured providers.
+//   task:   "resume-feedback" | "extract-skills" | "match-analysis"
+//   prompt: text sent to remote models
+//   input:  structured data the local provider works from
+// Resolves to { text, provider, model }; rejects only when every provider failed.
+async function generate({ task, prompt, input }) {
+  const timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || 30000;
+  const retries = process.env.LLM_RETRIES !== undefined ? Number(process.env.LLM_RETRIES) : 2;
+  const errors = [];
+
+  for (const provider of getProviders()) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const text = await withTimeout(
+          provider.generate({ task, prompt, input, timeoutMs }),
+          timeoutMs,
+          provider.name
+        );
+        return { text, provider: provider.name, model: provider.model };
+      } catch (err) {
+        errors.push(`${provider.name}: ${err.message}`);
+        console.error(`❌ LLM ${provider.name} attempt ${attempt + 1} failed:`, err.message);
+        // The local provider is deterministic, retrying it won't help
+        if (provider.name === "local") break;
+        if (attempt < retries) await sleep(500 * 2 ** attempt);
+      }
+    }
+  }
+
+  throw new Error(`All LLM providers failed (${errors.join("; ")})`);
+}
+
+module.exports = { generate, getProviders };
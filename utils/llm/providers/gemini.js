@@ -0,0 +1,18 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+// Google Gemini through the official SDK
+function createGeminiProvider({ apiKey, model = "gemini-2.5-flash" }) {
+  const client = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    model,
+    async generate({ prompt, timeoutMs }) {
+      const generativeModel = client.getGenerativeModel({ model }, { timeout: timeoutMs });
+      const result = await generativeModel.generateContent(prompt);
+      return result.response?.text() || "";
+    },
+  };
+}
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,73 @@
+const { analyzeResume } = require("../../resumeAnalysis");
+const { findSkillsInText } = require("../../skillTaxonomy");
+
+// Deterministic, offline stand-in for an LLM. It does not read the prompt;
+// it answers each task from the structured input with simple heuristics,
+// in the same JSON shapes the prompts ask the real models for.
+
+// Lines like "Nice to have: Docker" or "Bonus if you know AWS"
+const OPTIONAL_LINE = /(nice[\s-]to[\s-]have|good[\s-]to[\s-]have|preferred|bonus|a plus|desirable|optional)/i;
+
+const tasks = {
+  "extract-skills": ({ text }) => findSkillsInText(text),
+
+  "extract-jd-skills": ({ text = "" }) => {
+    const lines = text.split(/\n|(?<=[.;])\s+/);
+    const required = findSkillsInText(lines.filter(line => !OPTIONAL_LINE.test(line)).join("\n"));
+    const niceToHave = findSkillsInText(lines.filter(line => OPTIONAL_LINE.test(line)).join("\n"))
+      .filter(skill => !required.includes(skill));
+    return { required, nice_to_have: niceToHave };
+  },
+
+  "resume-feedback": ({ text }) => {
+    const analysis = analyzeResume(text);
+    const passed = analysis.checks.filter(check => check.passed);
+    const failed = analysis.checks.filter(check => !check.passed);
+
+    return {
+      overall_impression: `Automated offline review: ATS score ${analysis.atsScore}/100.`,
+      strengths: passed.map(check => `${check.label}: ${check.detail}`),
+      areas_for_improvement: failed.map(check => `${check.label}: ${check.detail}`),
+      section_feedback: analysis.sections.found.map(section => `${section.charAt(0).toUpperCase() + section.slice(1)} section is present`),
+      suggestions: [
+        "Tailor the resume to each job description",
+        "Keep formatting simple so ATS parsers can read it",
+      ],
+      ats_readability: analysis.atsScore >= 60
+        ? "Likely readable by most ATS systems."
+        : "May struggle with ATS systems; add standard section headings, contact details and keywords.",
+    };
+  },
+
+  "match-analysis": ({ resumeText, jdText }) => {
+    const jdSkills = findSkillsInText(jdText);
+    const resumeSkills = findSkillsInText(resumeText);
+    const matched = jdSkills.filter(skill => resumeSkills.includes(skill));
+    const missing = jdSkills.filter(skill => !resumeSkills.includes(skill));
+    const score = jdSkills.length ? Math.round((matched.length / jdSkills.length) * 100) : 0;
+
+    return {
+      match_score: `${score}%`,
+      strengths: matched.map(skill => `Resume shows **${skill}**, which the job asks for`),
+      weaknesses: missing.map(skill => `No evidence of **${skill}** in the resume`),
+      suggestions: missing.length
+        ? [`Highlight experience with ${missing.join(", ")} if you have it`]
+        : ["Emphasise measurable impact in the projects that use these skills"],
+      overall_analysis: `The resume covers ${matched.length} of ${jdSkills.length} recognised skills from the job description (offline estimate).`,
+    };
+  },
+};
+
+function createLocalProvider() {
+  return {
+    name: "local",
+    model: "heuristic-v1",
+    async generate({ task, input = {} }) {
+      const handler = tasks[task];
+      if (!handler) throw new Error(`Local provider does not support task "${task}"`);
+      return JSON.stringify(handler(input));
+    },
+  };
+}
+
+module.exports = createLocalProvider;
@@ -0,0 +1,28 @@
+const axios = require("axios");
+
+// Any OpenAI-compatible /chat/completions endpoint (OpenAI, Azure proxies, Ollama, vLLM, ...)
+function createOpenAIProvider({ apiKey, baseUrl = "https://api.openai.com/v1", model = "gpt-4o-mini" }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    model,
+    async generate({ prompt, timeoutMs }) {
+      const { data } = await axios.post(
+        endpoint,
+        {
+          model,
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0.2,
+        },
+        {
+          timeout: timeoutMs,
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        }
+      );
+      return data?.choices?.[0]?.message?.content || "";
+    },
+  };
+}
+
+module.exports = createOpenAIProvider;
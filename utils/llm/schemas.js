@@ -0,0 +1,42 @@
+// Declared shapes of every AI response. A small subset of JSON Schema:
+// type (object | array | string | number), properties, required, items.
+
+const stringList = { type: "array", items: { type: "string" } };
+
+const resumeFeedback = {
+  type: "object",
+  properties: {
+    overall_impression: { type: "string" },
+    strengths: stringList,
+    areas_for_improvement: stringList,
+    section_feedback: stringList,
+    suggestions: stringList,
+    ats_readability: { type: "string" },
+  },
+  required: ["overall_impression", "strengths", "areas_for_improvement", "section_feedback", "suggestions", "ats_readability"],
+};
+
+const skillList = stringList;
+
+const jdSkills = {
+  type: "object",
+  properties: {
+    required: stringList,
+    nice_to_have: stringList,
+  },
+  required: ["required", "nice_to_have"],
+};
+
+const matchAnalysis = {
+  type: "object",
+  properties: {
+    match_score: { type: "string" },
+    strengths: stringList,
+    weaknesses: stringList,
+    suggestions: stringList,
+    overall_analysis: { type: "string" },
+  },
+  required: ["match_score", "strengths", "weaknesses", "suggestions", "overall_analysis"],
+};
+
+module.exports = { resumeFeedback, skillList, jdSkills, matchAnalysis };
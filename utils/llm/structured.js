@@ -0,0 +1,176 @@
+const { generate, getProviders } = require("./index");
+const { cached } = require("../cache");
+
+// Bump to invalidate every cached AI result, e.g. after changing how outputs are post-processed
+const CACHE_VERSION = 1;
+
+// Structured output on top of the provider layer: find the JSON in a model
+// reply, check it against a schema, re-prompt when it doesn't fit, and as a
+// last resort coerce it into the declared shape so clients always get typed JSON.
+
+// Pull the first JSON value out of a reply that may have code fences or prose around it
+function extractJson(text) {
+  if (typeof text !== "string") return undefined;
+  const cleaned = text.replace(/```(?:json)?/gi, "").trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (err) {
+    // fall through to scanning for an embedded value
+  }
+
+  const start = cleaned.search(/[[{]/);
+  if (start === -1) return undefined;
+
+  const open = cleaned[start];
+  const close = open === "{" ? "}" : "]";
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < cleaned.length; i++) {
+    const char = cleaned[i];
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close && --depth === 0) {
+      try {
+        return JSON.parse(cleaned.slice(start, i + 1));
+      } catch (err) {
+        return undefined;
+      }
+    }
+  }
+  return undefined;
+}
+
+const describe = (value) => (Array.isArray(value) ? "array" : value === null ? "null" : typeof value);
+
+const toText = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "string") return value;
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join("\n");
+  if (typeof value === "object") {
+    return Object.entries(value).map(([key, v]) => `${key}: ${toText(v)}`).join("\n");
+  }
+  return String(value);
+};
+
+// Coerce a value into the schema's shape, recording every mismatch in `errors`
+function coerce(value, schema, path, errors) {
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string") {
+        errors.push(`${path} should be a string, got ${describe(value)}`);
+        return toText(value);
+      }
+      return value;
+
+    case "number": {
+      const number = typeof value === "number" ? value : parseFloat(value);
+      if (typeof value !== "number") errors.push(`${path} should be a number, got ${describe(value)}`);
+      return Number.isFinite(number) ? number : 0;
+    }
+
+    case "array": {
+      let items = value;
+      if (!Array.isArray(value)) {
+        errors.push(`${path} should be an array, got ${describe(value)}`);
+        if (value === undefined || value === null || value === "") items = [];
+        else if (typeof value === "object") items = Object.entries(value).map(([key, v]) => `${key}: ${toText(v)}`);
+        else items = [value];
+      }
+      return items
+        .map((item, i) => coerce(item, schema.items, `${path}[${i}]`, errors))
+        .filter(item => item !== "");
+    }
+
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${path} should be an object, got ${describe(value)}`);
+        value = {};
+      }
+      const result = {};
+      Object.entries(schema.properties).forEach(([key, propSchema]) => {
+        if (value[key] === undefined) {
+          if ((schema.required || []).includes(key)) errors.push(`${path}.${key} is required`);
+          result[key] = coerce(undefined, propSchema, `${path}.${key}`, []);
+          return;
+        }
+        result[key] = coerce(value[key], propSchema, `${path}.${key}`, errors);
+      });
+      return result;
+    }
+
+    default:
+      return value;
+  }
+}
+
+// Check a parsed value against a schema. Returns { value, errors } where
+// value is always in the schema's shape.
+function validate(value, schema) {
+  const errors = [];
+  const coerced = coerce(value, schema, "$", errors);
+  return { value: coerced, errors };
+}
+
+const repairPrompt = (prompt, errors) =>
+  `${prompt}
+
+Your previous reply did not match the required JSON format (${errors.slice(0, 5).join("; ")}).
+Reply again with ONLY the JSON value, no explanations and no code fences.`;
+
+// Configured providers and models; part of the cache key so switching models re-runs prompts
+const modelFingerprint = () => getProviders().map((p) => `${p.name}:${p.model || ""}`).join(",");
+
+// Generate a response and return it as data matching `schema`.
+// Re-prompts up to `attempts - 1` times on malformed output, then repairs what it got.
+// Results are cached by prompt, schema and configured models (see utils/cache).
+// onAiCall() is awaited before the providers are called, i.e. only on a cache miss;
+// it's how AI quotas are charged, and can reject to stop the call.
+// Resolves to { data, provider, model, repaired, cached }.
+async function generateStructured({ task, prompt, input, schema, attempts = 2, onAiCall }) {
+  const { value, cached: hit } = await cached(
+    `llm:${task}`,
+    [CACHE_VERSION, modelFingerprint(), prompt, schema],
+    async () => {
+      if (onAiCall) await onAiCall();
+      return generateUncached({ task, prompt, input, schema, attempts });
+    },
+    // Don't keep repaired output or the local fallback, so a provider outage isn't cached for days
+    { shouldCache: (result) => !result.repaired && result.provider !== "local" }
+  );
+  return { ...value, cached: hit };
+}
+
+async function generateUncached({ task, prompt, input, schema, attempts }) {
+  let currentPrompt = prompt;
+  let last;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const result = await generate({ task, prompt: currentPrompt, input });
+    const parsed = extractJson(result.text);
+    const { value, errors } = validate(parsed, schema);
+
+    if (parsed !== undefined && errors.length === 0) {
+      return { data: value, provider: result.provider, model: result.model, repaired: false };
+    }
+
+    console.warn(`⚠️ ${task} output did not match schema (attempt ${attempt}):`, errors.slice(0, 3));
+    last = { result, parsed, value, errors };
+    currentPrompt = repairPrompt(prompt, parsed === undefined ? ["reply was not valid JSON"] : errors);
+  }
+
+  // Keep whatever text the model produced rather than losing it entirely
+  let data = last.value;
+  if (last.parsed === undefined && schema.type === "object") {
+    const firstText = Object.keys(schema.properties).find(key => schema.properties[key].type === "string");
+    data = { ...data, [firstText]: last.result.text.trim() };
+  }
+  return { data, provider: last.result.provider, model: last.result.model, repaired: true };
+}
+
+module.exports = { generateStructured, extractJson, validate };
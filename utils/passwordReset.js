@@ -0,0 +1,50 @@
+const crypto = require("crypto");
+const PasswordReset = require("../models/passwordReset");
+const { sendMail } = require("./mailer");
+
+// RESET_TOKEN_TTL_MINUTES  how long a reset link stays valid (default 30)
+// APP_URL                  frontend base URL used in the reset link
+const RESET_TOKEN_TTL_MS = (Number(process.env.RESET_TOKEN_TTL_MINUTES) || 30) * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Create a reset token for a user (invalidating earlier unused ones) and email the link
+async function sendPasswordResetEmail(user, { ip, reason } = {}) {
+  await PasswordReset.updateMany({ user: user._id, usedAt: null }, { usedAt: new Date() });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await PasswordReset.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS),
+    requestedIp: ip,
+  });
+
+  const appUrl = (process.env.APP_URL || "http://localhost:3000").replace(/\/+$/, "");
+  const link = `${appUrl}/reset-password?token=${token}`;
+  const minutes = Math.round(RESET_TOKEN_TTL_MS / 60000);
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},
+
+${reason || "We received a request to reset the password for your account"} (username: ${user.username}).
+
+Reset your password here: ${link}
+
+This link can be used once and expires in ${minutes} minutes. If you didn't ask for this, you can ignore this email.`,
+  });
+}
+
+// Mark a token as used and return its reset record, or null if it is unknown, used or expired
+async function consumeResetToken(token) {
+  if (typeof token !== "string" || !token) return null;
+  return PasswordReset.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+}
+
+module.exports = { sendPasswordResetEmail, consumeResetToken };
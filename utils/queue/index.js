@@ -0,0 +1,124 @@
+const createMemoryBackend = require("./memoryBackend");
+const createMongoBackend = require("./mongoBackend");
+
+const backends = {
+  memory: createMemoryBackend,
+  mongo: createMongoBackend,
+};
+
+// Background job queue with a concurrency limit and retries with exponential backoff.
+//   backend:  "memory" | "mongo" or a backend object (create/get/claim/update)
+//   handlers: { [type]: async (input, { progress, job }) => result }
+//   heartbeatMs: how often a running job's heartbeatAt is refreshed, so a shared store
+//                doesn't hand a long job to another worker while this one is still on it
+function createQueue({ backend = "memory", handlers, concurrency = 2, maxAttempts = 3, pollIntervalMs = 1000, retryDelayMs = 2000, heartbeatMs = 30 * 1000 }) {
+  const store = typeof backend === "string" ? backends[backend]?.() : backend;
+  if (!store) throw new Error(`Unknown queue backend "${backend}"`);
+
+  let running = 0;
+  let timer = null;
+  let draining = false;
+
+  async function run(job) {
+    const progress = (percent, stage) => store.update(job._id, { progress: percent, stage });
+    const heartbeat = setInterval(() => {
+      store.update(job._id, { heartbeatAt: new Date() })
+        .catch((err) => console.error(`⚠️ Queue job ${job._id} heartbeat failed:`, err.message));
+    }, heartbeatMs);
+    heartbeat.unref();
+
+    try {
+      const handler = handlers[job.type];
+      if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+
+      const result = await handler(job.input, { progress, job });
+      await store.update(job._id, {
+        status: "completed",
+        progress: 100,
+        stage: "Completed",
+        result,
+        error: null,
+        finishedAt: new Date(),
+      });
+    } catch (err) {
+      console.error(`❌ Queue job ${job._id} (${job.type}) attempt ${job.attempts} failed:`, err.message);
+      // Handlers mark errors that another attempt can't fix with retryable = false
+      if (job.attempts < maxAttempts && err.retryable !== false) {
+        await store.update(job._id, {
+          status: "queued",
+          stage: `Retrying after error: ${err.message}`,
+          error: err.message,
+          runAfter: new Date(Date.now() + retryDelayMs * 2 ** (job.attempts - 1)),
+        });
+      } else {
+        await store.update(job._id, {
+          status: "failed",
+          stage: "Failed",
+          error: err.message,
+          finishedAt: new Date(),
+        });
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // Start as many queued jobs as the concurrency limit allows
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    try {
+      while (running < concurrency) {
+        const job = await store.claim(new Date());
+        if (!job) break;
+        running++;
+        run(job)
+          .catch((err) => {
+            // The store itself failed (e.g. the database was briefly unavailable), so the
+            // job couldn't be marked finished; put it back rather than leave it "running"
+            console.error(`❌ Queue job ${job._id} (${job.type}) could not be recorded:`, err);
+            const reset = job.attempts < maxAttempts
+              ? { status: "queued", runAfter: new Date(Date.now() + retryDelayMs * 2 ** (job.attempts - 1)) }
+              : { status: "failed", finishedAt: new Date() };
+            return store
+              .update(job._id, { ...reset, stage: `Error: ${err.message}`, error: err.message })
+              .catch((resetErr) => console.error(`❌ Queue job ${job._id} could not be reset:`, resetErr));
+          })
+          .finally(() => {
+            running--;
+            drain();
+          });
+      }
+    } catch (err) {
+      console.error("❌ Queue error:", err);
+    } finally {
+      draining = false;
+    }
+  }
+
+  return {
+    backend: store.name,
+
+    async add(type, input, { user } = {}) {
+      const job = await store.create({ type, input, user });
+      if (timer) drain();
+      return job;
+    },
+
+    get: (id) => store.get(id),
+
+    start() {
+      if (timer) return;
+      timer = setInterval(drain, pollIntervalMs);
+      timer.unref();
+      drain();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = { createQueue };
@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+
+// In-process queue storage. Jobs are lost on restart; finished jobs are
+// dropped after `retentionMs`.
+function createMemoryBackend({ retentionMs = 60 * 60 * 1000 } = {}) {
+  const jobs = new Map();
+
+  const prune = () => {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && job.finishedAt.getTime() < cutoff) jobs.delete(id);
+    }
+  };
+
+  return {
+    name: "memory",
+
+    async create(doc) {
+      prune();
+      const now = new Date();
+      const job = {
+        _id: crypto.randomUUID(),
+        status: "queued",
+        progress: 0,
+        attempts: 0,
+        runAfter: now,
+        createdAt: now,
+        updatedAt: now,
+        ...doc,
+      };
+      jobs.set(job._id, job);
+      return { ...job };
+    },
+
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? { ...job } : null;
+    },
+
+    async claim(now = new Date()) {
+      const next = [...jobs.values()]
+        .filter(job => job.status === "queued" && job.runAfter <= now)
+        .sort((a, b) => a.createdAt - b.createdAt)[0];
+      if (!next) return null;
+
+      Object.assign(next, { status: "running", startedAt: now, attempts: next.attempts + 1, updatedAt: now });
+      return { ...next };
+    },
+
+    async update(id, patch) {
+      const job = jobs.get(id);
+      if (job) Object.assign(job, patch, { updatedAt: new Date() });
+    },
+  };
+}
+
+module.exports = createMemoryBackend;
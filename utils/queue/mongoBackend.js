@@ -0,0 +1,38 @@
+const Analysis = require("../../models/analysis");
+
+// Queue storage in the analyses collection, shared by every app instance.
+// Jobs left "running" by a crashed worker are picked up again once their heartbeat is
+// `staleAfterMs` old; a live worker refreshes it well within that (see heartbeatMs in index.js).
+function createMongoBackend({ staleAfterMs = 2 * 60 * 1000 } = {}) {
+  return {
+    name: "mongo",
+
+    async create(doc) {
+      const job = await Analysis.create(doc);
+      return job.toObject();
+    },
+
+    async get(id) {
+      return Analysis.findById(id).lean();
+    },
+
+    async claim(now = new Date()) {
+      return Analysis.findOneAndUpdate(
+        {
+          $or: [
+            { status: "queued", runAfter: { $lte: now } },
+            { status: "running", heartbeatAt: { $lt: new Date(now.getTime() - staleAfterMs) } },
+          ],
+        },
+        { $set: { status: "running", startedAt: now, heartbeatAt: now }, $inc: { attempts: 1 } },
+        { sort: { createdAt: 1 }, new: true }
+      ).lean();
+    },
+
+    async update(id, patch) {
+      await Analysis.updateOne({ _id: id }, { $set: patch });
+    },
+  };
+}
+
+module.exports = createMongoBackend;
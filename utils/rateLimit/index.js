@@ -0,0 +1,33 @@
+const createMemoryStore = require("./memoryStore");
+const createMongoStore = require("./mongoStore");
+
+// Counter storage for rate limits.
+// RATE_LIMIT_STORE  memory (default) | mongo (shared between app instances)
+// A store is an object with async hit(key, windowMs) => { count, resetAt } and reset(key).
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+let shared = null;
+
+// The store used by every limiter unless one is passed explicitly
+function getStore() {
+  if (!shared) {
+    const name = process.env.RATE_LIMIT_STORE || "memory";
+    if (!stores[name]) throw new Error(`Unknown rate limit store "${name}"`);
+    shared = stores[name]();
+  }
+  return shared;
+}
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parse a limit written as "<max>/<window>", e.g. "10/15m" or "100/1h"
+function parseLimit(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*([smhd])\s*$/.exec(value || "");
+  if (!match) return null;
+  return { max: Number(match[1]), windowMs: Number(match[2]) * UNITS[match[3]] };
+}
+
+module.exports = { getStore, parseLimit, stores };
@@ -0,0 +1,32 @@
+// Fixed-window counters kept in this process. Fine for a single instance; with
+// several instances each one counts separately, so use the mongo store there.
+function createMemoryStore() {
+  const windows = new Map();
+
+  return {
+    name: "memory",
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+
+      // Drop expired windows now and then so the map doesn't grow forever
+      if (windows.size > 10000) {
+        for (const [k, v] of windows) if (v.resetAt <= now) windows.delete(k);
+      }
+
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+}
+
+module.exports = createMemoryStore;
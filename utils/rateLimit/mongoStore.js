@@ -0,0 +1,31 @@
+const RateLimit = require("../../models/rateLimit");
+
+// Fixed-window counters in MongoDB, shared by every app instance
+function createMongoStore() {
+  return {
+    name: "mongo",
+
+    async hit(key, windowMs) {
+      const now = new Date();
+      // One atomic update: start a new window if the current one has ended, else count
+      const live = { $gt: ["$resetAt", now] };
+      const entry = await RateLimit.findOneAndUpdate(
+        { _id: key },
+        [{
+          $set: {
+            count: { $cond: [live, { $add: ["$count", 1] }, 1] },
+            resetAt: { $cond: [live, "$resetAt", new Date(now.getTime() + windowMs)] },
+          },
+        }],
+        { upsert: true, new: true, lean: true }
+      );
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      await RateLimit.deleteOne({ _id: key });
+    },
+  };
+}
+
+module.exports = createMongoStore;
@@ -0,0 +1,88 @@
+const Job = require("../models/jobs");
+const Notification = require("../models/notification");
+const { collectJobEvents } = require("./jobEvents");
+
+// Reminder offsets such as "24h,1h,30m" (REMINDER_OFFSETS), in minutes
+function parseOffsets(value = "24h,1h") {
+  const units = { m: 1, h: 60, d: 60 * 24 };
+  return String(value)
+    .split(",")
+    .map(part => part.trim().match(/^(\d+)\s*([mhd])$/i))
+    .filter(Boolean)
+    .map(([, amount, unit]) => Number(amount) * units[unit.toLowerCase()])
+    .filter(minutes => minutes > 0)
+    .sort((a, b) => b - a);
+}
+
+const describeOffset = (minutes) => {
+  if (minutes % (60 * 24) === 0) return `${minutes / (60 * 24)} day(s)`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour(s)`;
+  return `${minutes} minute(s)`;
+};
+
+// Create reminder notifications for every event that is now within one of the offsets.
+// Safe to run repeatedly: each event/offset pair is only stored once.
+async function createDueReminders(offsets, now = new Date()) {
+  if (offsets.length === 0) return 0;
+
+  const horizon = new Date(now.getTime() + offsets[0] * 60 * 1000);
+  const jobs = await Job.find({
+    status: { $nin: ["rejected", "ghosted"] },
+    $or: [
+      { interviewDate: { $gt: now, $lte: horizon } },
+      { followUpDate: { $gt: now, $lte: horizon } },
+      { "rounds.scheduledAt": { $gt: now, $lte: horizon } },
+    ],
+  });
+
+  let created = 0;
+  for (const job of jobs) {
+    const events = collectJobEvents([job], { from: now, to: horizon });
+    for (const event of events) {
+      const minutesLeft = (event.date - now) / (60 * 1000);
+      // Only the tightest matching offset, so a late first run doesn't send a burst
+      const offset = offsets.filter(o => minutesLeft <= o).pop();
+      if (offset === undefined) continue;
+
+      const result = await Notification.updateOne(
+        { user: job.user, eventKey: `${event.id}@${event.date.toISOString()}`, offsetMinutes: offset },
+        {
+          $setOnInsert: {
+            job: job._id,
+            type: "reminder",
+            message: `${event.title} in less than ${describeOffset(offset)}`,
+            eventDate: event.date,
+          },
+        },
+        { upsert: true }
+      );
+      created += result.upsertedCount || 0;
+    }
+  }
+  return created;
+}
+
+// Start the background reminder loop. Configured by REMINDER_OFFSETS and
+// REMINDER_INTERVAL_MS; set REMINDERS_ENABLED=false to turn it off.
+function startReminderScheduler() {
+  if (process.env.REMINDERS_ENABLED === "false") return null;
+
+  const offsets = parseOffsets(process.env.REMINDER_OFFSETS);
+  const interval = Number(process.env.REMINDER_INTERVAL_MS) || 5 * 60 * 1000;
+
+  const tick = async () => {
+    try {
+      const created = await createDueReminders(offsets);
+      if (created > 0) console.log(`🔔 Created ${created} interview reminder(s)`);
+    } catch (err) {
+      console.error("❌ Reminder scheduler error:", err);
+    }
+  };
+
+  const timer = setInterval(tick, interval);
+  timer.unref();
+  tick();
+  return timer;
+}
+
+module.exports = { startReminderScheduler, createDueReminders, parseOffsets };
@@ -0,0 +1,222 @@
+const { parseResume } = require("./resumeParser");
+const { findSkillsInText } = require("./skillTaxonomy");
+
+// Static Resume Checks
+// Scores a parsed resume out of 100. Each check reports its own score so
+// clients can show exactly where points were lost.
+
+const ACTION_VERBS = [
+  "achieved", "analyzed", "architected", "automated", "built", "collaborated", "conducted", "configured",
+  "created", "debugged", "delivered", "deployed", "designed", "developed", "directed", "drove",
+  "engineered", "enhanced", "established", "executed", "facilitated", "founded", "generated", "grew",
+  "implemented", "improved", "increased", "initiated", "integrated", "launched", "led", "maintained",
+  "managed", "mentored", "migrated", "modeled", "optimized", "orchestrated", "organized", "owned",
+  "planned", "presented", "produced", "programmed", "published", "reduced", "refactored", "researched",
+  "resolved", "revamped", "scaled", "shipped", "simplified", "spearheaded", "streamlined", "tested",
+  "trained", "transformed", "wrote",
+];
+
+// Past-tense forms that don't end in "-ed"
+const IRREGULAR_PAST = ["led", "built", "wrote", "drove", "grew", "ran", "made", "won", "began", "taught", "set", "held", "kept", "found", "gave", "took", "oversaw", "brought", "sold", "spoke"];
+// Base forms of the irregular verbs above, for spotting present tense
+const IRREGULAR_PRESENT = ["lead", "build", "write", "drive", "grow", "run", "make", "win", "begin", "teach", "hold", "keep", "find", "give", "take", "oversee", "bring", "sell", "speak"];
+
+const QUANTIFIED = /\d+(?:\.\d+)?\s*(?:%|x\b|\+|k\b|m\b|percent)|[$₹€£]\s?\d|\b\d+(?:\.\d+)?\s*(?:users|customers|clients|ms|milliseconds|seconds|minutes|hours|days|weeks|people|members|students|teams|projects|requests|downloads|transactions|records)\b/i;
+
+const BULLET_WORDS = { min: 6, max: 35 };
+const GAP_MONTHS = 6;
+
+const wordsIn = (line) => line.split(/\s+/).filter(Boolean);
+
+const firstWord = (line) => (wordsIn(line)[0] || "").toLowerCase().replace(/[^a-z]/g, "");
+
+// Action verbs in any tense: "developed", "develop", "develops", "developing"
+const verbStem = (word) => word.replace(/(ing|ed|es|s)$/, "").replace(/e$/, "");
+const ACTION_STEMS = new Set(ACTION_VERBS.map(verbStem));
+const isActionVerb = (word) =>
+  ACTION_VERBS.includes(word) || IRREGULAR_PRESENT.includes(verbStem(word)) || ACTION_STEMS.has(verbStem(word));
+
+function classifyTense(word) {
+  if (IRREGULAR_PAST.includes(word) || word.endsWith("ed")) return "past";
+  if (word.endsWith("ing") || isActionVerb(word)) return "present";
+  return null;
+}
+
+const formatMonth = (index) => `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, "0")}`;
+
+// Gaps longer than GAP_MONTHS between merged experience/education periods
+function findGaps(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+    else merged.push({ start: range.start, end: range.end });
+  });
+
+  const gaps = [];
+  for (let i = 1; i < merged.length; i++) {
+    const months = merged[i].start - merged[i - 1].end - 1;
+    if (months > GAP_MONTHS) {
+      gaps.push({ from: formatMonth(merged[i - 1].end), to: formatMonth(merged[i].start), months });
+    }
+  }
+  return gaps;
+}
+
+const ratioScore = (ratio, target, max) => Math.round(Math.min(ratio / target, 1) * max * 10) / 10;
+
+function analyzeResume(text) {
+  const parsed = parseResume(text);
+  const found = parsed.sectionNames;
+  const checks = [];
+  const addCheck = (id, label, score, maxScore, detail) =>
+    checks.push({ id, label, passed: score >= maxScore, score, maxScore, detail });
+
+  // Sections (25): education, experience or projects, skills, summary
+  const hasExperience = found.includes("experience") || found.includes("projects");
+  const missingSections = [
+    !found.includes("education") && "education",
+    !hasExperience && "experience or projects",
+    !found.includes("skills") && "skills",
+    !found.includes("summary") && "summary",
+  ].filter(Boolean);
+  addCheck(
+    "sections",
+    "Standard sections",
+    (found.includes("education") ? 7 : 0) + (hasExperience ? 7 : 0) + (found.includes("skills") ? 7 : 0) + (found.includes("summary") ? 4 : 0),
+    25,
+    missingSections.length ? `Missing section headings: ${missingSections.join(", ")}` : "All standard sections found"
+  );
+
+  // Contact details (15): email, phone, LinkedIn
+  const { contact } = parsed;
+  const missingContact = ["email", "phone", "linkedin"].filter(field => !contact[field]);
+  addCheck(
+    "contact",
+    "Contact details",
+    (contact.email ? 6 : 0) + (contact.phone ? 5 : 0) + (contact.linkedin ? 4 : 0),
+    15,
+    missingContact.length ? `Missing contact details: ${missingContact.join(", ")}` : "Email, phone and LinkedIn present"
+  );
+
+  // Quantified achievements (20): aim for at least 30% of bullets with numbers
+  const { bullets } = parsed;
+  const quantified = bullets.filter(line => QUANTIFIED.test(line)).length;
+  const quantifiedRatio = bullets.length ? quantified / bullets.length : 0;
+  addCheck(
+    "quantified",
+    "Quantified achievements",
+    ratioScore(quantifiedRatio, 0.3, 20),
+    20,
+    bullets.length
+      ? `${quantified} of ${bullets.length} bullet points include measurable results`
+      : "No bullet points found"
+  );
+
+  // Action verbs (15): aim for 70% of bullets starting with one
+  const leadingWords = bullets.map(firstWord);
+  const actionBullets = leadingWords.filter(isActionVerb);
+  const actionRatio = bullets.length ? actionBullets.length / bullets.length : 0;
+  addCheck(
+    "actionVerbs",
+    "Bullets start with action verbs",
+    ratioScore(actionRatio, 0.7, 15),
+    15,
+    bullets.length
+      ? `${actionBullets.length} of ${bullets.length} bullet points start with an action verb`
+      : "No bullet points found"
+  );
+
+  // Bullet length (10)
+  const tooShort = bullets.filter(line => wordsIn(line).length < BULLET_WORDS.min).length;
+  const tooLong = bullets.filter(line => wordsIn(line).length > BULLET_WORDS.max).length;
+  const wellSized = bullets.length - tooShort - tooLong;
+  const averageWords = bullets.length
+    ? Math.round(bullets.reduce((sum, line) => sum + wordsIn(line).length, 0) / bullets.length)
+    : 0;
+  addCheck(
+    "bulletLength",
+    "Bullet length",
+    bullets.length ? ratioScore(wellSized / bullets.length, 0.8, 10) : 0,
+    10,
+    bullets.length
+      ? `${tooShort} too short, ${tooLong} too long (aim for ${BULLET_WORDS.min}-${BULLET_WORDS.max} words)`
+      : "No bullet points found"
+  );
+
+  // Tense consistency (5)
+  const tenses = leadingWords.map(classifyTense).filter(Boolean);
+  const past = tenses.filter(t => t === "past").length;
+  const present = tenses.length - past;
+  const dominantShare = tenses.length ? Math.max(past, present) / tenses.length : 1;
+  const consistent = tenses.length < 3 || dominantShare >= 0.8;
+  addCheck(
+    "tense",
+    "Consistent tense",
+    consistent ? 5 : 0,
+    5,
+    consistent
+      ? "Bullet points use a consistent tense"
+      : `Mixed tenses: ${past} past and ${present} present tense bullet points`
+  );
+
+  // Date gaps (5)
+  const gaps = findGaps(parsed.dateRanges);
+  addCheck(
+    "dateGaps",
+    "No unexplained gaps",
+    Math.max(0, 5 - gaps.length * 2.5),
+    5,
+    gaps.length
+      ? `Gaps of more than ${GAP_MONTHS} months: ${gaps.map(g => `${g.from} to ${g.to}`).join(", ")}`
+      : "No long gaps between dated entries"
+  );
+
+  // Keywords (5): recognised skills from the taxonomy
+  const keywords = findSkillsInText(text);
+  addCheck(
+    "keywords",
+    "Technical keywords",
+    ratioScore(keywords.length, 5, 5),
+    5,
+    keywords.length ? `Recognised skills: ${keywords.join(", ")}` : "No recognised technical skills"
+  );
+
+  const atsScore = Math.round(checks.reduce((sum, check) => sum + check.score, 0));
+
+  return {
+    atsScore,
+    sections: { found, missing: missingSections },
+    contact: { ...contact, missing: missingContact },
+    bullets: {
+      count: bullets.length,
+      quantified,
+      averageWords,
+      tooShort,
+      tooLong,
+    },
+    actionVerbs: {
+      count: actionBullets.length,
+      distinct: [...new Set(actionBullets)],
+    },
+    tense: { past, present, consistent },
+    dates: { ranges: parsed.dateRanges.map(r => r.text), gaps },
+    keywords,
+    checks,
+  };
+}
+
+// Compact numbers from an analysis, stored with each resume version for comparison
+function resumeMetrics(analysis) {
+  return {
+    score: analysis.atsScore,
+    sectionsFound: analysis.sections.found,
+    actionVerbCount: analysis.actionVerbs.count,
+    keywordsFound: analysis.keywords,
+    quantifiedBullets: analysis.bullets.quantified,
+    bulletCount: analysis.bullets.count,
+  };
+}
+
+module.exports = { analyzeResume, resumeMetrics };
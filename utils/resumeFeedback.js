@@ -0,0 +1,95 @@
+const Resume = require("../models/resume");
+const { generateStructured } = require("./llm/structured");
+const schemas = require("./llm/schemas");
+const { analyzeResume, resumeMetrics } = require("./resumeAnalysis");
+
+// AI Resume Feedback (configured LLM provider, see utils/llm)
+// Always resolves to an object in the resumeFeedback schema.
+async function getAIFeedback(text, options) {
+  return (await requestAIFeedback(text, options)).feedback;
+}
+
+// AI feedback plus whether it came from the cache: { feedback, cached }.
+// onAiCall: see generateStructured.
+async function requestAIFeedback(text, { onAiCall } = {}) {
+  try {
+    const trimmed = text.length > 10000 ? text.slice(0, 10000) : text;
+
+    const prompt = `
+You are a professional resume review assistant. Analyze the following resume text and provide detailed, professional feedback in a structured JSON format with the following keys:
+
+1. overall_impression: A quick summary of how the resume comes across at first glance (e.g. professional, clear, cluttered, too generic, etc.) and whether it's aligned with the target role/industry
+2. strengths: What's working well (e.g. strong formatting, impactful achievements, relevant skills, good clarity) and any standout sections (e.g. a great summary, clean design, strong quantification of impact)
+3. areas_for_improvement: High-level issues that might be hurting the resume's effectiveness, including layout problems, poor keyword optimization, vague language, lack of metrics, etc.
+4. section_feedback: Section-by-section feedback on each part of the resume (e.g. summary, work experience, education, skills)
+5. suggestions: Formatting or design tweaks, tools (e.g. ATS resume scanner, resume builders), tips on tailoring for specific jobs/industries, and resources for improvement (e.g. action verb lists, job description alignment)
+6. ats_readability: Information about whether the resume is likely to pass through applicant tracking systems (ATS) and if it's skimmable and engaging for a recruiter in 6-10 seconds
+
+Return ONLY valid JSON in this exact format:
+{
+  "overall_impression": "summary here",
+  "strengths": ["strength1", "strength2"],
+  "areas_for_improvement": ["improvement1", "improvement2"],
+  "section_feedback": ["feedback1", "feedback2"],
+  "suggestions": ["suggestion1", "suggestion2"],
+  "ats_readability": "ats and readability assessment here"
+}
+
+Resume Text:
+"""
+${trimmed}
+"""`;
+
+    const result = await generateStructured({
+      task: "resume-feedback",
+      prompt,
+      input: { text },
+      schema: schemas.resumeFeedback,
+      onAiCall,
+    });
+    return { feedback: result.data, cached: result.cached };
+  } catch (err) {
+    // Out of quota is the caller's answer, not a failed analysis
+    if (err.code === "QUOTA_EXCEEDED") throw err;
+    console.error("❌ AI feedback error:", err);
+    return {
+      feedback: {
+        overall_impression: "❌ AI failed to generate feedback.",
+        strengths: [],
+        areas_for_improvement: [],
+        section_feedback: [],
+        suggestions: [],
+        ats_readability: "Unable to assess ATS compatibility and readability."
+      },
+      cached: false,
+    };
+  }
+}
+
+// Full resume review: static checks plus AI feedback. When a user id is
+// given the result is saved as that user's next resume version.
+// onProgress(percent, stage) is called as each step finishes; onAiCall as in generateStructured.
+async function reviewResume({ text, userId, label, fileName, onProgress = () => {}, onAiCall }) {
+  const staticFeedback = analyzeResume(text);
+  await onProgress(20, "Static checks complete");
+
+  const { feedback, cached } = await requestAIFeedback(text, { onAiCall });
+  await onProgress(90, "AI feedback complete");
+
+  let resumeId;
+  if (userId) {
+    const resume = await Resume.createVersion(userId, {
+      label,
+      fileName,
+      text,
+      staticFeedback,
+      metrics: resumeMetrics(staticFeedback),
+      aiFeedback: feedback,
+    });
+    resumeId = resume._id;
+  }
+
+  return { feedback, staticFeedback, resumeId, cached };
+}
+
+module.exports = { getAIFeedback, reviewResume };
@@ -0,0 +1,98 @@
+const { generateStructured } = require("./llm/structured");
+const schemas = require("./llm/schemas");
+const { normalizeSkills, weightedMatch, categoryOf } = require("./skillTaxonomy");
+
+// Compare a resume with a job description: AI skill extraction on both,
+// a weighted skill score over the taxonomy and a structured match analysis.
+// onProgress(percent, stage) is called as each step finishes; onAiCall as in generateStructured.
+async function matchResumeToJd(resumeText, jdText, { onProgress = () => {}, onAiCall } = {}) {
+  // Use AI to extract skills from both documents
+  // Extract skills from JD, split into required and nice-to-have
+  const jdSkillsPrompt = `Extract the technical skills, programming languages and frameworks from this job description (dont include qualifications). Put skills the job requires in "required" and skills described as preferred, a plus, bonus or nice to have in "nice_to_have". Return ONLY JSON in this format: {"required": ["skill"], "nice_to_have": ["skill"]}
+
+Job Description:
+"""
+${jdText}
+"""`;
+  
+  const jdSkillsResult = await generateStructured({
+    task: "extract-jd-skills",
+    prompt: jdSkillsPrompt,
+    input: { text: jdText },
+    schema: schemas.jdSkills,
+    onAiCall,
+  });
+  await onProgress(30, "Job description skills extracted");
+  
+  // Extract skills from Resume
+  const resumeSkillsPrompt = `Extract a list of technical skills, programming languages, frameworks mentioned in this resume. Return ONLY a JSON array of strings.
+
+Resume:
+"""
+${resumeText}
+"""`;
+  
+  const resumeSkillsResult = await generateStructured({
+    task: "extract-skills",
+    prompt: resumeSkillsPrompt,
+    input: { text: resumeText },
+    schema: schemas.skillList,
+    onAiCall,
+  });
+  await onProgress(60, "Resume skills extracted");
+
+  // Normalise both sides through the skill taxonomy so "ReactJS" matches "React"
+  const resumeSkills = normalizeSkills(resumeSkillsResult.data);
+  const weighted = weightedMatch(
+    { required: jdSkillsResult.data.required, niceToHave: jdSkillsResult.data.nice_to_have },
+    resumeSkills
+  );
+
+  const jdSkills = [...weighted.requiredSkills, ...weighted.niceToHaveSkills];
+  const matchedSkills = weighted.matched;
+  const missingSkills = weighted.missing;
+  const matchScore = `${weighted.score}%`;
+
+  const skillDetails = jdSkills.map(name => ({
+    name,
+    category: categoryOf(name),
+    required: weighted.requiredSkills.includes(name),
+    matched: matchedSkills.includes(name),
+    relatedMatches: weighted.partial.find(p => p.skill === name)?.via || [],
+  }));
+
+  const promptParts = [
+    `You are a job application assistant. Given the job description and resume below, analyze how well the resume matches the job. Return the response in the following JSON format and use bold words where ever needed for better readability:\n\n{\n  "match_score": "A percentage indicating how well the resume matches the job description",\n  "strengths": [\n    "List of strengths based on the resume and JD"\n  ],\n  "weaknesses": [\n    "List of weak or missing elements in the resume"\n  ],\n  "suggestions": [\n    "Suggestions to improve the resume that matches the Job description"\n  ],\n  "overall_analysis": "A brief summary paragraph about the overall match"\n}`,
+    '\n\nJob Description:\n"""\n',
+    jdText.slice(0, 8000),
+    '\n"""\n\nResume:\n"""\n',
+    resumeText.slice(0, 8000),
+    '\n"""',
+  ];
+
+  const result = await generateStructured({
+    task: "match-analysis",
+    prompt: promptParts.join(""),
+    input: { resumeText, jdText },
+    schema: schemas.matchAnalysis,
+    onAiCall,
+  });
+  await onProgress(95, "Match analysis complete");
+  const feedback = result.data;
+
+  return {
+    matchScore,
+    matchedSkills,
+    missingSkills,
+    jdSkills,
+    requiredSkills: weighted.requiredSkills,
+    niceToHaveSkills: weighted.niceToHaveSkills,
+    resumeSkills,
+    skillDetails,
+    feedback,
+    // True when every AI step was answered from the cache
+    cached: jdSkillsResult.cached && resumeSkillsResult.cached && result.cached,
+  };
+}
+
+module.exports = { matchResumeToJd };
@@ -0,0 +1,141 @@
+// Section-aware parsing of resume text as extracted from PDF/DOCX files
+
+// Heading spellings for each canonical section
+const SECTION_HEADINGS = {
+  summary: ["summary", "professional summary", "profile", "professional profile", "objective", "career objective", "about me", "about"],
+  education: ["education", "academic background", "academics", "academic details", "educational qualifications", "qualifications"],
+  experience: ["experience", "work experience", "professional experience", "employment", "employment history", "work history", "internships", "internship", "internship experience"],
+  projects: ["projects", "personal projects", "academic projects", "key projects", "project experience"],
+  skills: ["skills", "technical skills", "key skills", "core competencies", "skills and tools", "technologies", "tech stack"],
+  certifications: ["certifications", "certificates", "licenses and certifications", "courses"],
+  achievements: ["achievements", "awards", "honors", "honours", "accomplishments", "awards and achievements"],
+  activities: ["extracurricular activities", "extracurriculars", "activities", "positions of responsibility", "leadership", "volunteering", "volunteer experience"],
+};
+
+const HEADING_LOOKUP = new Map();
+Object.entries(SECTION_HEADINGS).forEach(([section, headings]) => {
+  headings.forEach(heading => HEADING_LOOKUP.set(heading, section));
+});
+
+const normalizeHeading = (line) =>
+  line.toLowerCase().replace(/&/g, "and").replace(/[^a-z ]/g, " ").replace(/\s+/g, " ").trim();
+
+// A heading is a short line that names a section, optionally followed by ":" and inline content
+function matchHeading(line) {
+  const [head, ...rest] = line.split(":");
+  const normalized = normalizeHeading(head);
+  if (normalized.split(" ").length > 5) return null;
+  const section = HEADING_LOOKUP.get(normalized);
+  if (!section) return null;
+  return { section, inline: rest.join(":").trim() };
+}
+
+const BULLET_MARKER = /^\s*(?:[•▪●◦■□➢➤►‣∙·*–—-]|\d{1,2}[.)])\s+/;
+
+const CONTACT_PATTERNS = {
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/,
+  phone: /(?:\+?\d{1,3}[\s-]?)?(?:\(?\d{2,5}\)?[\s-]?)?\d{3,5}[\s-]?\d{4,5}/,
+  linkedin: /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/[^\s|,]+/i,
+  github: /(?:https?:\/\/)?(?:www\.)?github\.com\/[^\s|,]+/i,
+  website: /(?:https?:\/\/)[^\s|,]+/i,
+};
+
+function extractContact(text) {
+  const contact = {};
+  Object.entries(CONTACT_PATTERNS).forEach(([field, pattern]) => {
+    const match = text.match(pattern);
+    contact[field] = match ? match[0].trim() : null;
+  });
+  // A bare URL that is really the LinkedIn/GitHub profile isn't a separate website
+  if (contact.website && /linkedin\.com|github\.com/i.test(contact.website)) contact.website = null;
+  // Ignore "phone numbers" that are really year ranges like 2019 - 2023
+  if (contact.phone && contact.phone.replace(/\D/g, "").length < 10) contact.phone = null;
+  return contact;
+}
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH_PATTERN = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+const DATE_PATTERN = `(?:${MONTH_PATTERN}\\s*'?\\d{2,4}|\\d{1,2}\\/\\d{4}|\\d{4})`;
+const RANGE_REGEX = new RegExp(
+  `(${DATE_PATTERN})\\s*(?:-|–|—|to|till|until)\\s*(${DATE_PATTERN}|present|current|now|ongoing|date)`,
+  "gi"
+);
+const HAS_RANGE = new RegExp(RANGE_REGEX.source, "i");
+
+// Month index (years * 12 + month) for a date token; `end` picks December for bare years
+function toMonthIndex(token, { end = false, now = new Date() } = {}) {
+  const value = token.toLowerCase().trim();
+  if (/^(present|current|now|ongoing|date)$/.test(value)) {
+    return now.getFullYear() * 12 + now.getMonth();
+  }
+
+  let match = value.match(/^(\d{1,2})\/(\d{4})$/);
+  if (match) return Number(match[2]) * 12 + Number(match[1]) - 1;
+
+  match = value.match(/^([a-z]+)\.?\s*'?(\d{2,4})$/);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3));
+    let year = Number(match[2]);
+    if (year < 100) year += 2000;
+    if (month !== -1) return year * 12 + month;
+  }
+
+  match = value.match(/^(\d{4})$/);
+  if (match) return Number(match[1]) * 12 + (end ? 11 : 0);
+
+  return null;
+}
+
+function extractDateRanges(text, now) {
+  const ranges = [];
+  for (const match of text.matchAll(RANGE_REGEX)) {
+    const start = toMonthIndex(match[1], { now });
+    const end = toMonthIndex(match[2], { end: true, now });
+    if (start === null || end === null || end < start) continue;
+    ranges.push({ text: match[0].trim(), start, end });
+  }
+  return ranges;
+}
+
+// Split resume text into sections, bullets, contact details and date ranges
+function parseResume(text, { now = new Date() } = {}) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  const sections = {};
+  let current = "header";
+  sections[current] = [];
+
+  lines.forEach(line => {
+    const heading = matchHeading(line);
+    if (heading) {
+      current = heading.section;
+      sections[current] = sections[current] || [];
+      if (heading.inline) sections[current].push(heading.inline);
+      return;
+    }
+    sections[current].push(line);
+  });
+
+  // Explicit bullet markers first; otherwise treat sentence-like lines in
+  // experience/projects as bullets, since PDF extraction often drops the markers
+  let bullets = lines.filter(line => BULLET_MARKER.test(line)).map(line => line.replace(BULLET_MARKER, "").trim());
+  if (bullets.length === 0) {
+    bullets = [...(sections.experience || []), ...(sections.projects || [])]
+      .filter(line => line.split(/\s+/).length >= 5 && !HAS_RANGE.test(line));
+  }
+
+  const datedText = [sections.experience, sections.education, sections.projects]
+    .filter(Boolean)
+    .map(section => section.join("\n"))
+    .join("\n");
+
+  return {
+    sections,
+    sectionNames: Object.keys(sections).filter(name => name !== "header"),
+    contact: extractContact(text),
+    bullets,
+    dateRanges: extractDateRanges(datedText || text, now),
+  };
+}
+
+module.exports = { parseResume, SECTION_HEADINGS };
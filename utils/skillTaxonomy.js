@@ -0,0 +1,114 @@
+// Skill taxonomy backed by skills.json: canonical names, aliases, categories
+// and related skills. Used to normalise AI-extracted skills and score matches.
+
+let taxonomy = [];
+try {
+  taxonomy = require("../skills.json");
+} catch (err) {
+  console.warn("⚠️ skills.json not found. Skills will not be normalised.");
+}
+
+// "Node.js", "node js" and "NodeJS" all become "nodejs"
+const normalizeKey = (value) => String(value).toLowerCase().replace(/[\s._\-]+/g, "");
+
+const byKey = new Map();
+const byName = new Map();
+taxonomy.forEach(skill => {
+  byName.set(skill.name, skill);
+  [skill.name, ...(skill.aliases || [])].forEach(term => byKey.set(normalizeKey(term), skill));
+});
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// One pattern per skill for scanning free text. Ambiguous names ("Go", "C",
+// "Swift") only match with their exact casing and never through aliases.
+const textPatterns = taxonomy.map(skill => {
+  const terms = skill.ambiguous ? [skill.name] : [skill.name, ...(skill.aliases || [])];
+  const alternatives = terms
+    .sort((a, b) => b.length - a.length)
+    .map(term => escapeRegex(term).replace(/\s+/g, "\\s+"))
+    .join("|");
+  return {
+    skill,
+    regex: new RegExp(`(^|[^A-Za-z0-9+#.])(${alternatives})(?=$|[^A-Za-z0-9+#])`, skill.ambiguous ? "" : "i"),
+  };
+});
+
+// Map a raw skill string onto the taxonomy. Unknown skills keep their own name.
+function normalizeSkill(raw) {
+  const name = String(raw || "").trim();
+  const skill = byKey.get(normalizeKey(name));
+  if (skill) return { name: skill.name, category: skill.category, known: true };
+  return { name, category: "other", known: false };
+}
+
+// Canonical, de-duplicated skill names
+function normalizeSkills(list = []) {
+  const seen = new Set();
+  const result = [];
+  list.forEach(raw => {
+    const { name } = normalizeSkill(raw);
+    const key = normalizeKey(name);
+    if (!name || seen.has(key)) return;
+    seen.add(key);
+    result.push(name);
+  });
+  return result;
+}
+
+// Canonical names of every taxonomy skill mentioned in a text
+function findSkillsInText(text = "") {
+  return textPatterns.filter(({ regex }) => regex.test(text)).map(({ skill }) => skill.name);
+}
+
+const relatedSkills = (name) => byName.get(name)?.related || [];
+
+const categoryOf = (name) => byName.get(name)?.category || "other";
+
+// Required skills count twice as much as nice-to-have ones. A missing skill
+// earns half credit when the candidate has a related skill instead.
+const WEIGHTS = { required: 2, niceToHave: 1 };
+const RELATED_CREDIT = 0.5;
+
+function weightedMatch({ required = [], niceToHave = [] }, candidateSkills = []) {
+  const requiredSkills = normalizeSkills(required);
+  const niceToHaveSkills = normalizeSkills(niceToHave).filter(s => !requiredSkills.includes(s));
+  const candidate = new Set(normalizeSkills(candidateSkills).map(normalizeKey));
+  const has = (name) => candidate.has(normalizeKey(name));
+
+  let earned = 0;
+  let possible = 0;
+  const matched = [];
+  const missing = [];
+  const partial = [];
+
+  const score = (skills, weight, isRequired) => {
+    skills.forEach(name => {
+      possible += weight;
+      if (has(name)) {
+        earned += weight;
+        matched.push(name);
+        return;
+      }
+      missing.push(name);
+      const via = relatedSkills(name).filter(has);
+      if (via.length > 0) {
+        earned += weight * RELATED_CREDIT;
+        partial.push({ skill: name, via, required: isRequired });
+      }
+    });
+  };
+  score(requiredSkills, WEIGHTS.required, true);
+  score(niceToHaveSkills, WEIGHTS.niceToHave, false);
+
+  return {
+    score: possible ? Math.round((earned / possible) * 100) : 0,
+    requiredSkills,
+    niceToHaveSkills,
+    matched,
+    missing,
+    partial,
+  };
+}
+
+module.exports = { normalizeSkill, normalizeSkills, findSkillsInText, relatedSkills, categoryOf, weightedMatch };
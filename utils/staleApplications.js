@@ -0,0 +1,137 @@
+const Job = require("../models/jobs");
+const Task = require("../models/task");
+const Notification = require("../models/notification");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stale application rules, configured from the environment:
+//   STALE_AFTER_DAYS   flag jobs whose status hasn't changed in this many days (default 21)
+//   STALE_STATUSES     statuses the rules apply to (default "applied")
+//   GHOST_AFTER_DAYS   also move them to "ghosted" after this many days (off unless set)
+function staleSettings(env = process.env) {
+  const days = (value) => (Number(value) > 0 ? Number(value) : null);
+  return {
+    staleAfterDays: days(env.STALE_AFTER_DAYS) || 21,
+    ghostAfterDays: days(env.GHOST_AFTER_DAYS),
+    statuses: String(env.STALE_STATUSES || "applied")
+      .split(",")
+      .map((status) => status.trim())
+      .filter((status) => Job.JOB_STATUSES.includes(status) && status !== "ghosted"),
+  };
+}
+
+// When the status last changed: the latest status event, or the application date
+// for jobs without any history
+const LAST_CHANGE = { $ifNull: [{ $max: "$statusHistory.date" }, "$dateApplied"] };
+
+const lastChange = (job) =>
+  job.statusHistory.reduce((latest, event) => (event.date > latest ? event.date : latest), job.dateApplied);
+
+const unchangedSince = (statuses, cutoff) => ({
+  status: { $in: statuses },
+  $expr: { $lt: [LAST_CHANGE, cutoff] },
+});
+
+// Apply the rules once. Ghosting runs first, so a job past both thresholds goes straight
+// to "ghosted". Each job is flagged once per status: the flag (staleAt) is cleared
+// when its status changes, and claimed atomically so overlapping runs don't repeat it.
+// Jobs are streamed from a cursor; one that fails is logged and skipped (counted in
+// `failed`) so it can't hold up the rest.
+async function applyStaleRules(settings, now = new Date()) {
+  const result = { flagged: 0, ghosted: 0, failed: 0 };
+  if (settings.statuses.length === 0) return result;
+
+  if (settings.ghostAfterDays) {
+    const cutoff = new Date(now.getTime() - settings.ghostAfterDays * DAY_MS);
+    for await (const job of Job.find(unchangedSince(settings.statuses, cutoff)).cursor()) {
+      try {
+        await ghostJob(job, settings, now);
+        result.ghosted++;
+      } catch (err) {
+        console.error(`❌ Could not mark job ${job._id} as ghosted:`, err.message);
+        result.failed++;
+      }
+    }
+  }
+
+  const cutoff = new Date(now.getTime() - settings.staleAfterDays * DAY_MS);
+  for await (const job of Job.find({ ...unchangedSince(settings.statuses, cutoff), staleAt: null }).cursor()) {
+    try {
+      if (await flagJob(job, now)) result.flagged++;
+    } catch (err) {
+      console.error(`❌ Could not flag stale job ${job._id}:`, err.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+async function ghostJob(job, settings, now) {
+  job.status = "ghosted";
+  job.statusNote = `No response in ${settings.ghostAfterDays} days`;
+  job.statusDate = now;
+  await job.save();
+  await Task.updateMany({ job: job._id, source: "stale-rule", completedAt: null }, { completedAt: now });
+}
+
+// Resolves to false when another run claimed the job first
+async function flagJob(job, now) {
+  const claimed = await Job.updateOne({ _id: job._id, staleAt: null }, { staleAt: now });
+  if (claimed.modifiedCount === 0) return false;
+
+  let task;
+  try {
+    const days = Math.floor((now - lastChange(job)) / DAY_MS);
+    task = await Task.create({
+      user: job.user,
+      job: job._id,
+      title: `Follow up with ${job.company} about ${job.role}`,
+      type: "follow-up",
+      dueDate: now,
+      notes: `No status change in ${days} days`,
+      source: "stale-rule",
+    });
+    await Notification.create({
+      user: job.user,
+      job: job._id,
+      type: "stale",
+      eventKey: `stale:${job._id}:${now.toISOString()}`,
+      eventDate: now,
+      message: `${job.company} (${job.role}) has been ${job.status} for ${days} days with no update`,
+    });
+  } catch (err) {
+    // Release the claim so the next run tries again
+    if (task) await task.deleteOne();
+    await Job.updateOne({ _id: job._id, staleAt: now }, { staleAt: null });
+    throw err;
+  }
+  return true;
+}
+
+// Start the background loop. Runs every STALE_CHECK_INTERVAL_MS (default 6 hours);
+// set STALE_RULES_ENABLED=false to turn it off.
+function startStaleScheduler() {
+  if (process.env.STALE_RULES_ENABLED === "false") return null;
+
+  const settings = staleSettings();
+  const interval = Number(process.env.STALE_CHECK_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+  const tick = async () => {
+    try {
+      const { flagged, ghosted, failed } = await applyStaleRules(settings);
+      if (flagged > 0 || ghosted > 0 || failed > 0) {
+        console.log(`🕸️ Flagged ${flagged} stale application(s), marked ${ghosted} as ghosted, ${failed} failed`);
+      }
+    } catch (err) {
+      console.error("❌ Stale application check error:", err);
+    }
+  };
+
+  const timer = setInterval(tick, interval);
+  timer.unref();
+  tick();
+  return timer;
+}
+
+module.exports = { startStaleScheduler, applyStaleRules, staleSettings };
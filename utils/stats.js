@@ -0,0 +1,17 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_DAYS = { last30days: 30, last90days: 90 };
+
+// Median of a list of numbers, or null when it's empty
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Start of a reporting period (last30days | last90days) counted back from `now`;
+// null for "all" or anything else, meaning no lower bound
+const periodStart = (period, now = new Date()) =>
+  PERIOD_DAYS[period] ? new Date(now.getTime() - PERIOD_DAYS[period] * DAY_MS) : null;
+
+module.exports = { median, periodStart };
@@ -0,0 +1,36 @@
+const createLocalStore = require("./localStore");
+const createS3Store = require("./s3Store");
+
+// Where job attachments are kept. Every driver has put(key, filePath, { contentType }),
+// get(key) resolving to a readable stream, and remove(key).
+// STORAGE_DRIVER  local (default) | s3
+// STORAGE_DIR     folder for the local driver (default "storage")
+// S3_BUCKET, S3_REGION (default us-east-1), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+// S3_ENDPOINT     for S3-compatible services, with S3_FORCE_PATH_STYLE=true if they need it
+const drivers = {
+  local: () => createLocalStore({ root: process.env.STORAGE_DIR || "storage" }),
+  s3: () =>
+    createS3Store({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    }),
+};
+
+const instances = {};
+
+const configuredDriver = () => process.env.STORAGE_DRIVER || "local";
+
+// The configured driver, or a named one for files stored before the setting changed
+function getStorage(name = configuredDriver()) {
+  if (!instances[name]) {
+    if (!drivers[name]) throw new Error(`Unknown storage driver "${name}"`);
+    instances[name] = drivers[name]();
+  }
+  return instances[name];
+}
+
+module.exports = { getStorage, configuredDriver, drivers };
@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+
+// Files kept on the local disk under `root`, one file per key
+function createLocalStore({ root }) {
+  const base = path.resolve(root);
+
+  const fullPath = (key) => {
+    const target = path.resolve(base, key);
+    if (!target.startsWith(base + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return target;
+  };
+
+  return {
+    name: "local",
+
+    // Copy an uploaded temp file into the store
+    async put(key, filePath) {
+      const target = fullPath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(filePath, target);
+    },
+
+    // Readable stream of the stored file; rejects when it doesn't exist
+    async get(key) {
+      const target = fullPath(key);
+      await fs.promises.access(target);
+      return fs.createReadStream(target);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fullPath(key), { force: true });
+    },
+  };
+}
+
+module.exports = createLocalStore;
@@ -0,0 +1,79 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const axios = require("axios");
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// Files kept in an S3 bucket or any S3-compatible service (MinIO, Cloudflare R2, ...).
+// Requests are signed with AWS Signature Version 4, so no SDK is needed.
+function createS3Store({ bucket, region = "us-east-1", endpoint, accessKeyId, secretAccessKey, forcePathStyle = false }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  // Virtual-hosted style (bucket.host/key) for AWS; most compatible services want path style
+  const objectUrl = (key) => {
+    const objectPath = key.split("/").map(encodeURIComponent).join("/");
+    return forcePathStyle
+      ? new URL(`${base.origin}/${bucket}/${objectPath}`)
+      : new URL(`${base.protocol}//${bucket}.${base.host}/${objectPath}`);
+  };
+
+  // Headers for a signed request (the Host header is part of the signature but set by axios)
+  const signedHeaders = (method, url, payloadHash, extra = {}) => {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const day = amzDate.slice(0, 8);
+    const headers = { host: url.host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate, ...extra };
+    const names = Object.keys(headers).sort();
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      "",
+      names.map((name) => `${name}:${String(headers[name]).trim()}\n`).join(""),
+      names.join(";"),
+      payloadHash,
+    ].join("\n");
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+    const signingKey = [region, "s3", "aws4_request"].reduce(hmac, hmac(`AWS4${secretAccessKey}`, day));
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    const { host, ...rest } = headers;
+    return {
+      ...rest,
+      authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+    };
+  };
+
+  return {
+    name: "s3",
+
+    async put(key, filePath, { contentType = "application/octet-stream" } = {}) {
+      const body = await fs.promises.readFile(filePath);
+      const url = objectUrl(key);
+      await axios.put(url.href, body, {
+        headers: signedHeaders("PUT", url, sha256(body), { "content-type": contentType }),
+        maxBodyLength: Infinity,
+      });
+    },
+
+    async get(key) {
+      const url = objectUrl(key);
+      const response = await axios.get(url.href, {
+        headers: signedHeaders("GET", url, sha256("")),
+        responseType: "stream",
+      });
+      return response.data;
+    },
+
+    async remove(key) {
+      const url = objectUrl(key);
+      await axios.delete(url.href, { headers: signedHeaders("DELETE", url, sha256("")) });
+    },
+  };
+}
+
+module.exports = createS3Store;
@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session");
+
+// Access tokens: short-lived JWTs tied to a session (ACCESS_TOKEN_TTL, default 15m).
+// Refresh tokens: random secrets in an httpOnly cookie, stored hashed on the
+// session and rotated on every use (REFRESH_TOKEN_TTL_DAYS, default 30).
+
+if (!process.env.JWT_SECRET) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("JWT_SECRET must be set in production");
+  }
+  console.warn("⚠️ JWT_SECRET is not set; using an insecure development secret.");
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || "dev-only-secret";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const REFRESH_COOKIE = "refreshToken";
+// How long the token a refresh replaced still counts as a concurrent refresh rather than a replay
+const REFRESH_REUSE_MS = 10 * 1000;
+const DOWNLOAD_URL_TTL = process.env.DOWNLOAD_URL_TTL || "5m";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId.toString(), sid: sessionId.toString() }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up directly
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString("hex")}`;
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  // The frontend is served from a different site in production
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+  path: "/api/auth",
+  maxAge: REFRESH_TOKEN_TTL_MS,
+});
+
+const setRefreshCookie = (res, token) => res.cookie(REFRESH_COOKIE, token, cookieOptions());
+
+const clearRefreshCookie = (res) => {
+  const { maxAge, ...options } = cookieOptions();
+  res.clearCookie(REFRESH_COOKIE, options);
+};
+
+// Start a session for a user: sets the refresh cookie and returns the access token
+async function startSession(req, res, userId) {
+  const session = new Session({
+    user: userId,
+    refreshTokenHash: "pending",
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  setRefreshCookie(res, refreshToken);
+  return signAccessToken(userId, session._id);
+}
+
+// Exchange the refresh cookie for a new access token and a rotated refresh token.
+// Returns null when the cookie is missing or invalid. Presenting an old (already rotated)
+// token revokes the session, since it may have been stolen, unless it was only just
+// replaced: then it's a concurrent refresh and gets an access token without rotating again.
+async function rotateSession(req, res) {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (!presented) return null;
+
+  const [sessionId] = presented.split(".");
+  if (!/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  // Matching on the hash makes the swap atomic, so two refreshes can't both use one token
+  const presentedHash = hashToken(presented);
+  const refreshToken = newRefreshToken(sessionId);
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    { refreshTokenHash: hashToken(refreshToken), previousRefreshTokenHash: presentedHash, rotatedAt: now, lastUsedAt: now },
+    { new: true }
+  );
+  if (session) {
+    setRefreshCookie(res, refreshToken);
+    return { token: signAccessToken(session.user, session._id), userId: session.user };
+  }
+
+  const current = await Session.findById(sessionId);
+  if (!current || !current.isActive()) return null;
+
+  // Another tab refreshed with the same cookie a moment ago and already got the new one
+  if (current.previousRefreshTokenHash === presentedHash && now - current.rotatedAt < REFRESH_REUSE_MS) {
+    return { token: signAccessToken(current.user, current._id), userId: current.user };
+  }
+
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: now });
+  return null;
+}
+
+// Revoke the session behind the refresh cookie. The whole token has to match, since
+// the session id part alone is guessable. Resolves to whether a session was revoked.
+async function revokeCookieSession(req) {
+  const presented = req.cookies?.[REFRESH_COOKIE];
+  if (!presented) return false;
+
+  const [sessionId] = presented.split(".");
+  if (!/^[a-f0-9]{24}$/.test(sessionId)) return false;
+
+  const result = await Session.updateOne(
+    { _id: sessionId, refreshTokenHash: hashToken(presented), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Verify an access token and that its session hasn't been revoked.
+// Resolves to the decoded payload; rejects when the token is invalid.
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (!decoded.sid) throw new Error("Token has no session");
+
+  const active = await Session.exists({ _id: decoded.sid, revokedAt: null, expiresAt: { $gt: new Date() } });
+  if (!active) throw new Error("Session has been revoked");
+  return decoded;
+}
+
+// Short-lived token for a download link to one attachment, so files can be opened in a
+// browser tab without an Authorization header. Not accepted as an access token (no session).
+const signDownloadToken = (userId, attachmentId) =>
+  jwt.sign({ id: userId.toString(), aid: attachmentId.toString(), purpose: "download" }, JWT_SECRET, {
+    expiresIn: DOWNLOAD_URL_TTL,
+  });
+
+// Decoded payload of a valid download token; throws otherwise
+function verifyDownloadToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose !== "download") throw new Error("Not a download token");
+  return decoded;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  signDownloadToken,
+  verifyDownloadToken,
+  startSession,
+  rotateSession,
+  revokeCookieSession,
+  clearRefreshCookie,
+  verifyAccessToken,
+};
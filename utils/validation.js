@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+
+// Declarative request validation. Schemas use the same JSON Schema subset as
+// utils/llm/schemas.js, plus a few request-specific keywords:
+//   type        string | number | integer | boolean | array | object
+//   properties, required, items
+//   enum, minLength, maxLength, pattern (+ patternMessage), minimum, maximum
+//   format      date | email | objectId
+//   nullable    also accept null, or "" from a cleared form field (e.g. an optional date)
+//   trim        trim strings before checking them
+// Unknown object properties are dropped, so routes only ever see declared fields.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+  date: (v) => !isNaN(Date.parse(v)),
+  email: (v) => EMAIL.test(v),
+  objectId: (v) => mongoose.isValidObjectId(v) && /^[a-f0-9]{24}$/i.test(v),
+};
+
+const FORMAT_NAMES = { date: "a valid date", email: "a valid email address", objectId: "a valid id" };
+
+// Query strings and multipart fields arrive as strings; convert where the schema asks for more
+function coerceScalar(value, type) {
+  if (typeof value !== "string") return value;
+  if ((type === "number" || type === "integer") && value.trim() !== "" && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === "boolean" && ["true", "false", "1", "0"].includes(value)) {
+    return value === "true" || value === "1";
+  }
+  return value;
+}
+
+function check(value, schema, field, location, errors, coerce) {
+  const fail = (message) => {
+    errors.push({ field, location, message: `${field} ${message}` });
+    return undefined;
+  };
+
+  if ((value === null || value === "") && schema.nullable) return null;
+  if (coerce) value = coerceScalar(value, schema.type);
+
+  switch (schema.type) {
+    case "string": {
+      if (typeof value !== "string") return fail("must be a string");
+      if (schema.trim) value = value.trim();
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return fail(schema.minLength === 1 ? "cannot be empty" : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return fail(schema.patternMessage || "has an invalid format");
+      }
+      if (schema.format && !FORMATS[schema.format](value)) {
+        return fail(`must be ${FORMAT_NAMES[schema.format]}`);
+      }
+      break;
+    }
+    case "number":
+    case "integer": {
+      if (typeof value !== "number" || !Number.isFinite(value)) return fail("must be a number");
+      if (schema.type === "integer" && !Number.isInteger(value)) return fail("must be an integer");
+      if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+      break;
+    }
+    case "boolean":
+      if (typeof value !== "boolean") return fail("must be true or false");
+      break;
+    case "array": {
+      if (!Array.isArray(value)) return fail("must be an array");
+      return value.map((item, i) => check(item, schema.items, `${field}[${i}]`, location, errors, coerce));
+    }
+    case "object":
+      if (typeof value !== "object" || value === null || Array.isArray(value)) return fail("must be an object");
+      return checkObject(value, schema, `${field}.`, location, errors, coerce);
+    default:
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.join(", ")}`);
+  }
+  return value;
+}
+
+function checkObject(obj, schema, prefix, location, errors, coerce) {
+  const result = {};
+  const required = schema.required || [];
+
+  Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+    const value = obj[key];
+    if (value === undefined || (value === "" && coerce && propSchema.type !== "string")) {
+      if (required.includes(key)) {
+        errors.push({ field: `${prefix}${key}`, location, message: `${prefix}${key} is required` });
+      }
+      return;
+    }
+    const checked = check(value, propSchema, `${prefix}${key}`, location, errors, coerce);
+    if (checked !== undefined) result[key] = checked;
+  });
+
+  return result;
+}
+
+// Validate a request part against an object schema.
+// Returns { value, errors }, where value holds only the declared properties.
+function validateRequestPart(data, schema, location) {
+  const errors = [];
+  const coerce = location !== "body";
+  const value = checkObject(data || {}, schema, "", location, errors, coerce);
+  return { value, errors };
+}
+
+module.exports = { validateRequestPart };
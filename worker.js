@@ -0,0 +1,22 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { analysisQueue } = require("./utils/analysisQueue");
+
+// Standalone analysis worker for ANALYSIS_QUEUE_BACKEND=mongo, so the web
+// process (e.g. on serverless hosting) only has to accept submissions.
+if (analysisQueue.backend !== "mongo") {
+  console.error("❌ The analysis worker needs ANALYSIS_QUEUE_BACKEND=mongo");
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGO_URI)
+.then(() => {
+  console.log("✅ MongoDB connected, processing analyses");
+  analysisQueue.start();
+  // The queue timer is unref'd, so keep the process alive explicitly
+  setInterval(() => {}, 1 << 30);
+})
+.catch(err => {
+  console.error("❌ MongoDB connection error:", err);
+  process.exit(1);
+});